@@ -1,6 +1,7 @@
 "use client";
-import { useReducer, useCallback, useMemo } from "react";
+import { useReducer, useCallback, useMemo, useEffect, useRef } from "react";
 import { useAuth } from "@/hooks/useAuth";
+import { useCountdown, formatCountdown } from "@/hooks/useCountdown";
 import authimg from "@/assets/loginbanner.png";
 import styles from "@/styles/auth/auth.module.css";
 import Image from "next/image";
@@ -9,6 +10,9 @@ import { useDictionary } from "@/hooks/useDirection";
 import dynamic from "next/dynamic";
 import { useRouter } from "next/navigation";
 import { signIn } from "next-auth/react";
+import { VALIDATION_RULES } from "@/config/api.config";
+import { validatePassword } from "@/utils/validation";
+import { getPostSignInUrl } from "@/lib/auth/callbackUrl";
 
 // Lazy load OTP input only when needed
 const OtpInput = dynamic(() => import("react-otp-input"), {
@@ -21,7 +25,14 @@ const AUTH_STEPS = {
   PASSWORD_LOGIN: 'password_login',
   OTP_PHONE: 'otp_phone',
   OTP_VERIFY: 'otp_verify',
-  COMPLETE_PROFILE: 'complete_profile'
+  COMPLETE_PROFILE: 'complete_profile',
+  RESET_PASSWORD: 'reset_password'
+};
+
+// Both journeys share the OTP steps; the flow decides where a verified code leads
+const AUTH_FLOWS = {
+  SIGN_IN: 'sign_in',
+  FORGOT_PASSWORD: 'forgot_password'
 };
 
 const OTP_LENGTH = 6;
@@ -31,10 +42,14 @@ const MIN_PHONE_LENGTH = 11;
 // Initial state
 const initialState = {
   step: AUTH_STEPS.PASSWORD_LOGIN,
+  flow: AUTH_FLOWS.SIGN_IN,
   formData: { mobile: "", password: "" },
   completeData: { firstName: "", lastName: "", address: "", password: "" },
+  resetData: { password: "", confirmPassword: "" },
   otp: "",
-  userWithOtp: null,
+  // Server-side OTP challenge ({ challengeId, expiresAt, resendAt, attemptsLeft })
+  otpChallenge: null,
+  otpAttemptsLeft: null,
   showPassword: false
 };
 
@@ -43,6 +58,10 @@ function authReducer(state, action) {
   switch (action.type) {
     case 'SET_STEP':
       return { ...state, step: action.payload };
+    case 'START_FLOW':
+      return { ...state, flow: action.payload, step: AUTH_STEPS.OTP_PHONE, otpChallenge: null, otp: "" };
+    case 'SHOW_PASSWORD_LOGIN':
+      return { ...state, flow: AUTH_FLOWS.SIGN_IN, step: AUTH_STEPS.PASSWORD_LOGIN };
     case 'UPDATE_FORM':
       return {
         ...state,
@@ -53,10 +72,17 @@ function authReducer(state, action) {
         ...state,
         completeData: { ...state.completeData, ...action.payload }
       };
+    case 'UPDATE_RESET':
+      return {
+        ...state,
+        resetData: { ...state.resetData, ...action.payload }
+      };
     case 'SET_OTP':
       return { ...state, otp: action.payload };
-    case 'SET_USER_OTP':
-      return { ...state, userWithOtp: action.payload };
+    case 'SET_CHALLENGE':
+      return { ...state, otpChallenge: action.payload, otpAttemptsLeft: action.payload?.attemptsLeft ?? null, otp: "" };
+    case 'SET_ATTEMPTS_LEFT':
+      return { ...state, otpAttemptsLeft: action.payload };
     case 'TOGGLE_PASSWORD':
       return { ...state, showPassword: !state.showPassword };
     case 'RESET':
@@ -73,7 +99,27 @@ export default function LoginForm() {
 
   const langCode = useMemo(() => locale === 'en' ? '2' : '1', [locale]);
 
-  const { login, loginOtp, verifyOTP, setPersonalInfo, loading, error, clearError } = useAuth();
+  const {
+    login, loginOtp, verifyOTP, setPersonalInfo, resetPassword, loading, error, retryAt, clearError, setError
+  } = useAuth();
+
+  // Throttled by the server: count down and keep the forms disabled until it may be tried again
+  const throttleSeconds = useCountdown(retryAt);
+  const isThrottled = throttleSeconds > 0;
+  useEffect(() => {
+    if (retryAt && throttleSeconds === 0) clearError();
+  }, [retryAt, throttleSeconds, clearError]);
+
+  // SessionProviderWrapper sends users here with ?reason=expired when their session could not be refreshed
+  const expiryNoticeShownRef = useRef(false);
+  useEffect(() => {
+    if (dictLoading || expiryNoticeShownRef.current) return;
+    expiryNoticeShownRef.current = true;
+
+    if (new URLSearchParams(window.location.search).get('reason') === 'expired') {
+      setError(t('auth.sessionExpired'));
+    }
+  }, [dictLoading, t, setError]);
 
   // Memoized validation functions
   const isValidMobile = useCallback((mobile) => {
@@ -87,12 +133,13 @@ export default function LoginForm() {
   const canSubmitPasswordLogin = useMemo(() => {
     return isValidMobile(state.formData.mobile) &&
       isValidPassword(state.formData.password) &&
-      !loading;
-  }, [state.formData.mobile, state.formData.password, loading, isValidMobile, isValidPassword]);
+      !loading &&
+      !isThrottled;
+  }, [state.formData.mobile, state.formData.password, loading, isThrottled, isValidMobile, isValidPassword]);
 
   const canSubmitOtpRequest = useMemo(() => {
-    return isValidMobile(state.formData.mobile) && !loading;
-  }, [state.formData.mobile, loading, isValidMobile]);
+    return isValidMobile(state.formData.mobile) && !loading && !isThrottled;
+  }, [state.formData.mobile, loading, isThrottled, isValidMobile]);
 
   const canSubmitOtpVerify = useMemo(() => {
     return state.otp.length === OTP_LENGTH && !loading;
@@ -104,8 +151,24 @@ export default function LoginForm() {
       lastName.trim() &&
       address.trim() &&
       isValidPassword(password) &&
-      !loading;
-  }, [state.completeData, loading, isValidPassword]);
+      !loading &&
+      !isThrottled;
+  }, [state.completeData, loading, isThrottled, isValidPassword]);
+
+  // Shown under the field as the user types, with the rules the reset route enforces
+  const resetPasswordError = useMemo(() => {
+    const { password } = state.resetData;
+    return password ? validatePassword(password) : null;
+  }, [state.resetData]);
+
+  const canSubmitReset = useMemo(() => {
+    const { password, confirmPassword } = state.resetData;
+    return Boolean(password) &&
+      !resetPasswordError &&
+      confirmPassword === password &&
+      !loading &&
+      !isThrottled;
+  }, [state.resetData, resetPasswordError, loading, isThrottled]);
 
   // Handlers
   const togglePasswordVisibility = useCallback(() => {
@@ -124,6 +187,12 @@ export default function LoginForm() {
     clearError();
   }, [clearError]);
 
+  const handleResetChange = useCallback((e) => {
+    const { name, value } = e.target;
+    dispatch({ type: 'UPDATE_RESET', payload: { [name]: value } });
+    clearError();
+  }, [clearError]);
+
   const handlePasswordLogin = useCallback(async (e) => {
     e.preventDefault();
     if (!canSubmitPasswordLogin) return;
@@ -132,65 +201,109 @@ export default function LoginForm() {
     await login(mobile, password, langCode);
   }, [canSubmitPasswordLogin, state.formData, login, langCode]);
 
+  const handleOtpChange = useCallback((otp) => {
+    dispatch({ type: 'SET_OTP', payload: otp });
+  }, []);
+
   const handleOtpRequest = useCallback(async (e) => {
     e.preventDefault();
     if (!canSubmitOtpRequest) return;
 
     const result = await loginOtp(state.formData.mobile, langCode);
     if (result.success) {
-      dispatch({ type: 'SET_USER_OTP', payload: result.user });
+      dispatch({ type: 'SET_CHALLENGE', payload: result.challenge });
       dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.OTP_VERIFY });
     }
   }, [canSubmitOtpRequest, state.formData.mobile, loginOtp, langCode]);
 
+  // A new code replaces the current challenge; the server decides how long until the next resend
+  const handleOtpResend = useCallback(async () => {
+    if (loading || isThrottled) return;
+
+    const result = await loginOtp(state.formData.mobile, langCode);
+    if (result.success) {
+      dispatch({ type: 'SET_CHALLENGE', payload: result.challenge });
+    }
+  }, [loading, isThrottled, state.formData.mobile, loginOtp, langCode]);
+
+  // Opens the session from a verified challenge; the token never passes through the browser
+  const signInWithChallenge = useCallback(async () => {
+    const result = await signIn("otp", {
+      redirect: false,
+      challengeId: state.otpChallenge.challengeId,
+    });
+
+    if (result?.ok) {
+      router.push(getPostSignInUrl(locale));
+      return;
+    }
+
+    // The challenge is single use; start over with a new code
+    setError(t('auth.otpSignInFailed') || "Sign in failed, please request a new code");
+    dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.OTP_PHONE });
+  }, [state.otpChallenge, router, locale, setError, t]);
+
   const handleOtpVerify = useCallback(async (e) => {
     e.preventDefault();
     if (!canSubmitOtpVerify) return;
 
-    const result = await verifyOTP(state.userWithOtp.userOTP, state.otp, langCode);
+    const result = await verifyOTP(state.otpChallenge?.challengeId, state.otp);
 
-    if (result.success) {
-      if (state.userWithOtp.verify) {
-        await signIn("credentials", {
-          redirect: false,
-          id: state.userWithOtp.id,
-          mobile: state.userWithOtp.mobile,
-          token: state.userWithOtp.token,
-          firstName: state.userWithOtp.firstName,
-          lastName: state.userWithOtp.lastName,
-        });
-        router.push("/");
-      } else {
-        dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.COMPLETE_PROFILE });
+    if (!result.success) {
+      dispatch({ type: 'SET_OTP', payload: "" });
+      if (typeof result.attemptsLeft === 'number') {
+        dispatch({ type: 'SET_ATTEMPTS_LEFT', payload: result.attemptsLeft });
+      }
+      // Expired or out of attempts: a new code is needed
+      if (result.attemptsLeft === 0) {
+        dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.OTP_PHONE });
       }
+      return;
     }
-  }, [canSubmitOtpVerify, state.otp, state.userWithOtp, verifyOTP, langCode, router]);
+
+    // A number without an account has no password to reset; it signs up like any new OTP user
+    if (result.isNewUser) {
+      dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.COMPLETE_PROFILE });
+    } else if (state.flow === AUTH_FLOWS.FORGOT_PASSWORD) {
+      dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.RESET_PASSWORD });
+    } else {
+      await signInWithChallenge();
+    }
+  }, [canSubmitOtpVerify, state.otp, state.otpChallenge, state.flow, verifyOTP, signInWithChallenge]);
 
   const handleCompleteProfile = useCallback(async (e) => {
     e.preventDefault();
     if (!canSubmitProfile) return;
 
-    const result = await setPersonalInfo(state.userWithOtp.id, state.completeData, langCode);
+    const result = await setPersonalInfo(state.otpChallenge?.challengeId, state.completeData, langCode);
     if (result.success) {
-      await signIn("credentials", {
-        redirect: false,
-        id: state.userWithOtp.id,
-        mobile: state.userWithOtp.mobile,
-        token: state.userWithOtp.token,
-        firstName: state.completeData.firstName,
-        lastName: state.completeData.lastName,
-      });
-      router.push("/");
+      await signInWithChallenge();
     }
-  }, [canSubmitProfile, state.userWithOtp, state.completeData, setPersonalInfo, langCode, router]);
+  }, [canSubmitProfile, state.otpChallenge, state.completeData, setPersonalInfo, langCode, signInWithChallenge]);
+
+  // The verified challenge that authorized the reset also opens the session
+  const handleResetPassword = useCallback(async (e) => {
+    e.preventDefault();
+    if (!canSubmitReset) return;
+
+    const result = await resetPassword(state.otpChallenge?.challengeId, state.resetData, langCode);
+    if (result.success) {
+      await signInWithChallenge();
+    }
+  }, [canSubmitReset, state.otpChallenge, state.resetData, resetPassword, langCode, signInWithChallenge]);
 
   const switchToOtpLogin = useCallback(() => {
-    dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.OTP_PHONE });
+    dispatch({ type: 'START_FLOW', payload: AUTH_FLOWS.SIGN_IN });
+    clearError();
+  }, [clearError]);
+
+  const switchToForgotPassword = useCallback(() => {
+    dispatch({ type: 'START_FLOW', payload: AUTH_FLOWS.FORGOT_PASSWORD });
     clearError();
   }, [clearError]);
 
   const switchToPasswordLogin = useCallback(() => {
-    dispatch({ type: 'SET_STEP', payload: AUTH_STEPS.PASSWORD_LOGIN });
+    dispatch({ type: 'SHOW_PASSWORD_LOGIN' });
     clearError();
   }, [clearError]);
 
@@ -208,7 +321,9 @@ export default function LoginForm() {
 
         <div className={styles.auth__body}>
           <h2 className={styles.signup__title}>
-            {t('auth.welcomeBack')}
+            {state.flow === AUTH_FLOWS.FORGOT_PASSWORD && state.step !== AUTH_STEPS.COMPLETE_PROFILE
+              ? t('auth.resetPasswordTitle')
+              : t('auth.welcomeBack')}
           </h2>
 
           {error && (
@@ -217,6 +332,12 @@ export default function LoginForm() {
             </div>
           )}
 
+          {isThrottled && (
+            <p className={styles.throttle__message} role="status" aria-live="polite">
+              {t('auth.tryAgainIn').replace('{time}', formatCountdown(throttleSeconds))}
+            </p>
+          )}
+
           {state.step === AUTH_STEPS.PASSWORD_LOGIN && (
             <PasswordLoginStep
               formData={state.formData}
@@ -227,6 +348,7 @@ export default function LoginForm() {
               onTogglePassword={togglePasswordVisibility}
               onSubmit={handlePasswordLogin}
               onSwitchToOtp={switchToOtpLogin}
+              onForgotPassword={switchToForgotPassword}
               t={t}
               styles={styles}
             />
@@ -240,6 +362,7 @@ export default function LoginForm() {
               onInputChange={handleInputChange}
               onSubmit={handleOtpRequest}
               onSwitchToPassword={switchToPasswordLogin}
+              hint={state.flow === AUTH_FLOWS.FORGOT_PASSWORD ? t('auth.resetPasswordHint') : null}
               t={t}
               styles={styles}
             />
@@ -248,10 +371,14 @@ export default function LoginForm() {
           {state.step === AUTH_STEPS.OTP_VERIFY && (
             <OtpVerifyStep
               otp={state.otp}
+              challenge={state.otpChallenge}
+              attemptsLeft={state.otpAttemptsLeft}
               loading={loading}
               canSubmit={canSubmitOtpVerify}
-              onOtpChange={(otp) => dispatch({ type: 'SET_OTP', payload: otp })}
+              canResend={!loading && !isThrottled}
+              onOtpChange={handleOtpChange}
               onSubmit={handleOtpVerify}
+              onResend={handleOtpResend}
               t={t}
               styles={styles}
             />
@@ -270,6 +397,21 @@ export default function LoginForm() {
               styles={styles}
             />
           )}
+
+          {state.step === AUTH_STEPS.RESET_PASSWORD && (
+            <ResetPasswordStep
+              resetData={state.resetData}
+              passwordError={resetPasswordError}
+              showPassword={state.showPassword}
+              loading={loading}
+              canSubmit={canSubmitReset}
+              onInputChange={handleResetChange}
+              onTogglePassword={togglePasswordVisibility}
+              onSubmit={handleResetPassword}
+              t={t}
+              styles={styles}
+            />
+          )}
         </div>
       </div>
     </section>
@@ -279,7 +421,7 @@ export default function LoginForm() {
 // Extracted step components
 function PasswordLoginStep({
   formData, showPassword, loading, canSubmit,
-  onInputChange, onTogglePassword, onSubmit, onSwitchToOtp, t, styles
+  onInputChange, onTogglePassword, onSubmit, onSwitchToOtp, onForgotPassword, t, styles
 }) {
   return (
     <form onSubmit={onSubmit} className={styles.login__body}>
@@ -322,6 +464,15 @@ function PasswordLoginStep({
         </button>
       </div>
 
+      <button
+        type="button"
+        className={styles.resend__button}
+        onClick={onForgotPassword}
+        disabled={loading}
+      >
+        {t('auth.forgotPassword') || 'Forgot Password?'}
+      </button>
+
       <SubmitButton
         text={t('auth.Getstarted') || 'Login'}
         loading={loading}
@@ -336,11 +487,12 @@ function PasswordLoginStep({
 }
 
 function OtpPhoneStep({
-  mobile, loading, canSubmit,
+  mobile, loading, canSubmit, hint,
   onInputChange, onSubmit, onSwitchToPassword, t, styles
 }) {
   return (
     <form onSubmit={onSubmit} className={styles.login__body}>
+      {hint && <p className={styles.otp__status}>{hint}</p>}
       <div className={styles.Login__container}>
         <input
           type="tel"
@@ -368,9 +520,31 @@ function OtpPhoneStep({
 }
 
 function OtpVerifyStep({
-  otp, loading, canSubmit,
-  onOtpChange, onSubmit, t, styles
+  otp, challenge, attemptsLeft, loading, canSubmit, canResend,
+  onOtpChange, onSubmit, onResend, t, styles
 }) {
+  const expirySeconds = useCountdown(challenge?.expiresAt);
+  const resendSeconds = useCountdown(challenge?.resendAt);
+  const isExpired = Boolean(challenge?.expiresAt) && expirySeconds === 0;
+  const hasFailedAttempts = attemptsLeft != null && attemptsLeft < challenge?.attemptsLeft;
+
+  // Web OTP API: supporting browsers offer the code from the SMS, provided the message
+  // ends with "@<our host> #<code>"; other browsers fall back to autocomplete="one-time-code"
+  useEffect(() => {
+    if (!('OTPCredential' in window)) return;
+
+    const controller = new AbortController();
+    navigator.credentials.get({ otp: { transport: ['sms'] }, signal: controller.signal })
+      .then((credential) => {
+        if (credential?.code) onOtpChange(credential.code.slice(0, OTP_LENGTH));
+      })
+      .catch(() => {
+        // Dismissed by the user, or aborted when a new code was requested
+      });
+
+    return () => controller.abort();
+  }, [challenge?.challengeId, onOtpChange]);
+
   return (
     <form onSubmit={onSubmit}>
       <div className={`${styles.otp__body} mb-5`}>
@@ -379,14 +553,42 @@ function OtpVerifyStep({
           onChange={onOtpChange}
           numInputs={OTP_LENGTH}
           renderSeparator={""}
-          renderInput={(props) => <input {...props} disabled={loading} />}
+          renderInput={(props, index) => (
+            <input
+              {...props}
+              disabled={loading || isExpired}
+              inputMode="numeric"
+              autoComplete={index === 0 ? "one-time-code" : "off"}
+            />
+          )}
         />
       </div>
+
+      <p className={styles.otp__status} role="status" aria-live="polite">
+        {isExpired
+          ? t('auth.codeExpired')
+          : t('auth.codeExpiresIn').replace('{time}', formatCountdown(expirySeconds))}
+        {hasFailedAttempts && !isExpired && (
+          <> · {t('auth.attemptsLeft').replace('{count}', attemptsLeft)}</>
+        )}
+      </p>
+
       <SubmitButton
         text={t("auth.Verify Account") || "Verify"}
         loading={loading}
-        disabled={!canSubmit}
+        disabled={!canSubmit || isExpired}
       />
+
+      <button
+        type="button"
+        className={styles.resend__button}
+        onClick={onResend}
+        disabled={!canResend || resendSeconds > 0}
+      >
+        {resendSeconds > 0
+          ? t('auth.resendIn').replace('{time}', formatCountdown(resendSeconds))
+          : t('auth.resendOTP')}
+      </button>
     </form>
   );
 }
@@ -472,4 +674,66 @@ function CompleteProfileStep({
       />
     </form>
   );
-}
\ No newline at end of file
+}
+
+function ResetPasswordStep({
+  resetData, passwordError, showPassword, loading, canSubmit,
+  onInputChange, onTogglePassword, onSubmit, t, styles
+}) {
+  const isMismatch = Boolean(resetData.confirmPassword) && resetData.confirmPassword !== resetData.password;
+
+  return (
+    <form onSubmit={onSubmit} className={styles.login__body}>
+      <div className={styles.password__body}>
+        <div className={styles.Login__container}>
+          <input
+            type={showPassword ? "text" : "password"}
+            name="password"
+            value={resetData.password}
+            onChange={onInputChange}
+            placeholder={t('auth.newPassword') || "New password"}
+            className={styles.custom__input}
+            required
+            disabled={loading}
+            autoComplete="new-password"
+            minLength={VALIDATION_RULES.PASSWORD.MIN_LENGTH}
+            maxLength={VALIDATION_RULES.PASSWORD.MAX_LENGTH}
+            aria-invalid={Boolean(passwordError)}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={onTogglePassword}
+          className={styles.pass__body}
+          disabled={loading}
+          aria-label={showPassword ? "Hide password" : "Show password"}
+        >
+          {showPassword ? (t('auth.Hide') || "Hide") : (t('auth.Show') || "Show")}
+        </button>
+      </div>
+      {passwordError && <p className={styles.otp__status} role="alert">{passwordError}</p>}
+
+      <div className={styles.Login__container}>
+        <input
+          type={showPassword ? "text" : "password"}
+          name="confirmPassword"
+          value={resetData.confirmPassword}
+          onChange={onInputChange}
+          placeholder={t('auth.confirmNewPassword') || "Confirm new password"}
+          className={styles.custom__input}
+          required
+          disabled={loading}
+          autoComplete="new-password"
+          aria-invalid={isMismatch}
+        />
+      </div>
+      {isMismatch && <p className={styles.otp__status} role="alert">{t('auth.passwordsDontMatch')}</p>}
+
+      <SubmitButton
+        text={t('auth.resetPassword') || "Reset password"}
+        loading={loading}
+        disabled={!canSubmit}
+      />
+    </form>
+  );
+}
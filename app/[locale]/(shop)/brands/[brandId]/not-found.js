@@ -0,0 +1,11 @@
+import NotFound from '@/components/ui/NotFound';
+
+export default function BrandNotFound() {
+    return (
+        <NotFound
+            title="Brand Not Found"
+            message="Sorry, we couldn't find the brand you're looking for. It may have been removed or renamed."
+            showBackButton={true}
+        />
+    );
+}
@@ -0,0 +1,100 @@
+import Link from 'next/link';
+import Image from 'next/image';
+import { notFound } from 'next/navigation';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { i18n } from '@/lib/i18n/config';
+import { serverGetBrandById } from '@/lib/api/server';
+import { toQueryString } from '@/lib/search/params';
+import { getListingFilters, loadListing } from '@/lib/search/listing';
+import ListingResults from '@/components/shop/Listing/ListingResults';
+import styles from '@/styles/shop/listing.module.css';
+import brandStyles from '@/styles/shop/brands.module.css';
+
+// A failed home fetch should not hide the listing, only an unknown brand should
+const getBrand = async (brandId, locale) => {
+    try {
+        const brand = await serverGetBrandById(brandId, locale);
+        return { brand, missing: !brand };
+    } catch (error) {
+        console.error(`Failed to load brand ${brandId}:`, error);
+        return { brand: null, missing: false };
+    }
+};
+
+export async function generateMetadata({ params, searchParams }) {
+    const { locale, brandId } = await params;
+    const filters = await getListingFilters(searchParams, 'brandId');
+    const dictionary = await getDictionary(locale);
+    const { brand } = await getBrand(brandId, locale);
+
+    const name = brand?.name || dictionary.brands.title;
+    const query = toQueryString(filters);
+    const path = (lang) => `/${lang}/brands/${brandId}${query ? `?${query}` : ''}`;
+
+    return {
+        title: `${name} | Lajolie`,
+        description: `${dictionary.brands.shop} ${name}`,
+        alternates: {
+            canonical: path(locale),
+            languages: Object.fromEntries(i18n.locales.map(lang => [lang, path(lang)])),
+        },
+        openGraph: brand?.imageUrl ? { images: [brand.imageUrl] } : undefined,
+    };
+}
+
+export default async function BrandPage({ params, searchParams }) {
+    const { locale, brandId } = await params;
+
+    if (!/^\d+$/.test(brandId)) {
+        notFound();
+    }
+
+    const filters = await getListingFilters(searchParams, 'brandId');
+    const dictionary = await getDictionary(locale);
+    const t = dictionary.search;
+    const basePath = `/${locale}/brands/${brandId}`;
+
+    const { brand, missing } = await getBrand(brandId, locale);
+    if (missing) {
+        notFound();
+    }
+
+    // Every product here is from this brand, so the brand facet is meaningless
+    const { results, facets } = await loadListing(locale, filters, {
+        scope: { brandId: [brandId] },
+        omitFacet: 'brandId',
+    });
+
+    return (
+        <div className={styles.container}>
+            <nav className={brandStyles.breadcrumb} aria-label={dictionary.brands.title}>
+                <Link href={`/${locale}/brands`}>{dictionary.brands.all}</Link>
+            </nav>
+
+            <header className={styles.header}>
+                <div className={brandStyles.brandHeader}>
+                    {brand?.imageUrl && (
+                        <div className={brandStyles.brandLogo}>
+                            <Image src={brand.imageUrl} alt="" width={80} height={80} />
+                        </div>
+                    )}
+                    <h1 className={styles.title}>{brand?.name || dictionary.brands.title}</h1>
+                </div>
+                {results && (
+                    <p className={styles.count}>
+                        {results.total} {t.productsFound}
+                    </p>
+                )}
+            </header>
+
+            <ListingResults
+                basePath={basePath}
+                filters={filters}
+                results={results}
+                facets={facets}
+                dictionary={dictionary}
+                empty={{ message: dictionary.brands.empty, href: basePath, label: dictionary.brands.clearFilters }}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,5 @@
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+
+export default function Loading() {
+    return <LoadingSpinner />;
+}
@@ -0,0 +1,122 @@
+import Link from 'next/link';
+import Image from 'next/image';
+import { AlertCircle } from 'lucide-react';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { i18n } from '@/lib/i18n/config';
+import { serverGetBrands } from '@/lib/api/server';
+import styles from '@/styles/shop/listing.module.css';
+import brandStyles from '@/styles/shop/brands.module.css';
+
+const OTHER_GROUP = '#';
+
+// Group brands under their first letter, sorted for the current locale
+const groupBrands = (brands, locale) => {
+    const groups = new Map();
+
+    [...brands]
+        .filter(brand => brand?.id && brand?.name)
+        .sort((a, b) => a.name.localeCompare(b.name, locale))
+        .forEach(brand => {
+            const first = brand.name.trim().charAt(0).toLocaleUpperCase(locale);
+            const letter = /\p{L}/u.test(first) ? first : OTHER_GROUP;
+            if (!groups.has(letter)) groups.set(letter, []);
+            groups.get(letter).push(brand);
+        });
+
+    // Keep "#" at the end regardless of the collation
+    return [...groups.entries()].sort(([a], [b]) => {
+        if (a === OTHER_GROUP) return 1;
+        if (b === OTHER_GROUP) return -1;
+        return a.localeCompare(b, locale);
+    });
+};
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.brands.title} | Lajolie`,
+        description: dictionary.brands.indexDescription,
+        alternates: {
+            canonical: `/${locale}/brands`,
+            languages: Object.fromEntries(i18n.locales.map(lang => [lang, `/${lang}/brands`])),
+        },
+    };
+}
+
+export default async function BrandsPage({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+    const t = dictionary.brands;
+
+    let groups = null;
+
+    try {
+        groups = groupBrands(await serverGetBrands(locale), locale);
+    } catch (error) {
+        console.error('Brands index failed to load:', error);
+    }
+
+    return (
+        <div className={styles.container}>
+            <header className={styles.header}>
+                <div className={styles.headerText}>
+                    <h1 className={styles.title}>{t.title}</h1>
+                    <p className={styles.description}>{t.indexDescription}</p>
+                </div>
+            </header>
+
+            {!groups && (
+                <div className={styles.state} role="alert">
+                    <AlertCircle size={48} className={styles.stateIcon} />
+                    <p>{dictionary.common.error}</p>
+                    <Link href={`/${locale}/brands`} className={styles.stateButton}>
+                        {dictionary.common.retry}
+                    </Link>
+                </div>
+            )}
+
+            {groups && groups.length === 0 && (
+                <div className={styles.state}>
+                    <p>{t.noBrands}</p>
+                </div>
+            )}
+
+            {groups && groups.length > 0 && (
+                <>
+                    <nav className={brandStyles.letters} aria-label={t.jumpTo}>
+                        {groups.map(([letter]) => (
+                            <a key={letter} href={`#brands-${letter}`} className={brandStyles.letter}>
+                                {letter}
+                            </a>
+                        ))}
+                    </nav>
+
+                    {groups.map(([letter, brands]) => (
+                        <section
+                            key={letter}
+                            id={`brands-${letter}`}
+                            className={brandStyles.group}
+                            aria-labelledby={`brands-${letter}-title`}
+                        >
+                            <h2 id={`brands-${letter}-title`} className={brandStyles.groupTitle}>{letter}</h2>
+                            <ul className={brandStyles.brandList}>
+                                {brands.map(brand => (
+                                    <li key={brand.id}>
+                                        <Link href={`/${locale}/brands/${brand.id}`} className={brandStyles.brandLink}>
+                                            {brand.imageUrl && (
+                                                <Image src={brand.imageUrl} alt="" width={40} height={40} className={brandStyles.brandThumb} />
+                                            )}
+                                            <span>{brand.name}</span>
+                                        </Link>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
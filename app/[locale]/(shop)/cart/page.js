@@ -0,0 +1,19 @@
+import CartClient from '@/components/shop/Cart/CartClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.cart.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function CartPage({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return <CartClient dictionary={dictionary.cart} locale={locale} />;
+}
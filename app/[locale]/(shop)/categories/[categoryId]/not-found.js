@@ -0,0 +1,11 @@
+import NotFound from '@/components/ui/NotFound';
+
+export default function CategoryNotFound() {
+    return (
+        <NotFound
+            title="Category Not Found"
+            message="Sorry, we couldn't find the category you're looking for. It may have been removed or renamed."
+            showBackButton={true}
+        />
+    );
+}
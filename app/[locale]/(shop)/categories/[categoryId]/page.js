@@ -0,0 +1,83 @@
+import { notFound } from 'next/navigation';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { i18n } from '@/lib/i18n/config';
+import { serverGetCategoryById } from '@/lib/api/server';
+import { toQueryString } from '@/lib/search/params';
+import { getListingFilters, loadListing } from '@/lib/search/listing';
+import ListingResults from '@/components/shop/Listing/ListingResults';
+import styles from '@/styles/shop/listing.module.css';
+
+// A failed home fetch should not hide the listing, only an unknown category should
+const getCategory = async (categoryId, locale) => {
+    try {
+        const category = await serverGetCategoryById(categoryId, locale);
+        return { category, missing: !category };
+    } catch (error) {
+        console.error(`Failed to load category ${categoryId}:`, error);
+        return { category: null, missing: false };
+    }
+};
+
+export async function generateMetadata({ params, searchParams }) {
+    const { locale, categoryId } = await params;
+    const filters = await getListingFilters(searchParams, 'categoryId');
+    const dictionary = await getDictionary(locale);
+    const { category } = await getCategory(categoryId, locale);
+
+    const name = category?.name || dictionary.categories.title;
+    const query = toQueryString(filters);
+    const path = (lang) => `/${lang}/categories/${categoryId}${query ? `?${query}` : ''}`;
+
+    return {
+        title: `${name} | Lajolie`,
+        description: `${dictionary.categories.shop} ${name}`,
+        alternates: {
+            canonical: path(locale),
+            languages: Object.fromEntries(i18n.locales.map(lang => [lang, path(lang)])),
+        },
+    };
+}
+
+export default async function CategoryPage({ params, searchParams }) {
+    const { locale, categoryId } = await params;
+
+    if (!/^\d+$/.test(categoryId)) {
+        notFound();
+    }
+
+    const filters = await getListingFilters(searchParams, 'categoryId');
+    const dictionary = await getDictionary(locale);
+    const t = dictionary.search;
+    const basePath = `/${locale}/categories/${categoryId}`;
+
+    const { category, missing } = await getCategory(categoryId, locale);
+    if (missing) {
+        notFound();
+    }
+
+    const { results, facets } = await loadListing(locale, filters, { scope: { categoryId } });
+
+    return (
+        <div className={styles.container}>
+            <header className={styles.header}>
+                <div className={styles.headerText}>
+                    <h1 className={styles.title}>{category?.name || dictionary.categories.title}</h1>
+                </div>
+                {results && (
+                    <p className={styles.count}>
+                        {results.total} {t.productsFound}
+                    </p>
+                )}
+            </header>
+
+            <ListingResults
+                basePath={basePath}
+                filters={filters}
+                results={results}
+                facets={facets}
+                dictionary={dictionary}
+                empty={{ message: dictionary.categories.empty, href: basePath, label: dictionary.categories.clearFilters }}
+            />
+        </div>
+    );
+}
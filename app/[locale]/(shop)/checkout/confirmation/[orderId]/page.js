@@ -0,0 +1,37 @@
+import OrderConfirmation from '@/components/shop/Checkout/OrderConfirmation';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { getPaymentGateway } from '@/lib/payments/gateway';
+import { PAYMENT_METHODS } from '@/lib/payments/providers';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.checkout.confirmation.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function OrderConfirmationPage({ params, searchParams }) {
+    const { locale, orderId } = await params;
+    const { payment, reference } = await searchParams;
+    const dictionary = await getDictionary(locale);
+    const id = decodeURIComponent(orderId);
+
+    // Offline there is no Fawry outlet to pay at, so link the fake gateway's test page instead
+    const testPaymentHref = getPaymentGateway()?.id === 'fake'
+        ? `/${locale}/checkout/pay/fake?${new URLSearchParams({ orderId: id, method: PAYMENT_METHODS.FAWRY })}`
+        : null;
+
+    return (
+        <OrderConfirmation
+            orderId={id}
+            paymentStatus={typeof payment === 'string' ? payment : null}
+            referenceCode={typeof reference === 'string' && /^\d+$/.test(reference) ? reference : null}
+            testPaymentHref={testPaymentHref}
+            dictionary={dictionary}
+            locale={locale}
+        />
+    );
+}
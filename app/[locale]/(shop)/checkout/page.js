@@ -0,0 +1,30 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import CheckoutClient from '@/components/shop/Checkout/CheckoutClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { getAvailablePaymentMethods } from '@/lib/payments/gateway';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.checkout.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function CheckoutPage({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+    const session = await getServerSession(authOptions);
+
+    return (
+        <CheckoutClient
+            dictionary={dictionary}
+            locale={locale}
+            user={session?.user}
+            paymentMethods={getAvailablePaymentMethods()}
+        />
+    );
+}
@@ -0,0 +1,84 @@
+import { notFound } from 'next/navigation';
+import { FlaskConical } from 'lucide-react';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { getPaymentGateway, getAppOrigin } from '@/lib/payments/gateway';
+import { PAYMENT_METHODS, PAYMENT_STATUS, getPaymentProvider } from '@/lib/payments/providers';
+import { getCachedPriceFormatter } from '@/utils/performance';
+import styles from '@/styles/shop/checkout.module.css';
+
+export const metadata = {
+    title: 'Test payment | Lajolie',
+    robots: 'noindex, nofollow'
+};
+
+// Hosted payment page of the fake gateway: pick the outcome a real gateway would report
+export default async function FakeGatewayPage({ params, searchParams }) {
+    const { locale } = await params;
+    const { orderId, method, transactionId, amount } = await searchParams;
+    const gateway = getPaymentGateway();
+
+    if (gateway?.id !== 'fake' || !/^[\w-]+$/.test(orderId || '') || !getPaymentProvider(method)) {
+        notFound();
+    }
+
+    const dictionary = await getDictionary(locale);
+    const t = dictionary.checkout.fakeGateway;
+    const origin = getAppOrigin();
+
+    const resultUrl = (status) => gateway.buildResultUrl({
+        orderId,
+        method,
+        transactionId: transactionId || `fake_${orderId}`,
+        status,
+        locale,
+        origin,
+    });
+
+    const outcomes = method === PAYMENT_METHODS.FAWRY
+        ? [{ status: PAYMENT_STATUS.PAID, label: t.markPaid, primary: true }]
+        : [
+            { status: PAYMENT_STATUS.PAID, label: t.approve, primary: true },
+            { status: PAYMENT_STATUS.FAILED, label: t.decline },
+            { status: PAYMENT_STATUS.CANCELLED, label: t.cancel },
+        ];
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.confirmation}>
+                <FlaskConical size={48} className={styles.emptyIcon} aria-hidden="true" />
+                <h1 className={styles.title}>{t.title}</h1>
+                <p className={styles.fieldHint}>{t.notice}</p>
+
+                <dl className={styles.confirmationDetails}>
+                    <div className={styles.summaryRow}>
+                        <dt>{dictionary.checkout.confirmation.orderNumber}</dt>
+                        <dd>#{orderId}</dd>
+                    </div>
+                    <div className={styles.summaryRow}>
+                        <dt>{dictionary.checkout.steps.payment}</dt>
+                        <dd>{dictionary.checkout.paymentMethods[method]}</dd>
+                    </div>
+                    {amount && (
+                        <div className={`${styles.summaryRow} ${styles.summaryTotal}`}>
+                            <dt>{t.amount}</dt>
+                            <dd>{getCachedPriceFormatter(locale).format(Number(amount) || 0)}</dd>
+                        </div>
+                    )}
+                </dl>
+
+                {/* Full page loads: the return route redirects, and the URLs are signed like a real gateway's */}
+                <div className={styles.actions}>
+                    {outcomes.map(outcome => (
+                        <a
+                            key={outcome.status}
+                            href={resultUrl(outcome.status)}
+                            className={outcome.primary ? styles.primaryButton : styles.secondaryButton}
+                        >
+                            {outcome.label}
+                        </a>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
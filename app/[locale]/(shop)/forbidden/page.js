@@ -0,0 +1,45 @@
+import Link from 'next/link';
+import { ShieldX } from 'lucide-react';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { sessionHasPermission } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+import styles from '@/styles/ui/NotFound.module.css';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.forbidden.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+// Middleware rewrites here (with a 403 status) when a signed-in user lacks a route's permission
+export default async function ForbiddenPage({ params }) {
+    const { locale } = await params;
+    const { forbidden } = await getDictionary(locale);
+    // Only offer the account pages to someone who may open them
+    const canOpenAccount = await sessionHasPermission(PERMISSIONS.ACCOUNT);
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.content}>
+                <ShieldX className={styles.icon} size={64} aria-hidden="true" />
+                <h1 className={styles.title}>{forbidden.title}</h1>
+                <p className={styles.message}>{forbidden.message}</p>
+
+                <div className={styles.actions}>
+                    <Link href={`/${locale}`} className={styles.homeButton}>
+                        {forbidden.backHome}
+                    </Link>
+                    {canOpenAccount && (
+                        <Link href={`/${locale}/profile`} className={styles.productsButton}>
+                            {forbidden.myAccount}
+                        </Link>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,25 @@
+import OrderDetailClient from '@/components/shop/Orders/OrderDetailClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+
+export async function generateMetadata({ params }) {
+    const { locale, orderId } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.orders.orderNumber} #${decodeURIComponent(orderId)} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function OrderDetailPage({ params }) {
+    const { locale, orderId } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return (
+        <OrderDetailClient
+            orderId={decodeURIComponent(orderId)}
+            dictionary={dictionary}
+            locale={locale}
+        />
+    );
+}
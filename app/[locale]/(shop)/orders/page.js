@@ -0,0 +1,26 @@
+import OrdersClient from '@/components/shop/Orders/OrdersClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.orders.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function OrdersPage({ params, searchParams }) {
+    const { locale } = await params;
+    const { page } = await searchParams;
+    const dictionary = await getDictionary(locale);
+
+    return (
+        <OrdersClient
+            dictionary={dictionary}
+            locale={locale}
+            page={Math.max(1, Number.parseInt(page, 10) || 1)}
+        />
+    );
+}
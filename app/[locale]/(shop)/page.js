@@ -1,17 +1,46 @@
-import { authOptions } from "@/app/api/auth/[...nextauth]/route";
+import { Suspense } from "react";
 import { getDictionary } from "@/lib/i18n/dictionaries";
-import { getServerSession } from "next-auth/next";
-import { serverGetProductBundle, serverGetHome, serverGetAdvancedSearch } from "@/lib/api/server";
+import {
+  BannerSection,
+  CategoriesSection,
+  BrandsSection,
+  TrendingSection,
+  ArrivedSection,
+  SectionSkeleton
+} from "@/components/shop/Home/HomeSections";
+
+export async function generateMetadata({ params }) {
+  const { locale } = await params;
+  const dictionary = await getDictionary(locale);
+
+  return {
+    title: dictionary.home.title,
+    description: dictionary.home.description,
+  };
+}
 
 export default async function HomePage({ params }) {
   const { locale } = await params;
-  const dictionary = await getDictionary(locale)
-  const session = await getServerSession(authOptions);
-  console.log(session)
- 
+  const dictionary = await getDictionary(locale);
+  const t = dictionary.home;
+
   return (
     <>
-    trgrt
+      <Suspense fallback={<SectionSkeleton variant="banner" />}>
+        <BannerSection locale={locale} t={t} />
+      </Suspense>
+      <Suspense fallback={<SectionSkeleton variant="row" />}>
+        <CategoriesSection locale={locale} t={t} />
+      </Suspense>
+      <Suspense fallback={<SectionSkeleton />}>
+        <TrendingSection locale={locale} t={t} />
+      </Suspense>
+      <Suspense fallback={<SectionSkeleton variant="row" />}>
+        <BrandsSection locale={locale} t={t} />
+      </Suspense>
+      <Suspense fallback={<SectionSkeleton />}>
+        <ArrivedSection locale={locale} t={t} />
+      </Suspense>
     </>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,22 @@
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import ProfileClient from '@/components/shop/Profile/ProfileClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.profile.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function ProfilePage({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+    const session = await getServerSession(authOptions);
+
+    return <ProfileClient dictionary={dictionary} locale={locale} user={session?.user} />;
+}
@@ -0,0 +1,52 @@
+import { getDictionary } from '@/lib/i18n/dictionaries';
+import { parseSearchParams } from '@/lib/search/params';
+import { getListingFilters, loadListing } from '@/lib/search/listing';
+import ListingResults from '@/components/shop/Listing/ListingResults';
+import styles from '@/styles/shop/listing.module.css';
+
+export async function generateMetadata({ params, searchParams }) {
+    const { locale } = await params;
+    const { q } = parseSearchParams(await searchParams);
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: q
+            ? `${dictionary.search.resultsFor} "${q}" | Lajolie`
+            : `${dictionary.search.title} | Lajolie`,
+        robots: 'noindex, follow'
+    };
+}
+
+export default async function SearchPage({ params, searchParams }) {
+    const { locale } = await params;
+    const filters = await getListingFilters(searchParams);
+    const dictionary = await getDictionary(locale);
+    const t = dictionary.search;
+
+    const { results, facets } = await loadListing(locale, filters);
+
+    return (
+        <div className={styles.container}>
+            <header className={styles.header}>
+                <h1 className={styles.title}>
+                    {filters.q ? `${t.resultsFor} "${filters.q}"` : t.title}
+                </h1>
+                {results && (
+                    <p className={styles.count}>
+                        {results.total} {t.productsFound}
+                    </p>
+                )}
+            </header>
+
+            <ListingResults
+                basePath={`/${locale}/search`}
+                filters={filters}
+                results={results}
+                facets={facets}
+                dictionary={dictionary}
+                empty={{ message: t.empty, href: `/${locale}`, label: dictionary.cart.continueShopping }}
+                showQuery
+            />
+        </div>
+    );
+}
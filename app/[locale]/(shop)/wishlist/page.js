@@ -0,0 +1,24 @@
+import WishlistClient from '@/components/shop/Wishlist/WishlistClient';
+import { getDictionary } from '@/lib/i18n/dictionaries';
+
+export async function generateMetadata({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return {
+        title: `${dictionary.wishlist.title} | Lajolie`,
+        robots: 'noindex, nofollow'
+    };
+}
+
+export default async function WishlistPage({ params }) {
+    const { locale } = await params;
+    const dictionary = await getDictionary(locale);
+
+    return (
+        <WishlistClient
+            dictionary={{ ...dictionary.wishlist, continueShopping: dictionary.cart.continueShopping }}
+            locale={locale}
+        />
+    );
+}
@@ -3,6 +3,8 @@ import "./globals.css";
 import { getDictionary } from "@/lib/i18n/dictionaries";
 import { Alexandria } from 'next/font/google';
 import SessionProviderWrapper from "@/components/common/SessionProviderWrapper";
+import CartProvider from "@/components/common/CartProvider";
+import WishlistProvider from "@/components/common/WishlistProvider";
 import Head from "next/head";
 import Header from "@/components/Layout/Header";
  const alexandria = Alexandria({
@@ -28,9 +30,13 @@ export default async  function RootLayout({ children, params }) {
       </head>
       <body style={{margin:0}} suppressHydrationWarning={true} className={alexandria.className}>
           <SessionProviderWrapper>
+            <CartProvider>
+            <WishlistProvider>
 
    <Header  dictionary={dictionary} locale={locale}/>
         {children}
+            </WishlistProvider>
+            </CartProvider>
                 </SessionProviderWrapper>
 
       </body>
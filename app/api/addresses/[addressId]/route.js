@@ -0,0 +1,54 @@
+// app/api/addresses/[addressId]/route.js - Edit, make default or delete a saved address
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthPut, serverAuthDelete } from '@/lib/api/server';
+import { validateAddressDetails } from '@/utils/validation';
+import { toAddressPayload } from '@/services/address.service';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+function invalidId() {
+    return NextResponse.json({ success: false, error: 'Invalid address id' }, { status: 400 });
+}
+
+const handleError = createRouteErrorHandler('Address request failed');
+
+export async function PUT(request, { params }) {
+    const { addressId } = await params;
+    if (!/^[\w-]+$/.test(addressId)) return invalidId();
+
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const address = await request.json();
+
+        const validation = validateAddressDetails(address, { requireLabel: true });
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid address', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        const data = await serverAuthPut(endpoints.addressById(addressId), toAddressPayload(address), { request });
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const { addressId } = await params;
+    if (!/^[\w-]+$/.test(addressId)) return invalidId();
+
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const data = await serverAuthDelete(endpoints.addressById(addressId), { request });
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
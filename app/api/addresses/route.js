@@ -0,0 +1,44 @@
+// app/api/addresses/route.js - Address book of the signed-in user
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthGet, serverAuthPost } from '@/lib/api/server';
+import { validateAddressDetails } from '@/utils/validation';
+import { toAddressPayload } from '@/services/address.service';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Address request failed');
+
+export async function GET(request) {
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const data = await serverAuthGet(endpoints.addresses, { request });
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+export async function POST(request) {
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const address = await request.json();
+
+        const validation = validateAddressDetails(address, { requireLabel: true });
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid address', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        const data = await serverAuthPost(endpoints.addresses, toAddressPayload(address), { request, retries: 0 });
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
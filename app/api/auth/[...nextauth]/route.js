@@ -2,40 +2,60 @@
 import NextAuth from "next-auth";
 import CredentialsProvider from "next-auth/providers/credentials";
 import { SESSION_CONFIG } from "@/config/api.config";
+import { consumeVerifiedChallenge } from "@/lib/auth/otpChallenges";
+import { redeemSignInTicket } from "@/lib/auth/signInTickets";
+import { getAccessTokenExpiry, shouldRefreshToken, refreshSessionToken } from "@/lib/auth/tokenRefresh";
+
+// Shape both providers hand to the jwt callback; the upstream token only lives in the JWT
+const toSessionUser = (user) => ({
+  id: user.id,
+  mobile: user.mobile,
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  address: user.address || null,
+  roles: user.roles,
+  accessToken: user.token,
+  refreshToken: user.refreshToken || null,
+  tokenExpiresAt: getAccessTokenExpiry(user.expiresIn),
+});
 
 const authOptions = {
   providers: [
+    // Password sign-in: /api/auth/login checks the credentials upstream and parks the
+    // result behind a single-use ticket, so the upstream token never reaches the browser
     CredentialsProvider({
       id: "credentials",
       name: "Credentials",
       credentials: {
-        id: { label: "ID", type: "text" },
-        mobile: { label: "Mobile", type: "text" },
-        token: { label: "Token", type: "text" },
-        firstName: { label: "First Name", type: "text" },
-        lastName: { label: "Last Name", type: "text" },
-        address: { label: "Address", type: "text" }
+        ticket: { label: "Ticket", type: "text" }
       },
 
       async authorize(credentials) {
-        try {
-          if (!credentials?.token || !credentials?.id) {
-            console.error("Missing credentials in authorize");
-            return null;
-          }
-
-          return {
-            id: credentials.id,
-            mobile: credentials.mobile,
-            firstName: credentials.firstName,
-            lastName: credentials.lastName,
-            address: credentials.address || null,
-            accessToken: credentials.token,
-          };
-        } catch (error) {
-          console.error("Authorization error:", error);
+        const user = credentials?.ticket && await redeemSignInTicket(credentials.ticket);
+        if (!user?.token) {
+          console.error("Unknown or expired sign-in ticket");
           return null;
         }
+
+        return toSessionUser(user);
+      },
+    }),
+    // OTP sign-in: only a challenge verified by /api/auth/otp/verify opens a session,
+    // and the upstream token is taken from the server-side challenge, never from the browser
+    CredentialsProvider({
+      id: "otp",
+      name: "OTP",
+      credentials: {
+        challengeId: { label: "Challenge", type: "text" }
+      },
+
+      async authorize(credentials) {
+        const user = credentials?.challengeId && await consumeVerifiedChallenge(credentials.challengeId);
+        if (!user?.token) {
+          return null;
+        }
+
+        return toSessionUser(user);
       },
     }),
   ],
@@ -49,9 +69,12 @@ const authOptions = {
         token.firstName = user.firstName;
         token.lastName = user.lastName;
         token.address = user.address;
+        token.roles = user.roles;
         token.accessToken = user.accessToken;
+        token.refreshToken = user.refreshToken;
         token.tokenIssuedAt = Date.now();
-        token.tokenExpiresAt = Date.now() + SESSION_CONFIG.TOKEN_EXPIRY_MS;
+        token.tokenExpiresAt = user.tokenExpiresAt;
+        delete token.error;
       }
 
       // Handle session updates
@@ -61,24 +84,9 @@ const authOptions = {
         token.address = session.address || token.address;
       }
 
-      // Check token expiration
-      if (token.tokenExpiresAt && Date.now() > token.tokenExpiresAt) {
-        // Try to refresh token
-        try {
-          const refreshedToken = await refreshAccessToken(token.accessToken);
-          if (refreshedToken) {
-            token.accessToken = refreshedToken.accessToken;
-            token.tokenIssuedAt = Date.now();
-            token.tokenExpiresAt = Date.now() + SESSION_CONFIG.TOKEN_EXPIRY_MS;
-          } else {
-            // Token refresh failed - return null to force re-authentication
-            console.warn("Token refresh failed, forcing re-authentication");
-            return null;
-          }
-        } catch (error) {
-          console.error('Token refresh error:', error);
-          return null;
-        }
+      // Refresh ahead of expiry; a failure is reported through session.error instead of a null session
+      if (await shouldRefreshToken(token)) {
+        return refreshSessionToken(token);
       }
 
       return token;
@@ -90,11 +98,6 @@ const authOptions = {
         return null;
       }
 
-      // Check if token is still valid
-      if (token.tokenExpiresAt && Date.now() > token.tokenExpiresAt) {
-        return null;
-      }
-
       // Populate session with user data
       session.user = {
         id: token.id,
@@ -102,12 +105,18 @@ const authOptions = {
         firstName: token.firstName,
         lastName: token.lastName,
         address: token.address,
+        roles: token.roles,
       };
 
       // Keep access token server-side only - DO NOT expose to client
       // This is stored in the token and can be accessed server-side
       session.tokenExpiresAt = token.tokenExpiresAt;
 
+      // Lets the client prompt for a new login when the access token could not be refreshed
+      if (token.error) {
+        session.error = token.error;
+      }
+
       return session;
     },
   },
@@ -120,9 +129,7 @@ const authOptions = {
 
   cookies: {
     sessionToken: {
-      name: process.env.NODE_ENV === 'production'
-        ? '__Secure-next-auth.session-token'
-        : 'next-auth.session-token',
+      name: SESSION_CONFIG.COOKIE_NAME,
       options: {
         httpOnly: true,
         sameSite: 'lax', // Changed to 'lax' for better compatibility
@@ -178,38 +185,6 @@ const authOptions = {
   },
 };
 
-/**
- * Refresh access token from backend
- * @param {string} token - Current access token
- * @returns {Object|null} - New token data or null if refresh failed
- */
-async function refreshAccessToken(token) {
-  try {
-    const response = await fetch(`${process.env.NEXT_PUBLIC_API_BASE_URL}/auth/refresh`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify({ token })
-    });
-
-    if (!response.ok) {
-      throw new Error('Token refresh failed');
-    }
-
-    const data = await response.json();
-
-    return {
-      accessToken: data.accessToken || data.token,
-      refreshToken: data.refreshToken || data.token
-    };
-  } catch (error) {
-    console.error('Token refresh failed:', error);
-    return null;
-  }
-}
-
 /**
  * Invalidate token on backend
  * @param {string} token - Access token to invalidate
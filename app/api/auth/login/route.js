@@ -0,0 +1,83 @@
+// app/api/auth/login/route.js - Password login; credentials arrive in the body and the upstream token stays here
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverPost } from '@/lib/api/server';
+import { APIError, getLangHeaders } from '@/lib/api/shared';
+import { ERROR_MESSAGES, RATE_LIMIT_CONFIG } from '@/config/api.config';
+import { validateMobile, validatePassword, normalizeMobile } from '@/utils/validation';
+import { issueSignInTicket } from '@/lib/auth/signInTickets';
+import { normalizeRoles } from '@/lib/auth/permissions';
+import {
+    consumeRateLimit,
+    getAuthRateLimitKey,
+    rateLimitedResponse,
+    withRateLimitHeaders
+} from '@/lib/security/rateLimit';
+
+function invalidCredentials(message = ERROR_MESSAGES.INVALID_CREDENTIALS) {
+    return NextResponse.json(
+        { success: false, error: 'Invalid credentials', errors: { password: message } },
+        { status: 401 }
+    );
+}
+
+function handleError(error) {
+    console.error('Login failed:', error);
+    const status = error instanceof APIError && error.status ? error.status : 500;
+    return NextResponse.json({ success: false, error: 'Login failed' }, { status });
+}
+
+export async function POST(request) {
+    try {
+        const { mobile, password } = await request.json();
+
+        const errors = {};
+        const mobileError = validateMobile(mobile);
+        if (mobileError) errors.mobile = mobileError;
+        const passwordError = validatePassword(password);
+        if (passwordError) errors.password = passwordError;
+
+        if (Object.keys(errors).length > 0) {
+            return NextResponse.json({ success: false, error: 'Invalid credentials', errors }, { status: 400 });
+        }
+
+        // Counted before the upstream call, so failed guesses use up the allowance too
+        const limit = await consumeRateLimit(getAuthRateLimitKey('login', request, mobile), RATE_LIMIT_CONFIG.AUTH);
+        if (!limit.allowed) {
+            return rateLimitedResponse(limit, { mobile: ERROR_MESSAGES.RATE_LIMIT });
+        }
+
+        const cleanMobile = normalizeMobile(mobile);
+        const locale = request.headers.get('x-locale') || 'ar';
+
+        const response = await serverPost(endpoints.auth.loginWithPassword(cleanMobile, password), undefined, {
+            headers: getLangHeaders(locale),
+            retries: 0,
+        });
+
+        const user = response?.data;
+        if (!response?.success || !user?.token || !user?.id) {
+            return withRateLimitHeaders(invalidCredentials(response?.errorMessage || undefined), limit);
+        }
+
+        const ticket = await issueSignInTicket({
+            id: user.id,
+            mobile: user.lastMobileDigit || cleanMobile,
+            token: user.token,
+            refreshToken: user.refreshToken || null,
+            expiresIn: user.expiresIn,
+            firstName: user.firstName || '',
+            lastName: user.lastName || '',
+            address: user.address || null,
+            roles: normalizeRoles(user),
+        });
+
+        // Only what signIn("credentials") needs; the token is redeemed server-side from the ticket
+        return withRateLimitHeaders(NextResponse.json({ success: true, data: { ticket } }), limit);
+    } catch (error) {
+        if (error instanceof APIError && (error.status === 400 || error.status === 401)) {
+            return invalidCredentials();
+        }
+        return handleError(error);
+    }
+}
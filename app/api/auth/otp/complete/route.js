@@ -0,0 +1,84 @@
+// app/api/auth/otp/complete/route.js - Complete a new user's profile after OTP verification
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverPost } from '@/lib/api/server';
+import { APIError, getLangHeaders } from '@/lib/api/shared';
+import { ERROR_MESSAGES, RATE_LIMIT_CONFIG } from '@/config/api.config';
+import { validateProfileData, sanitizeInput } from '@/utils/validation';
+import { getVerifiedChallengeUser, updateVerifiedChallengeUser } from '@/lib/auth/otpChallenges';
+import {
+    consumeRateLimit,
+    getAuthRateLimitKey,
+    rateLimitedResponse,
+    withRateLimitHeaders
+} from '@/lib/security/rateLimit';
+
+function handleError(error) {
+    console.error('Profile completion failed:', error);
+    const status = error instanceof APIError && error.status ? error.status : 500;
+    return NextResponse.json({ success: false, error: 'Profile completion failed' }, { status });
+}
+
+export async function POST(request) {
+    try {
+        const { challengeId, firstName, lastName, address, password } = await request.json();
+
+        // The upstream id comes from the verified challenge, never from the browser
+        const user = typeof challengeId === 'string' ? await getVerifiedChallengeUser(challengeId) : null;
+        if (!user?.isNewUser) {
+            return NextResponse.json(
+                { success: false, error: 'OTP not verified', errors: { otp: ERROR_MESSAGES.OTP_EXPIRED } },
+                { status: 410 }
+            );
+        }
+
+        const limit = await consumeRateLimit(
+            getAuthRateLimitKey('otp-complete', request, user.mobile),
+            RATE_LIMIT_CONFIG.AUTH
+        );
+        if (!limit.allowed) {
+            return rateLimitedResponse(limit, { form: ERROR_MESSAGES.RATE_LIMIT });
+        }
+
+        const validation = validateProfileData({ firstName, lastName, address, password });
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid profile data', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        const profile = {
+            firstName: sanitizeInput(firstName),
+            lastName: sanitizeInput(lastName),
+            address: sanitizeInput(address),
+        };
+
+        const response = await serverPost(endpoints.auth.completeOtpProfile({
+            id: user.id,
+            ...profile,
+            password,
+        }), undefined, {
+            headers: getLangHeaders(request.headers.get('x-locale') || 'ar'),
+            retries: 0,
+        });
+
+        if (response?.success === false) {
+            return NextResponse.json(
+                {
+                    success: false,
+                    error: 'Profile not saved',
+                    errors: { form: response.errorMessage || ERROR_MESSAGES.SAVE_FAILED }
+                },
+                { status: 400 }
+            );
+        }
+
+        // The session opened next by signIn("otp") starts with the saved names
+        await updateVerifiedChallengeUser(challengeId, { ...profile, isNewUser: false });
+
+        return withRateLimitHeaders(NextResponse.json({ success: true }), limit);
+    } catch (error) {
+        return handleError(error);
+    }
+}
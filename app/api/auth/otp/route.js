@@ -0,0 +1,103 @@
+// app/api/auth/otp/route.js - Request a sign-in OTP; the code stays on the server
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverPost } from '@/lib/api/server';
+import { APIError, getLangHeaders } from '@/lib/api/shared';
+import { ERROR_MESSAGES, RATE_LIMIT_CONFIG } from '@/config/api.config';
+import { validateMobile, normalizeMobile } from '@/utils/validation';
+import { createOtpChallenge, checkOtpSend } from '@/lib/auth/otpChallenges';
+import { normalizeRoles } from '@/lib/auth/permissions';
+import {
+    consumeRateLimit,
+    getAuthRateLimitKey,
+    rateLimitedResponse,
+    withRateLimitHeaders
+} from '@/lib/security/rateLimit';
+
+// The number's resend cooldown has not passed yet; the body carries the wait for the UI countdown
+function resendTooSoon({ retryAt, limitReached }) {
+    const retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    return NextResponse.json(
+        {
+            success: false,
+            error: 'Resend cooldown',
+            errors: { mobile: limitReached ? ERROR_MESSAGES.OTP_SEND_LIMIT : ERROR_MESSAGES.OTP_RESEND_WAIT },
+            retryAfter
+        },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+    );
+}
+
+function handleError(error) {
+    console.error('OTP request failed:', error);
+    const status = error instanceof APIError && error.status ? error.status : 500;
+    return NextResponse.json({ success: false, error: 'OTP request failed' }, { status });
+}
+
+export async function POST(request) {
+    try {
+        const { mobile } = await request.json();
+
+        const mobileError = validateMobile(mobile);
+        if (mobileError) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid mobile', errors: { mobile: mobileError } },
+                { status: 400 }
+            );
+        }
+
+        // Checked before counting the request, so waiting out the cooldown costs nothing
+        const send = await checkOtpSend(normalizeMobile(mobile));
+        if (!send.allowed) {
+            return resendTooSoon(send);
+        }
+
+        // Each request sends an SMS, so it is limited per address and number
+        const limit = await consumeRateLimit(getAuthRateLimitKey('otp', request, mobile), RATE_LIMIT_CONFIG.AUTH);
+        if (!limit.allowed) {
+            return rateLimitedResponse(limit, { mobile: ERROR_MESSAGES.RATE_LIMIT });
+        }
+
+        const cleanMobile = normalizeMobile(mobile);
+        const locale = request.headers.get('x-locale') || 'ar';
+
+        // No retries: every call sends the customer another SMS
+        const response = await serverPost(endpoints.auth.loginWithOtp(cleanMobile), undefined, {
+            headers: getLangHeaders(locale),
+            retries: 0,
+        });
+
+        const user = response?.data;
+        if (!user?.userOTP || !user?.id) {
+            return NextResponse.json(
+                {
+                    success: false,
+                    error: 'OTP not issued',
+                    errors: { mobile: response?.errorMessage || ERROR_MESSAGES.UNEXPECTED_ERROR }
+                },
+                { status: 400 }
+            );
+        }
+
+        const challenge = await createOtpChallenge({
+            otp: user.userOTP,
+            mobile: cleanMobile,
+            user: {
+                id: user.id,
+                mobile: user.mobile || cleanMobile,
+                token: user.token,
+                refreshToken: user.refreshToken || null,
+                expiresIn: user.expiresIn,
+                firstName: user.firstName || '',
+                lastName: user.lastName || '',
+                address: user.address || null,
+                roles: normalizeRoles(user),
+                isNewUser: !user.verify,
+            },
+        });
+
+        return withRateLimitHeaders(NextResponse.json({ success: true, data: challenge }), limit);
+    } catch (error) {
+        return handleError(error);
+    }
+}
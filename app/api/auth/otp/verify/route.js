@@ -0,0 +1,51 @@
+// app/api/auth/otp/verify/route.js - Check a sign-in OTP against its server-side challenge
+import { NextResponse } from 'next/server';
+import { ERROR_MESSAGES } from '@/config/api.config';
+import { validateOtp } from '@/utils/validation';
+import { verifyOtpChallenge, OTP_RESULT } from '@/lib/auth/otpChallenges';
+
+const FAILURES = {
+    [OTP_RESULT.INVALID]: { status: 400, error: 'Invalid OTP', message: ERROR_MESSAGES.INVALID_OTP },
+    [OTP_RESULT.LOCKED]: { status: 429, error: 'Too many attempts', message: ERROR_MESSAGES.OTP_ATTEMPTS_EXCEEDED },
+    [OTP_RESULT.EXPIRED]: { status: 410, error: 'OTP expired', message: ERROR_MESSAGES.OTP_EXPIRED },
+};
+
+function handleError(error) {
+    console.error('OTP verification failed:', error);
+    return NextResponse.json({ success: false, error: 'OTP verification failed' }, { status: 500 });
+}
+
+export async function POST(request) {
+    try {
+        const { challengeId, otp } = await request.json();
+
+        if (typeof challengeId !== 'string' || !challengeId) {
+            const { status, error, message } = FAILURES[OTP_RESULT.EXPIRED];
+            return NextResponse.json({ success: false, error, errors: { otp: message } }, { status });
+        }
+
+        const otpError = validateOtp(otp);
+        if (otpError) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid OTP format', errors: { otp: otpError } },
+                { status: 400 }
+            );
+        }
+
+        const { result, attemptsLeft, user } = await verifyOtpChallenge(challengeId, otp);
+
+        if (result !== OTP_RESULT.VERIFIED) {
+            const { status, error, message } = FAILURES[result];
+            return NextResponse.json(
+                { success: false, error, errors: { otp: message }, attemptsLeft },
+                { status }
+            );
+        }
+
+        // The session itself is created by the NextAuth "otp" provider, which consumes this challenge.
+        // New users complete their profile through /api/auth/otp/complete first.
+        return NextResponse.json({ success: true, data: { isNewUser: user.isNewUser } });
+    } catch (error) {
+        return handleError(error);
+    }
+}
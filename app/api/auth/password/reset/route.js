@@ -0,0 +1,85 @@
+// app/api/auth/password/reset/route.js - Set a new password after the mobile number was verified by OTP
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverPost } from '@/lib/api/server';
+import { APIError, getLangHeaders } from '@/lib/api/shared';
+import { ERROR_MESSAGES, RATE_LIMIT_CONFIG } from '@/config/api.config';
+import { validatePasswordReset } from '@/utils/validation';
+import { getVerifiedChallengeUser } from '@/lib/auth/otpChallenges';
+import {
+    consumeRateLimit,
+    getAuthRateLimitKey,
+    rateLimitedResponse,
+    withRateLimitHeaders
+} from '@/lib/security/rateLimit';
+
+function handleError(error) {
+    console.error('Password reset failed:', error);
+    const status = error instanceof APIError && error.status ? error.status : 500;
+    return NextResponse.json({ success: false, error: 'Password reset failed' }, { status });
+}
+
+export async function POST(request) {
+    try {
+        const { challengeId, password, confirmPassword } = await request.json();
+
+        // Whose password changes comes from the verified challenge, never from the browser
+        const user = typeof challengeId === 'string' ? await getVerifiedChallengeUser(challengeId) : null;
+        if (!user?.token) {
+            return NextResponse.json(
+                { success: false, error: 'OTP not verified', errors: { otp: ERROR_MESSAGES.OTP_EXPIRED } },
+                { status: 410 }
+            );
+        }
+
+        // Numbers without an account finish sign-up (/api/auth/otp/complete) instead
+        if (user.isNewUser) {
+            return NextResponse.json(
+                { success: false, error: 'No account', errors: { mobile: ERROR_MESSAGES.NO_ACCOUNT_FOR_MOBILE } },
+                { status: 404 }
+            );
+        }
+
+        const validation = validatePasswordReset({ password, confirmPassword });
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid password', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        // Counted only once the new password is valid, so typos do not use up attempts
+        const limit = await consumeRateLimit(
+            getAuthRateLimitKey('password-reset', request, user.mobile),
+            RATE_LIMIT_CONFIG.AUTH
+        );
+        if (!limit.allowed) {
+            return rateLimitedResponse(limit, { password: ERROR_MESSAGES.RATE_LIMIT });
+        }
+
+        // The OTP sign-in token authorizes the change, as the old password would otherwise
+        const response = await serverPost(endpoints.auth.resetPassword, { newPassword: password }, {
+            headers: {
+                'Authorization': `Bearer ${user.token}`,
+                ...getLangHeaders(request.headers.get('x-locale') || 'ar'),
+            },
+            retries: 0,
+        });
+
+        if (response?.success === false) {
+            return NextResponse.json(
+                {
+                    success: false,
+                    error: 'Password not reset',
+                    errors: { password: response.errorMessage || ERROR_MESSAGES.PASSWORD_RESET_FAILED }
+                },
+                { status: 400 }
+            );
+        }
+
+        // The challenge stays verified, so signIn("otp") opens the session next
+        return withRateLimitHeaders(NextResponse.json({ success: true }), limit);
+    } catch (error) {
+        return handleError(error);
+    }
+}
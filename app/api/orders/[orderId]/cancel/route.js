@@ -0,0 +1,37 @@
+// app/api/orders/[orderId]/cancel/route.js - Cancel an order that has not shipped yet
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthGet, serverAuthPost } from '@/lib/api/server';
+import { canCancelOrder } from '@/lib/orders/status';
+import { normalizeOrder } from '@/services/order.service';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Order cancellation failed');
+
+export async function POST(request, { params }) {
+    const { orderId } = await params;
+    if (!/^[\w-]+$/.test(orderId)) {
+        return NextResponse.json({ success: false, error: 'Invalid order id' }, { status: 400 });
+    }
+
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        // Check the live status: the page the customer clicked on may be stale
+        const order = normalizeOrder(await serverAuthGet(endpoints.orderById(orderId), { request }));
+
+        if (!order || !canCancelOrder(order.status)) {
+            return NextResponse.json(
+                { success: false, error: 'Order can no longer be cancelled', status: order?.status ?? null },
+                { status: 409 }
+            );
+        }
+
+        const data = await serverAuthPost(endpoints.orderCancel(orderId), {}, { request, retries: 0 });
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
@@ -0,0 +1,34 @@
+// app/api/orders/[orderId]/reorder/route.js - Cart lines for ordering the same items again
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthGet } from '@/lib/api/server';
+import { resolveReorderLines } from '@/lib/orders/reorder';
+import { normalizeOrder } from '@/services/order.service';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Reorder failed');
+
+export async function GET(request, { params }) {
+    const { orderId } = await params;
+    if (!/^[\w-]+$/.test(orderId)) {
+        return NextResponse.json({ success: false, error: 'Invalid order id' }, { status: 400 });
+    }
+
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const order = normalizeOrder(await serverAuthGet(endpoints.orderById(orderId), { request }));
+
+        if (!order) {
+            return NextResponse.json({ success: false, error: 'Order not found' }, { status: 404 });
+        }
+
+        // Prices and stock come from the catalogue today, not from the old order
+        const data = await resolveReorderLines(order.items, request.headers.get('x-locale') || 'ar');
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        return handleError(error);
+    }
+}
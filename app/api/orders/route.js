@@ -0,0 +1,76 @@
+// app/api/orders/route.js - Placing orders for signed-in users (order history is read through /api/proxy)
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthPost } from '@/lib/api/server';
+import { validateCheckout, toOrderPayload } from '@/lib/checkout/steps';
+import { isPaymentAvailable, startPayment, recordPayment, getAppOrigin } from '@/lib/payments/gateway';
+import { PAYMENT_STATUS } from '@/lib/payments/providers';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Order request failed');
+
+// Only the total the backend priced is charged; the checkout's line prices come from the browser
+const getConfirmedTotal = (data) => {
+    const total = Number(data?.total ?? data?.data?.total);
+    return Number.isFinite(total) && total > 0 ? total : null;
+};
+
+// The order is placed by now, so a payment failure is reported instead of failing the request
+async function beginPayment(request, checkout, data, orderId) {
+    const amount = getConfirmedTotal(data);
+
+    try {
+        const payment = await startPayment({
+            orderId,
+            amount,
+            method: checkout.paymentMethod,
+            locale: request.headers.get('x-locale'),
+            origin: getAppOrigin(),
+        });
+
+        if (payment.status !== PAYMENT_STATUS.PENDING) {
+            await recordPayment(orderId, payment, { request });
+        }
+        return payment;
+    } catch (error) {
+        console.error('Payment could not be started:', error);
+        return { method: checkout.paymentMethod, status: PAYMENT_STATUS.FAILED };
+    }
+}
+
+export async function POST(request) {
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const checkout = await request.json();
+
+        // Never trust the client's step validation
+        const validation = validateCheckout(checkout);
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid checkout data', step: validation.step, errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        if (!isPaymentAvailable(checkout.paymentMethod)) {
+            return NextResponse.json(
+                { success: false, error: 'Payment method unavailable', step: 'payment' },
+                { status: 400 }
+            );
+        }
+
+        const payload = toOrderPayload(checkout, request.headers.get('x-locale'));
+
+        // No retries: a repeated POST could place the order twice
+        const data = await serverAuthPost(endpoints.orders, payload, { request, retries: 0 });
+        const orderId = data?.orderId ?? data?.id ?? data?.data?.orderId ?? data?.data?.id;
+        const payment = await beginPayment(request, checkout, data, orderId);
+
+        return NextResponse.json({ success: true, data: { ...data, orderId, payment } });
+    } catch (error) {
+        return handleError(error);
+    }
+}
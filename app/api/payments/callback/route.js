@@ -0,0 +1,34 @@
+// app/api/payments/callback/route.js - Server-to-server payment notifications from the gateway
+import { NextResponse } from 'next/server';
+import { APIError } from '@/lib/api/shared';
+import { parsePaymentResult, recordPayment, getPaymentServiceHeaders } from '@/lib/payments/gateway';
+
+export async function POST(request) {
+    let params;
+    try {
+        params = await request.json();
+    } catch {
+        return NextResponse.json({ success: false, error: 'Invalid payload' }, { status: 400 });
+    }
+
+    const result = parsePaymentResult(params);
+    if (!result) {
+        return NextResponse.json({ success: false, error: 'Invalid signature' }, { status: 400 });
+    }
+
+    const headers = getPaymentServiceHeaders();
+    if (!headers) {
+        console.error('PAYMENT_SERVICE_TOKEN is not set; payment callback dropped');
+        return NextResponse.json({ success: false, error: 'Payments not configured' }, { status: 503 });
+    }
+
+    try {
+        await recordPayment(result.orderId, result, { headers });
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        console.error('Payment callback failed:', error);
+        // A non-2xx answer makes the gateway retry the notification
+        const status = error instanceof APIError && error.status ? error.status : 500;
+        return NextResponse.json({ success: false, error: 'Payment callback failed' }, { status });
+    }
+}
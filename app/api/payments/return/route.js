@@ -0,0 +1,30 @@
+// app/api/payments/return/route.js - Where the gateway sends the customer back after paying
+import { NextResponse } from 'next/server';
+import { API_ERRORS } from '@/lib/api/shared';
+import { i18n } from '@/lib/i18n/config';
+import { parsePaymentResult, recordPayment, getAppOrigin } from '@/lib/payments/gateway';
+
+export async function GET(request) {
+    const params = Object.fromEntries(request.nextUrl.searchParams);
+    const locale = i18n.locales.includes(params.locale) ? params.locale : i18n.defaultLocale;
+    const origin = getAppOrigin();
+
+    const result = parsePaymentResult(params);
+    if (!result) {
+        return NextResponse.redirect(`${origin}/${locale}/orders`);
+    }
+
+    // Record it now if the customer is still signed in; the gateway callback covers the rest
+    try {
+        await recordPayment(result.orderId, result, { request });
+    } catch (error) {
+        if (error?.type !== API_ERRORS.UNAUTHORIZED) {
+            console.error('Payment result could not be recorded:', error);
+        }
+    }
+
+    const query = new URLSearchParams({ payment: result.status });
+    return NextResponse.redirect(
+        `${origin}/${locale}/checkout/confirmation/${encodeURIComponent(result.orderId)}?${query}`
+    );
+}
@@ -0,0 +1,48 @@
+// app/api/profile/password/route.js - Change the signed-in user's password
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthPost } from '@/lib/api/server';
+import { APIError } from '@/lib/api/shared';
+import { ERROR_MESSAGES } from '@/config/api.config';
+import { validatePasswordChange } from '@/utils/validation';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Password change failed');
+
+export async function POST(request) {
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const data = await request.json();
+
+        const validation = validatePasswordChange(data);
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid password data', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        await serverAuthPost(endpoints.auth.changePassword, {
+            currentPassword: data.currentPassword,
+            newPassword: data.newPassword,
+        }, { request, retries: 0 });
+
+        return NextResponse.json({ success: true });
+    } catch (error) {
+        // The backend rejects a wrong current password with 400
+        if (error instanceof APIError && error.status === 400) {
+            return NextResponse.json(
+                {
+                    success: false,
+                    error: 'Incorrect password',
+                    errors: { currentPassword: ERROR_MESSAGES.INVALID_CREDENTIALS }
+                },
+                { status: 400 }
+            );
+        }
+        return handleError(error);
+    }
+}
@@ -0,0 +1,43 @@
+// app/api/profile/route.js - Update the signed-in user's personal info
+import { NextResponse } from 'next/server';
+import { endpoints } from '@/lib/api/endpoints';
+import { serverAuthPut } from '@/lib/api/server';
+import { validateProfileData, sanitizeInput } from '@/utils/validation';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+const handleError = createRouteErrorHandler('Profile update failed');
+
+export async function PUT(request) {
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const { firstName, lastName, address } = await request.json();
+
+        // Saved addresses live in the address book; a one-line address is only sent when provided
+        const validation = validateProfileData(
+            { firstName, lastName, address },
+            { requirePassword: false, requireAddress: false }
+        );
+        if (!validation.isValid) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid profile data', errors: validation.errors },
+                { status: 400 }
+            );
+        }
+
+        const profile = {
+            firstName: sanitizeInput(firstName),
+            lastName: sanitizeInput(lastName),
+            ...(address ? { address: sanitizeInput(address) } : {}),
+        };
+
+        await serverAuthPut(endpoints.auth.profile, profile, { request });
+
+        // Echo the saved values so the client can refresh its session with them
+        return NextResponse.json({ success: true, data: profile });
+    } catch (error) {
+        return handleError(error);
+    }
+}
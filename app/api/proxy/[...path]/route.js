@@ -0,0 +1,117 @@
+// app/api/proxy/[...path]/route.js - Backend calls from client components, with the session token attached here
+import { NextResponse } from 'next/server';
+import { BASE_URL } from '@/lib/api/endpoints';
+import { serverAuthFetch } from '@/lib/api/server';
+import { RATE_LIMIT_CONFIG } from '@/config/api.config';
+import {
+    consumeRateLimit,
+    getClientIP,
+    getRateLimitHeaders,
+    rateLimitedResponse
+} from '@/lib/security/rateLimit';
+import { authorizeRequest, createRouteErrorHandler } from '@/lib/auth/authorize';
+import { PERMISSIONS } from '@/lib/auth/permissions';
+
+// Backend paths (relative to BASE_URL) client components may reach, and with which methods.
+// Anything with extra rules (address validation, placing or cancelling orders, auth) keeps its own route handler.
+const ALLOWED_ROUTES = [
+    { pattern: /^cart$/, methods: ['GET', 'POST', 'PUT', 'DELETE'] },
+    { pattern: /^favorites$/, methods: ['GET', 'POST', 'DELETE'] },
+    { pattern: /^orders$/, methods: ['GET'] },
+    { pattern: /^orders\/[\w-]+$/, methods: ['GET'] },
+];
+
+// Connection-level headers (RFC 9110 §7.6.1) plus ones this hop sets itself or must never pass on
+const HOP_BY_HOP_HEADERS = new Set([
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+    'host',
+    'content-length',
+]);
+// Only these reach the backend from the browser; Authorization and the locale headers are set here
+const FORWARDED_REQUEST_HEADERS = ['accept', 'content-type', 'accept-language'];
+// fetch has already decoded the body, so its encoding headers no longer apply
+const BLOCKED_RESPONSE_HEADERS = new Set(['set-cookie', 'content-encoding']);
+
+const pickRequestHeaders = (headers) => Object.fromEntries(
+    FORWARDED_REQUEST_HEADERS
+        .filter(name => headers.has(name))
+        .map(name => [name, headers.get(name)])
+);
+
+const filterHeaders = (headers, blocked) => {
+    // Headers named in Connection are hop-by-hop for this message too
+    const listed = (headers.get('connection') || '').split(',').map(name => name.trim().toLowerCase());
+    const filtered = new Headers();
+
+    headers.forEach((value, name) => {
+        if (HOP_BY_HOP_HEADERS.has(name) || blocked.has(name) || listed.includes(name)) return;
+        filtered.set(name, value);
+    });
+    return filtered;
+};
+
+// Timeouts are the backend being slow; anything else is a bad gateway
+const handleError = createRouteErrorHandler(
+    'Proxy request failed',
+    (error) => (error?.name === 'TimeoutError' ? 504 : 502)
+);
+
+async function proxy(request, { params }) {
+    const { path = [] } = await params;
+    const method = request.method;
+
+    // Plain segments only: no traversal or encoded separators reach the backend URL
+    if (!path.every(segment => /^[\w-]+$/.test(segment))) {
+        return NextResponse.json({ success: false, error: 'Not found' }, { status: 404 });
+    }
+
+    const route = ALLOWED_ROUTES.find(({ pattern }) => pattern.test(path.join('/')));
+    if (!route) {
+        return NextResponse.json({ success: false, error: 'Not found' }, { status: 404 });
+    }
+    if (!route.methods.includes(method)) {
+        return NextResponse.json(
+            { success: false, error: 'Method not allowed' },
+            { status: 405, headers: { 'Allow': route.methods.join(', ') } }
+        );
+    }
+
+    const limit = await consumeRateLimit(`proxy:${getClientIP(request)}`, RATE_LIMIT_CONFIG.API);
+    if (!limit.allowed) {
+        return rateLimitedResponse(limit);
+    }
+
+    try {
+        const { response: denied } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        if (denied) return denied;
+
+        const { search } = new URL(request.url);
+        const body = method === 'GET' || method === 'DELETE' ? undefined : await request.text();
+
+        const upstream = await serverAuthFetch(`${BASE_URL}/${path.join('/')}${search}`, {
+            request,
+            method,
+            body,
+            headers: pickRequestHeaders(request.headers),
+        });
+
+        const headers = filterHeaders(upstream.headers, BLOCKED_RESPONSE_HEADERS);
+        Object.entries(getRateLimitHeaders(limit)).forEach(([name, value]) => headers.set(name, value));
+
+        return new NextResponse(upstream.body, { status: upstream.status, headers });
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+export const GET = proxy;
+export const POST = proxy;
+export const PUT = proxy;
+export const DELETE = proxy;
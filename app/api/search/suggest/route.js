@@ -0,0 +1,66 @@
+// app/api/search/suggest/route.js - Typeahead suggestions for the header search
+import { NextResponse } from 'next/server';
+import { serverGetAdvancedSearch } from '@/lib/api/server';
+import { toApiFilters, normalizeSearchResults } from '@/lib/search/params';
+import { i18n } from '@/lib/i18n/config';
+import { RATE_LIMIT_CONFIG } from '@/config/api.config';
+import { consumeRateLimit, getClientIP, rateLimitedResponse, withRateLimitHeaders } from '@/lib/security/rateLimit';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_PER_GROUP = 5;
+
+// Prefer the groups the API returns, otherwise derive them from the matched products
+const collectGroup = (data, products, listKey, idKey, nameKey) => {
+    const source = Array.isArray(data?.[listKey])
+        ? data[listKey].map(entry => ({ id: entry.id ?? entry[idKey], name: entry.name ?? entry[nameKey] }))
+        : products.map(product => ({ id: product[idKey], name: product[nameKey] }));
+
+    const seen = new Set();
+    return source
+        .filter(entry => {
+            if (!entry.id || !entry.name || seen.has(String(entry.id))) return false;
+            seen.add(String(entry.id));
+            return true;
+        })
+        .slice(0, MAX_PER_GROUP);
+};
+
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const q = (searchParams.get('q') || '').trim().slice(0, 100);
+    const locale = i18n.locales.includes(searchParams.get('locale'))
+        ? searchParams.get('locale')
+        : i18n.defaultLocale;
+
+    if (q.length < MIN_QUERY_LENGTH) {
+        return NextResponse.json({ products: [], categories: [], brands: [] });
+    }
+
+    // Only queries that reach the search API are counted
+    const limit = await consumeRateLimit(`search:${getClientIP(request)}`, RATE_LIMIT_CONFIG.SEARCH);
+    if (!limit.allowed) {
+        return rateLimitedResponse(limit);
+    }
+
+    try {
+        const data = await serverGetAdvancedSearch(locale, toApiFilters({ q, page: 1 }));
+        const { products } = normalizeSearchResults(data);
+
+        return withRateLimitHeaders(NextResponse.json({
+            products: products.slice(0, MAX_PER_GROUP).map(product => ({
+                id: product.productId,
+                name: product.productName,
+                image: product.productImage || null,
+                price: product.saleaPrice ?? null,
+            })),
+            categories: collectGroup(data, products, 'categories', 'categoryId', 'categoryName'),
+            brands: collectGroup(data, products, 'brands', 'brandId', 'brandName'),
+        }), limit);
+    } catch (error) {
+        console.error('Search suggestions failed:', error);
+        return NextResponse.json(
+            { products: [], categories: [], brands: [], error: 'Suggestions unavailable' },
+            { status: 502 }
+        );
+    }
+}
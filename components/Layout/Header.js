@@ -4,7 +4,10 @@ import styles from "../../styles/layout/header.module.css";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
 import LanguageSwitcher from "../common/LanguageSwitcher/LanguageSwitcher";
+import HeaderSearch from "./HeaderSearch";
 import { useSession } from '@/hooks/useSession';
+import { useCart } from '@/hooks/useCart';
+import { useWishlist } from '@/hooks/useWishlist';
 import { Search, UserRound, Heart, ShoppingCart, Earth } from 'lucide-react';
 import Image from "next/image";
 import logo from '@/assets/logo.png'
@@ -14,6 +17,8 @@ const Header = ({ dictionary, locale }) => {
     const t = dictionary.header
     const router = useRouter()
     const { session, isAuthenticated, logout } = useSession();
+    const { itemCount } = useCart();
+    const { count: wishlistCount } = useWishlist();
 
     console.log(session)
     const handleSignOut = () => {
@@ -25,7 +30,7 @@ const Header = ({ dictionary, locale }) => {
             <header className={`${styles.header}`}>
                 <nav className={styles.nav}>
                     <div className={styles.Typewriter__sec}>
-                        fkkf
+                        <HeaderSearch t={t} locale={locale} />
                     </div>
 
                     <Link href={`/${locale}`} className={`${styles.logo}`}>
@@ -43,9 +48,15 @@ const Header = ({ dictionary, locale }) => {
                         <ul className={`${styles.icons__list}`}>
                             <p>jjjg</p>
                             {isAuthenticated ? (
-                                <Link href={`/${locale}/profile`}>
-
-                                    <Image alt='' src={profimg} className={styles.profimg} />
+                                <Link href={`/${locale}/profile`} className={styles.profileLink}>
+                                    <Image
+                                        alt={session?.user?.firstName ? '' : t.Profile}
+                                        src={profimg}
+                                        className={styles.profimg}
+                                    />
+                                    {session?.user?.firstName && (
+                                        <span className={styles.profileName}>{session.user.firstName}</span>
+                                    )}
                                 </Link>
                             ) : (
                                 <Link href={`/${locale}/signin`}>
@@ -55,8 +66,22 @@ const Header = ({ dictionary, locale }) => {
                                 </Link>
                             )}
 
-                            <p>jrfj</p>
-                            <p>jfjrj</p>
+                            <Link href={`/${locale}/cart`} aria-label={t.Cart}>
+                                <li className={`${styles.icons__item} ${styles.icon__badgeWrapper}`}>
+                                    <ShoppingCart />
+                                    {itemCount > 0 && (
+                                        <span className={styles.icon__badge}>{itemCount}</span>
+                                    )}
+                                </li>
+                            </Link>
+                            <Link href={`/${locale}/wishlist`} aria-label={t.Wishlist}>
+                                <li className={`${styles.icons__item} ${styles.icon__badgeWrapper}`}>
+                                    <Heart />
+                                    {wishlistCount > 0 && (
+                                        <span className={styles.icon__badge}>{wishlistCount}</span>
+                                    )}
+                                </li>
+                            </Link>
                             <LanguageSwitcher currentLocale={locale} />
                         </ul>
                     </div>
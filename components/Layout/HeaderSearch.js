@@ -0,0 +1,328 @@
+"use client";
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import { Search, Clock, X } from 'lucide-react';
+import { storage } from '@/utils/auth.utils';
+import styles from "../../styles/layout/headerSearch.module.css";
+
+const RECENT_SEARCHES_KEY = 'recent_searches';
+const MAX_RECENT_SEARCHES = 5;
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 300;
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], brands: [] };
+
+const getRecentSearches = () => {
+    const recent = storage.get(RECENT_SEARCHES_KEY, []);
+    return Array.isArray(recent) ? recent : [];
+};
+
+const HeaderSearch = ({ t, locale }) => {
+    const router = useRouter();
+    const listboxId = useId();
+    const containerRef = useRef(null);
+    const inputRef = useRef(null);
+
+    const [query, setQuery] = useState('');
+    const [isOpen, setIsOpen] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+    const [recentSearches, setRecentSearches] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(-1);
+
+    useEffect(() => {
+        setRecentSearches(getRecentSearches());
+    }, []);
+
+    const trimmedQuery = query.trim();
+    const showRecent = trimmedQuery.length < MIN_QUERY_LENGTH;
+
+    // Debounced suggestions fetch; stale requests are aborted
+    useEffect(() => {
+        if (trimmedQuery.length < MIN_QUERY_LENGTH) {
+            setSuggestions(EMPTY_SUGGESTIONS);
+            setIsLoading(false);
+            return;
+        }
+
+        const controller = new AbortController();
+        setIsLoading(true);
+
+        const timeoutId = setTimeout(async () => {
+            try {
+                const params = new URLSearchParams({ q: trimmedQuery, locale });
+                const response = await fetch(`/api/search/suggest?${params}`, { signal: controller.signal });
+                const data = await response.json();
+                setSuggestions({
+                    products: data.products || [],
+                    categories: data.categories || [],
+                    brands: data.brands || [],
+                });
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    setSuggestions(EMPTY_SUGGESTIONS);
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setIsLoading(false);
+                }
+            }
+        }, DEBOUNCE_MS);
+
+        return () => {
+            clearTimeout(timeoutId);
+            controller.abort();
+        };
+    }, [trimmedQuery, locale]);
+
+    // Close when clicking outside
+    useEffect(() => {
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    // Flat list of navigable options, in display order
+    const options = useMemo(() => {
+        if (showRecent) {
+            return recentSearches.map(term => ({
+                type: 'recent',
+                key: `recent-${term}`,
+                label: term,
+                href: `/${locale}/search?q=${encodeURIComponent(term)}`,
+                term,
+            }));
+        }
+
+        return [
+            ...suggestions.products.map(product => ({
+                type: 'products',
+                key: `product-${product.id}`,
+                label: product.name,
+                image: product.image,
+                href: `/${locale}/product/${product.id}`,
+            })),
+            ...suggestions.categories.map(category => ({
+                type: 'categories',
+                key: `category-${category.id}`,
+                label: category.name,
+                href: `/${locale}/categories/${encodeURIComponent(category.id)}`,
+            })),
+            ...suggestions.brands.map(brand => ({
+                type: 'brands',
+                key: `brand-${brand.id}`,
+                label: brand.name,
+                href: `/${locale}/brands/${encodeURIComponent(brand.id)}`,
+            })),
+        ];
+    }, [showRecent, recentSearches, suggestions, locale]);
+
+    useEffect(() => {
+        setActiveIndex(-1);
+    }, [options]);
+
+    const saveRecentSearch = useCallback((term) => {
+        const next = [term, ...getRecentSearches().filter(item => item !== term)].slice(0, MAX_RECENT_SEARCHES);
+        storage.set(RECENT_SEARCHES_KEY, next);
+        setRecentSearches(next);
+    }, []);
+
+    const clearRecentSearches = useCallback(() => {
+        storage.remove(RECENT_SEARCHES_KEY);
+        setRecentSearches([]);
+        inputRef.current?.focus();
+    }, []);
+
+    const close = useCallback(() => {
+        setIsOpen(false);
+        setActiveIndex(-1);
+    }, []);
+
+    const submitSearch = useCallback((term) => {
+        const value = term.trim();
+        if (!value) return;
+
+        saveRecentSearch(value);
+        setQuery(value);
+        close();
+        router.push(`/${locale}/search?q=${encodeURIComponent(value)}`);
+    }, [saveRecentSearch, close, router, locale]);
+
+    const selectOption = useCallback((option) => {
+        if (option.type === 'recent') {
+            submitSearch(option.term);
+            return;
+        }
+
+        if (trimmedQuery) {
+            saveRecentSearch(trimmedQuery);
+        }
+        close();
+        router.push(option.href);
+    }, [submitSearch, trimmedQuery, saveRecentSearch, close, router]);
+
+    const handleSubmit = useCallback((e) => {
+        e.preventDefault();
+        if (activeIndex >= 0 && options[activeIndex]) {
+            selectOption(options[activeIndex]);
+            return;
+        }
+        submitSearch(query);
+    }, [activeIndex, options, selectOption, submitSearch, query]);
+
+    const handleKeyDown = useCallback((e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setIsOpen(true);
+                setActiveIndex(prev => (options.length ? (prev + 1) % options.length : -1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setIsOpen(true);
+                setActiveIndex(prev => (options.length ? (prev - 1 + options.length) % options.length : -1));
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    close();
+                } else {
+                    setQuery('');
+                }
+                break;
+            default:
+                break;
+        }
+    }, [options.length, isOpen, close]);
+
+    const optionId = (index) => `${listboxId}-option-${index}`;
+    const hasOptions = options.length > 0;
+    const showPanel = isOpen && (hasOptions || (!showRecent && !isLoading));
+
+    // Render options grouped by type while keeping a single flat index
+    const renderGroup = (type, title) => {
+        const groupOptions = options
+            .map((option, index) => ({ option, index }))
+            .filter(({ option }) => option.type === type);
+
+        if (groupOptions.length === 0) return null;
+
+        return (
+            <li role="presentation" className={styles.group}>
+                <div className={styles.groupHeader}>
+                    <span>{title}</span>
+                    {type === 'recent' && (
+                        <button
+                            type="button"
+                            className={styles.clearButton}
+                            onClick={clearRecentSearches}
+                        >
+                            {t.clearRecent}
+                        </button>
+                    )}
+                </div>
+                <ul role="group" aria-label={title} className={styles.groupList}>
+                    {groupOptions.map(({ option, index }) => (
+                        <li
+                            key={option.key}
+                            id={optionId(index)}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`${styles.option} ${index === activeIndex ? styles.optionActive : ''}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => selectOption(option)}
+                        >
+                            {option.type === 'recent' && <Clock size={16} aria-hidden="true" />}
+                            {option.type === 'products' && option.image && (
+                                <Image
+                                    src={option.image}
+                                    alt=""
+                                    width={32}
+                                    height={32}
+                                    className={styles.optionImage}
+                                />
+                            )}
+                            <span className={styles.optionLabel}>{option.label}</span>
+                        </li>
+                    ))}
+                </ul>
+            </li>
+        );
+    };
+
+    return (
+        <div className={styles.search} ref={containerRef}>
+            <form role="search" onSubmit={handleSubmit} className={styles.form}>
+                <Search size={18} className={styles.icon} aria-hidden="true" />
+                <input
+                    ref={inputRef}
+                    type="search"
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setIsOpen(true);
+                    }}
+                    onFocus={() => setIsOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={t.Searchforproducts}
+                    aria-label={t.Searchforproducts}
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={showPanel}
+                    aria-controls={listboxId}
+                    aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+                    autoComplete="off"
+                    maxLength={100}
+                    className={styles.input}
+                />
+                {query && (
+                    <button
+                        type="button"
+                        className={styles.resetButton}
+                        onClick={() => {
+                            setQuery('');
+                            inputRef.current?.focus();
+                        }}
+                        aria-label={t.clearSearch}
+                    >
+                        <X size={16} />
+                    </button>
+                )}
+            </form>
+
+            <ul
+                id={listboxId}
+                role="listbox"
+                aria-label={t.Searchforproducts}
+                className={styles.panel}
+                hidden={!showPanel}
+            >
+                {showRecent
+                    ? renderGroup('recent', t.recentSearches)
+                    : (
+                        <>
+                            {renderGroup('products', t.products)}
+                            {renderGroup('categories', t.categories)}
+                            {renderGroup('brands', t.brands)}
+                            {!hasOptions && !isLoading && (
+                                <li role="presentation" className={styles.empty}>{t.noSuggestions}</li>
+                            )}
+                        </>
+                    )}
+            </ul>
+
+            <span className={styles.srOnly} aria-live="polite">
+                {!showRecent && !isLoading && isOpen ? `${options.length} ${t.suggestionsAvailable}` : ''}
+            </span>
+        </div>
+    );
+};
+
+export default HeaderSearch;
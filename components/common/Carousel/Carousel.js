@@ -0,0 +1,251 @@
+'use client';
+import React, { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { useReducedMotion } from 'framer-motion';
+import { ChevronLeft, ChevronRight, Pause, Play } from 'lucide-react';
+import { useDictionary } from '@/hooks/useDirection';
+import { isRtlLocale } from '@/lib/i18n/config';
+import styles from '@/styles/common/carousel.module.css';
+
+const SWIPE_THRESHOLD = 50; // px before a drag counts as a swipe
+
+const initialState = { index: 0, direction: 'next' };
+
+// Resolve a target index, wrapping when looping and clamping otherwise
+const resolveIndex = (target, count, loop) => {
+    if (count < 1) return 0;
+    return loop ? ((target % count) + count) % count : Math.min(Math.max(target, 0), count - 1);
+};
+
+function carouselReducer(state, action) {
+    const from = Math.min(state.index, Math.max(action.count - 1, 0));
+
+    switch (action.type) {
+        case 'STEP': {
+            const index = resolveIndex(from + action.delta, action.count, action.loop);
+            if (index === from) return state;
+            return { index, direction: action.delta > 0 ? 'next' : 'prev' };
+        }
+        case 'GO_TO': {
+            const index = resolveIndex(action.target, action.count, action.loop);
+            if (index === from) return state;
+            return { index, direction: index > from ? 'next' : 'prev' };
+        }
+        default:
+            return state;
+    }
+}
+
+/**
+ * Shared accessible carousel.
+ *
+ * Owns the slide index, autoplay, swipe and keyboard handling and renders the
+ * rotation, previous/next and dot controls. Slides are rendered by the caller
+ * through `children({ index, direction, isRtl, goTo, getSlideProps })`, so each
+ * section keeps its own layout and animations.
+ *
+ * `className` may be a function of `{ index, direction }` for layouts that style
+ * by the last move (e.g. the banner's next/prev transitions).
+ */
+const Carousel = ({
+    count,
+    label,
+    autoplay = true,
+    interval = 5000,
+    loop = true,
+    showArrows = true,
+    showDots = true,
+    className,
+    classNames = {},
+    viewportRef,
+    children
+}) => {
+    const { locale, t } = useDictionary();
+    const isRtl = isRtlLocale(locale);
+    const prefersReducedMotion = useReducedMotion();
+
+    const [{ index, direction }, dispatch] = useReducer(carouselReducer, initialState);
+    const [isPlaying, setIsPlaying] = useState(autoplay);
+    const [isHovered, setIsHovered] = useState(false);
+    const [hasFocus, setHasFocus] = useState(false);
+
+    const swipeRef = useRef(null);
+    const suppressClickRef = useRef(false);
+
+    const lastIndex = Math.max(count - 1, 0);
+    const current = Math.min(index, lastIndex);
+    const canRotate = autoplay && !prefersReducedMotion && count > 1;
+    const isRotating = canRotate && isPlaying && !isHovered && !hasFocus;
+
+    const goTo = useCallback((target) => {
+        dispatch({ type: 'GO_TO', target, count, loop });
+    }, [count, loop]);
+
+    const step = useCallback((delta) => {
+        dispatch({ type: 'STEP', delta, count, loop });
+    }, [count, loop]);
+
+    // Autoplay restarts after every move, so a manual step gets a full interval
+    useEffect(() => {
+        if (!isRotating) return;
+        const timeoutId = setTimeout(() => step(1), interval);
+        return () => clearTimeout(timeoutId);
+    }, [isRotating, current, interval, step]);
+
+    // Arrow keys follow the reading direction
+    const handleKeyDown = (e) => {
+        if (e.target.closest('input, textarea, select')) return;
+
+        const forwardKey = isRtl ? 'ArrowLeft' : 'ArrowRight';
+        const backwardKey = isRtl ? 'ArrowRight' : 'ArrowLeft';
+
+        switch (e.key) {
+            case forwardKey:
+                e.preventDefault();
+                step(1);
+                break;
+            case backwardKey:
+                e.preventDefault();
+                step(-1);
+                break;
+            case 'Home':
+                e.preventDefault();
+                goTo(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                goTo(lastIndex);
+                break;
+            default:
+                break;
+        }
+    };
+
+    const handleBlur = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setHasFocus(false);
+        }
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        swipeRef.current = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerUp = (e) => {
+        const swipe = swipeRef.current;
+        swipeRef.current = null;
+        if (!swipe || swipe.pointerId !== e.pointerId) return;
+
+        const deltaX = e.clientX - swipe.x;
+        const deltaY = e.clientY - swipe.y;
+        if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+        // Swiping against the reading direction moves forward
+        const forward = isRtl ? deltaX > 0 : deltaX < 0;
+        step(forward ? 1 : -1);
+        suppressClickRef.current = true;
+    };
+
+    // A swipe should not also follow the link under the pointer
+    const handleClickCapture = (e) => {
+        if (suppressClickRef.current) {
+            e.preventDefault();
+            e.stopPropagation();
+            suppressClickRef.current = false;
+        }
+    };
+
+    const getSlideProps = useCallback((slideIndex) => ({
+        role: 'group',
+        'aria-roledescription': t('carousel.slide'),
+        'aria-label': `${slideIndex + 1} ${t('carousel.of')} ${count}`,
+    }), [t, count]);
+
+    const PrevIcon = isRtl ? ChevronRight : ChevronLeft;
+    const NextIcon = isRtl ? ChevronLeft : ChevronRight;
+    const hasControls = count > 1 && (canRotate || showArrows);
+    const rootClassName = typeof className === 'function'
+        ? className({ index: current, direction })
+        : className;
+
+    return (
+        <section
+            className={`${styles.carousel} ${rootClassName || ''}`}
+            aria-roledescription={t('carousel.carousel')}
+            aria-label={label}
+            onKeyDown={handleKeyDown}
+            onMouseEnter={() => setIsHovered(true)}
+            onMouseLeave={() => setIsHovered(false)}
+            onFocus={() => setHasFocus(true)}
+            onBlur={handleBlur}
+        >
+            {/* Rotation control comes first so keyboard users reach it before the slides */}
+            {hasControls && (
+                <div className={classNames.controls || styles.controls}>
+                    {canRotate && (
+                        <button
+                            type="button"
+                            className={`${classNames.button || styles.button} ${classNames.toggle || ''}`}
+                            onClick={() => setIsPlaying(prev => !prev)}
+                            aria-label={isPlaying ? t('carousel.pause') : t('carousel.play')}
+                        >
+                            {isPlaying ? <Pause size={18} /> : <Play size={18} />}
+                        </button>
+                    )}
+                    {showArrows && (
+                        <>
+                            <button
+                                type="button"
+                                className={`${classNames.button || styles.button} ${classNames.prev || ''}`}
+                                onClick={() => step(-1)}
+                                disabled={!loop && current === 0}
+                                aria-label={t('carousel.previous')}
+                            >
+                                <PrevIcon size={20} className={classNames.icon} />
+                            </button>
+                            <button
+                                type="button"
+                                className={`${classNames.button || styles.button} ${classNames.next || ''}`}
+                                onClick={() => step(1)}
+                                disabled={!loop && current === lastIndex}
+                                aria-label={t('carousel.next')}
+                            >
+                                <NextIcon size={20} className={classNames.icon} />
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+
+            <div
+                ref={viewportRef}
+                className={`${styles.viewport} ${classNames.viewport || ''}`}
+                aria-live={isRotating ? 'off' : 'polite'}
+                onPointerDown={handlePointerDown}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { swipeRef.current = null; }}
+                onClickCapture={handleClickCapture}
+                onDragStart={(e) => e.preventDefault()}
+            >
+                {children({ index: current, direction, isRtl, goTo, getSlideProps })}
+            </div>
+
+            {showDots && count > 1 && (
+                <div className={classNames.dots || styles.dots}>
+                    {Array.from({ length: count }, (_, dotIndex) => (
+                        <button
+                            key={dotIndex}
+                            type="button"
+                            className={`${classNames.dot || styles.dot} ${dotIndex === current ? (classNames.dotActive || styles.dotActive) : ''}`}
+                            onClick={() => goTo(dotIndex)}
+                            aria-label={`${t('carousel.goTo')} ${dotIndex + 1}`}
+                            aria-current={dotIndex === current ? 'true' : undefined}
+                        />
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+};
+
+export default Carousel;
@@ -0,0 +1,230 @@
+"use client";
+
+import { createContext, useReducer, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams } from 'next/navigation';
+import { useSession } from '@/hooks/useSession';
+import { CartService, getCartItemKey } from '@/services/cart.service';
+import { isInStock } from '@/lib/api/shared';
+import { MAX_LINE_QTY } from '@/lib/checkout/steps';
+
+export const CartContext = createContext(null);
+
+const CART_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    READY: 'ready'
+};
+
+const initialState = {
+    items: [],
+    status: CART_STATUS.IDLE,
+    isAdding: false,
+    error: null,
+    mergeFailures: [] // Guest lines that could not be moved into the account cart
+};
+
+// Keep quantities within [1, maxQty], never above what one order line may hold
+const clampQty = (qty, maxQty) => {
+    const value = Math.min(MAX_LINE_QTY, Math.max(1, Math.floor(Number(qty) || 1)));
+    return maxQty ? Math.min(value, maxQty) : value;
+};
+
+function cartReducer(state, action) {
+    switch (action.type) {
+        case 'SET_STATUS':
+            return { ...state, status: action.payload };
+        case 'SET_ITEMS':
+            return { ...state, items: action.payload, status: CART_STATUS.READY };
+        case 'ADD_ITEM': {
+            const key = getCartItemKey(action.payload);
+            const existing = state.items.find(item => getCartItemKey(item) === key);
+
+            if (existing) {
+                return {
+                    ...state,
+                    items: state.items.map(item => getCartItemKey(item) === key
+                        ? { ...item, qty: clampQty(item.qty + action.payload.qty, item.maxQty) }
+                        : item
+                    )
+                };
+            }
+
+            return { ...state, items: [...state.items, action.payload] };
+        }
+        case 'UPDATE_QTY':
+            return {
+                ...state,
+                items: state.items.map(item => getCartItemKey(item) === action.payload.key
+                    ? { ...item, qty: clampQty(action.payload.qty, item.maxQty) }
+                    : item
+                )
+            };
+        case 'REMOVE_ITEM':
+            return {
+                ...state,
+                items: state.items.filter(item => getCartItemKey(item) !== action.payload)
+            };
+        case 'CLEAR':
+            return { ...state, items: [] };
+        case 'SET_ADDING':
+            return { ...state, isAdding: action.payload };
+        case 'SET_ERROR':
+            return { ...state, error: action.payload };
+        case 'SET_MERGE_FAILURES':
+            return { ...state, mergeFailures: action.payload };
+        default:
+            return state;
+    }
+}
+
+export default function CartProvider({ children }) {
+    const params = useParams();
+    const locale = params?.locale || 'en';
+    const { status: sessionStatus, isAuthenticated } = useSession();
+    const [state, dispatch] = useReducer(cartReducer, initialState);
+
+    // Latest items, used to roll back optimistic updates
+    const itemsRef = useRef(state.items);
+    itemsRef.current = state.items;
+
+    // Latest locale for the auth-driven load, which must not rerun on locale switches
+    const localeRef = useRef(locale);
+    localeRef.current = locale;
+
+    // Load the cart whenever the auth state settles
+    useEffect(() => {
+        if (sessionStatus === 'loading') return;
+
+        let cancelled = false;
+
+        async function loadCart() {
+            if (!isAuthenticated) {
+                dispatch({ type: 'SET_ITEMS', payload: CartService.getGuestCart() });
+                return;
+            }
+
+            dispatch({ type: 'SET_STATUS', payload: CART_STATUS.LOADING });
+            const merge = await CartService.mergeGuestCart(localeRef.current);
+            const result = await CartService.fetchCart(localeRef.current);
+
+            if (cancelled) return;
+
+            dispatch({ type: 'SET_MERGE_FAILURES', payload: merge.failedItems });
+
+            if (result.success) {
+                dispatch({ type: 'SET_ITEMS', payload: result.items });
+            } else {
+                dispatch({ type: 'SET_ERROR', payload: result.error });
+                dispatch({ type: 'SET_STATUS', payload: CART_STATUS.READY });
+            }
+        }
+
+        loadCart();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionStatus, isAuthenticated]);
+
+    // Persist guest carts locally
+    useEffect(() => {
+        if (isAuthenticated || state.status !== CART_STATUS.READY) return;
+        CartService.saveGuestCart(state.items);
+    }, [state.items, state.status, isAuthenticated]);
+
+    /**
+     * Run a backend sync for signed-in users, rolling back on failure
+     */
+    const syncOrRollback = useCallback(async (previousItems, request) => {
+        if (!isAuthenticated) return true;
+
+        const result = await request();
+        if (!result.success) {
+            dispatch({ type: 'SET_ITEMS', payload: previousItems });
+            dispatch({ type: 'SET_ERROR', payload: result.error });
+            return false;
+        }
+
+        return true;
+    }, [isAuthenticated]);
+
+    /**
+     * Add the selected variant of a product to the cart
+     */
+    const addItem = useCallback(async ({ product, color, size, price, image, qty = 1 }) => {
+        if (!product?.productId || !isInStock(size)) {
+            return false;
+        }
+
+        const item = {
+            productId: product.productId,
+            colorId: color?.colorId ?? null,
+            sizeId: size?.sizeId ?? null,
+            qty: clampQty(qty, size?.qty),
+            maxQty: size?.qty ?? null,
+            name: product.name,
+            image: image ?? null,
+            price,
+            colorName: color?.name ?? null,
+            sizeName: size?.name ?? null,
+        };
+
+        const previousItems = itemsRef.current;
+        dispatch({ type: 'SET_ERROR', payload: null });
+        dispatch({ type: 'SET_ADDING', payload: true });
+        dispatch({ type: 'ADD_ITEM', payload: item });
+
+        try {
+            return await syncOrRollback(previousItems, () => CartService.addItem(item, locale));
+        } finally {
+            dispatch({ type: 'SET_ADDING', payload: false });
+        }
+    }, [locale, syncOrRollback]);
+
+    const updateQuantity = useCallback(async (key, qty) => {
+        const previousItems = itemsRef.current;
+        const item = previousItems.find(line => getCartItemKey(line) === key);
+        if (!item) return false;
+
+        if (qty <= 0) {
+            dispatch({ type: 'REMOVE_ITEM', payload: key });
+            return syncOrRollback(previousItems, () => CartService.removeItem(item, locale));
+        }
+
+        const nextQty = clampQty(qty, item.maxQty);
+        dispatch({ type: 'UPDATE_QTY', payload: { key, qty: nextQty } });
+        return syncOrRollback(previousItems, () => CartService.updateItem({ ...item, qty: nextQty }, locale));
+    }, [locale, syncOrRollback]);
+
+    const removeItem = useCallback(async (key) => {
+        const previousItems = itemsRef.current;
+        const item = previousItems.find(line => getCartItemKey(line) === key);
+        if (!item) return false;
+
+        dispatch({ type: 'REMOVE_ITEM', payload: key });
+        return syncOrRollback(previousItems, () => CartService.removeItem(item, locale));
+    }, [locale, syncOrRollback]);
+
+    const clearCart = useCallback(async () => {
+        const previousItems = itemsRef.current;
+        dispatch({ type: 'CLEAR' });
+        return syncOrRollback(previousItems, () => CartService.clearCart(locale));
+    }, [locale, syncOrRollback]);
+
+    const value = useMemo(() => ({
+        items: state.items,
+        isLoading: state.status !== CART_STATUS.READY,
+        isAdding: state.isAdding,
+        error: state.error,
+        mergeFailures: state.mergeFailures,
+        itemCount: state.items.reduce((sum, item) => sum + item.qty, 0),
+        subtotal: state.items.reduce((sum, item) => sum + item.price * item.qty, 0),
+        addItem,
+        updateQuantity,
+        removeItem,
+        clearCart,
+        getItemKey: getCartItemKey
+    }), [state, addItem, updateQuantity, removeItem, clearCart]);
+
+    return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+}
@@ -1,7 +1,32 @@
 "use client";
 
+import { useEffect } from "react";
+import { useParams } from "next/navigation";
 import { SessionProvider } from "next-auth/react";
+import { useSession } from "@/hooks/useSession";
+import { SESSION_CONFIG, SESSION_ERRORS } from "@/config/api.config";
+
+// Sends the user back to sign in, returning here afterwards, once the session can no longer be refreshed
+function SessionExpiryWatcher() {
+    const { error, logout } = useSession();
+    const { locale = 'ar' } = useParams() || {};
+
+    useEffect(() => {
+        if (error !== SESSION_ERRORS.REFRESH_FAILED) return;
+
+        const { pathname, search } = window.location;
+        const query = new URLSearchParams({ reason: 'expired', callbackUrl: `${pathname}${search}` });
+        logout(`/${locale}/signin?${query}`);
+    }, [error, locale, logout]);
+
+    return null;
+}
 
 export default function SessionProviderWrapper({ children }) {
-    return <SessionProvider>{children}</SessionProvider>;
+    return (
+        <SessionProvider refetchInterval={SESSION_CONFIG.REFETCH_INTERVAL}>
+            <SessionExpiryWatcher />
+            {children}
+        </SessionProvider>
+    );
 }
@@ -0,0 +1,184 @@
+'use client';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useParams } from 'next/navigation';
+import { useReducedMotion } from 'framer-motion';
+import Card from '@/components/ui/Card/Card';
+import { isRtlLocale } from '@/lib/i18n/config';
+import styles from '@/styles/common/atoScrollSlider.module.css';
+
+const DEFAULT_SPEED = 40; // px per second
+const DRAG_THRESHOLD = 5; // px before a press counts as a drag
+
+/**
+ * Keep the offset inside one loop so the duplicated half lines up seamlessly.
+ * LTR tracks move within (-loop, 0], RTL tracks (anchored on the right) within [0, loop).
+ */
+const wrapOffset = (value, loopWidth, isRtl) => {
+    if (!loopWidth) return 0;
+    const mod = ((value % loopWidth) + loopWidth) % loopWidth;
+    return isRtl ? mod : mod - loopWidth;
+};
+
+/**
+ * Endless product marquee.
+ * `direction` is relative to the reading direction: "left" scrolls towards the
+ * start of the line, so it moves right-to-left in English and left-to-right in Arabic.
+ */
+const AutoScrollSlider = ({ products = [], direction = 'left', speed = DEFAULT_SPEED }) => {
+    const { locale } = useParams();
+    const isRtl = isRtlLocale(locale);
+    const prefersReducedMotion = useReducedMotion();
+
+    const trackRef = useRef(null);
+    const offsetRef = useRef(0);
+    const loopWidthRef = useRef(0);
+    const dragRef = useRef(null);
+    const suppressClickRef = useRef(false);
+
+    const [isHovered, setIsHovered] = useState(false);
+    const [hasFocus, setHasFocus] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+
+    const isStatic = prefersReducedMotion || products.length === 0;
+    const isPaused = isHovered || hasFocus || isDragging;
+
+    const applyOffset = useCallback((value) => {
+        offsetRef.current = wrapOffset(value, loopWidthRef.current, isRtl);
+        if (trackRef.current) {
+            trackRef.current.style.transform = `translateX(${offsetRef.current}px)`;
+        }
+    }, [isRtl]);
+
+    // Measure one loop: the distance between an item and its clone
+    useEffect(() => {
+        if (isStatic || !trackRef.current) return;
+
+        const measure = () => {
+            const items = trackRef.current?.children;
+            if (!items || items.length < products.length * 2) return;
+            loopWidthRef.current = Math.abs(items[products.length].offsetLeft - items[0].offsetLeft);
+            applyOffset(offsetRef.current);
+        };
+
+        measure();
+
+        const observer = new ResizeObserver(measure);
+        observer.observe(trackRef.current);
+        return () => observer.disconnect();
+    }, [isStatic, products.length, applyOffset]);
+
+    // Auto-scroll loop
+    useEffect(() => {
+        if (isStatic || isPaused) return;
+
+        // Screen movement for "left" is negative in LTR and positive in RTL
+        const sign = (direction === 'left' ? -1 : 1) * (isRtl ? -1 : 1);
+        let frameId;
+        let lastTime = null;
+
+        const step = (time) => {
+            if (lastTime !== null) {
+                applyOffset(offsetRef.current + sign * speed * ((time - lastTime) / 1000));
+            }
+            lastTime = time;
+            frameId = requestAnimationFrame(step);
+        };
+
+        frameId = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frameId);
+    }, [isStatic, isPaused, direction, isRtl, speed, applyOffset]);
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        dragRef.current = { pointerId: e.pointerId, startX: e.clientX, startOffset: offsetRef.current, moved: false };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+
+        const deltaX = e.clientX - drag.startX;
+        if (!drag.moved && Math.abs(deltaX) < DRAG_THRESHOLD) return;
+
+        if (!drag.moved) {
+            drag.moved = true;
+            setIsDragging(true);
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+
+        applyOffset(drag.startOffset + deltaX);
+    };
+
+    const endDrag = (e) => {
+        const drag = dragRef.current;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+
+        // A drag should not also open the card under the pointer
+        suppressClickRef.current = drag.moved;
+        dragRef.current = null;
+        setIsDragging(false);
+    };
+
+    const handleClickCapture = (e) => {
+        if (suppressClickRef.current) {
+            e.preventDefault();
+            e.stopPropagation();
+            suppressClickRef.current = false;
+        }
+    };
+
+    const handleBlur = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setHasFocus(false);
+        }
+    };
+
+    if (products.length === 0) return null;
+
+    // Reduced motion: a plain, manually scrollable row without clones
+    if (prefersReducedMotion) {
+        return (
+            <div className={`${styles.sliderWrapper} ${styles.static}`}>
+                <div className={styles.sliderTrack}>
+                    {products.map(product => (
+                        <div key={product.productId} className={styles.item}>
+                            <Card product={product} />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={`${styles.sliderWrapper} ${isDragging ? styles.dragging : ''}`}
+            onMouseEnter={() => setIsHovered(true)}
+            onMouseLeave={() => setIsHovered(false)}
+            onFocus={() => setHasFocus(true)}
+            onBlur={handleBlur}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+            onClickCapture={handleClickCapture}
+            onDragStart={(e) => e.preventDefault()}
+        >
+            <div ref={trackRef} className={styles.sliderTrack}>
+                {products.map(product => (
+                    <div key={product.productId} className={styles.item}>
+                        <Card product={product} />
+                    </div>
+                ))}
+                {/* Clones complete the loop; hidden from assistive tech and tab order */}
+                {products.map(product => (
+                    <div key={`clone-${product.productId}`} className={styles.item} aria-hidden="true" inert>
+                        <Card product={product} />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default AutoScrollSlider;
@@ -0,0 +1,172 @@
+"use client";
+
+import { createContext, useReducer, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams } from 'next/navigation';
+import { useSession } from '@/hooks/useSession';
+import { WishlistService, GUEST_WISHLIST_KEY, toWishlistItem } from '@/services/wishlist.service';
+
+export const WishlistContext = createContext(null);
+
+const initialState = {
+    items: [],
+    isReady: false,
+    pendingIds: [],
+    error: null
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+function wishlistReducer(state, action) {
+    switch (action.type) {
+        case 'SET_ITEMS':
+            return { ...state, items: action.payload, isReady: true };
+        case 'ADD_ITEM':
+            if (state.items.some(item => sameId(item.productId, action.payload.productId))) {
+                return state;
+            }
+            return { ...state, items: [...state.items, action.payload] };
+        case 'REMOVE_ITEM':
+            return {
+                ...state,
+                items: state.items.filter(item => !sameId(item.productId, action.payload))
+            };
+        case 'SET_PENDING':
+            return {
+                ...state,
+                pendingIds: action.payload.pending
+                    ? [...state.pendingIds, action.payload.productId]
+                    : state.pendingIds.filter(id => !sameId(id, action.payload.productId))
+            };
+        case 'SET_ERROR':
+            return { ...state, error: action.payload };
+        default:
+            return state;
+    }
+}
+
+export default function WishlistProvider({ children }) {
+    const params = useParams();
+    const locale = params?.locale || 'en';
+    const { status: sessionStatus, isAuthenticated } = useSession();
+    const [state, dispatch] = useReducer(wishlistReducer, initialState);
+
+    const itemsRef = useRef(state.items);
+    itemsRef.current = state.items;
+
+    // Latest locale for the auth-driven load, which must not rerun on locale switches
+    const localeRef = useRef(locale);
+    localeRef.current = locale;
+
+    // Load the wishlist whenever the auth state settles, merging guest favorites on sign in
+    useEffect(() => {
+        if (sessionStatus === 'loading') return;
+
+        let cancelled = false;
+
+        async function loadWishlist() {
+            if (!isAuthenticated) {
+                dispatch({ type: 'SET_ITEMS', payload: WishlistService.getGuestWishlist() });
+                return;
+            }
+
+            const result = await WishlistService.fetchWishlist(localeRef.current);
+            if (cancelled) return;
+
+            if (!result.success) {
+                dispatch({ type: 'SET_ERROR', payload: result.error });
+                dispatch({ type: 'SET_ITEMS', payload: [] });
+                return;
+            }
+
+            const merged = await WishlistService.mergeGuestWishlist(result.items, localeRef.current);
+            if (!cancelled) {
+                dispatch({ type: 'SET_ITEMS', payload: merged.items });
+            }
+        }
+
+        loadWishlist();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionStatus, isAuthenticated]);
+
+    // Persist guest favorites locally
+    useEffect(() => {
+        if (isAuthenticated || !state.isReady) return;
+        WishlistService.saveGuestWishlist(state.items);
+    }, [state.items, state.isReady, isAuthenticated]);
+
+    // Keep guest favorites in sync across tabs
+    useEffect(() => {
+        if (isAuthenticated) return;
+
+        const handleStorage = (event) => {
+            if (event.key === GUEST_WISHLIST_KEY) {
+                dispatch({ type: 'SET_ITEMS', payload: WishlistService.getGuestWishlist() });
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [isAuthenticated]);
+
+    const isFavorite = useCallback(
+        (productId) => state.items.some(item => sameId(item.productId, productId)),
+        [state.items]
+    );
+
+    const isPending = useCallback(
+        (productId) => state.pendingIds.some(id => sameId(id, productId)),
+        [state.pendingIds]
+    );
+
+    /**
+     * Optimistically add or remove a product, rolling back if the backend rejects it
+     */
+    const toggleFavorite = useCallback(async (product) => {
+        const productId = product?.productId;
+        if (!productId) return false;
+
+        const wasFavorite = itemsRef.current.some(item => sameId(item.productId, productId));
+        const previousItems = itemsRef.current;
+
+        dispatch({ type: 'SET_ERROR', payload: null });
+        dispatch(wasFavorite
+            ? { type: 'REMOVE_ITEM', payload: productId }
+            : { type: 'ADD_ITEM', payload: toWishlistItem(product) }
+        );
+
+        if (!isAuthenticated) return true;
+
+        dispatch({ type: 'SET_PENDING', payload: { productId, pending: true } });
+
+        try {
+            const result = wasFavorite
+                ? await WishlistService.removeItem(productId, locale)
+                : await WishlistService.addItem(productId, locale);
+
+            if (!result.success) {
+                dispatch({ type: 'SET_ITEMS', payload: previousItems });
+                dispatch({ type: 'SET_ERROR', payload: result.error });
+                return false;
+            }
+
+            return true;
+        } finally {
+            dispatch({ type: 'SET_PENDING', payload: { productId, pending: false } });
+        }
+    }, [isAuthenticated, locale]);
+
+    const value = useMemo(() => ({
+        items: state.items,
+        count: state.items.length,
+        isLoading: !state.isReady,
+        error: state.error,
+        isFavorite,
+        isPending,
+        toggleFavorite
+    }), [state.items, state.isReady, state.error, isFavorite, isPending, toggleFavorite]);
+
+    return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+}
@@ -0,0 +1,188 @@
+'use client';
+
+import { memo, useMemo, useState } from 'react';
+import { GOVERNORATES, getGovernorate, getPlaceName } from '@/lib/addresses/governorates';
+import { EMPTY_ADDRESS, ADDRESS_LABEL_MAX_LENGTH } from '@/lib/addresses/format';
+import { validateAddressDetails } from '@/utils/validation';
+import styles from '@/styles/shop/addresses.module.css';
+
+const TEXT_FIELDS = [
+    { name: 'street', autoComplete: 'address-line1', wide: true },
+    { name: 'building', autoComplete: 'address-line2' },
+    { name: 'floor', autoComplete: 'address-line3' },
+    { name: 'landmark', wide: true },
+];
+
+const sortByName = (places, locale) =>
+    [...places].sort((a, b) => getPlaceName(a, locale).localeCompare(getPlaceName(b, locale), locale));
+
+/**
+ * Add or edit one address. Rendered as a group rather than a <form> because
+ * checkout already wraps it in its own form.
+ */
+export const AddressForm = memo(({ address, locale, labels, idPrefix = 'address', onSave, onCancel }) => {
+    const [values, setValues] = useState(() => ({ ...EMPTY_ADDRESS, ...address }));
+    const [errors, setErrors] = useState({});
+    const [status, setStatus] = useState(null); // 'saving' | 'error' | null
+
+    const governorates = useMemo(() => sortByName(GOVERNORATES, locale), [locale]);
+    const cities = useMemo(
+        () => sortByName(getGovernorate(values.governorate)?.cities || [], locale),
+        [values.governorate, locale]
+    );
+
+    const setValue = (field, value) => {
+        setValues(prev => ({
+            ...prev,
+            [field]: value,
+            // A city only makes sense inside its governorate
+            ...(field === 'governorate' ? { city: '' } : {}),
+        }));
+        setErrors(({ [field]: _cleared, ...rest }) => rest);
+        setStatus(null);
+    };
+
+    const handleSave = async () => {
+        if (status === 'saving') return;
+
+        const validation = validateAddressDetails(values, { requireLabel: true });
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setStatus('saving');
+        const saved = await onSave(values);
+        setStatus(saved ? null : 'error');
+    };
+
+    // Enter would otherwise submit the surrounding checkout form
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+            handleSave();
+        }
+    };
+
+    const fieldId = (field) => `${idPrefix}-${field}`;
+    const errorProps = (field) => ({
+        'aria-invalid': errors[field] ? 'true' : undefined,
+        'aria-describedby': errors[field] ? `${fieldId(field)}-error` : undefined,
+    });
+    const renderError = (field) => errors[field] && (
+        <p id={`${fieldId(field)}-error`} className={styles.fieldError}>{errors[field]}</p>
+    );
+
+    return (
+        <div
+            className={styles.form}
+            role="group"
+            aria-labelledby={`${idPrefix}-title`}
+            onKeyDown={handleKeyDown}
+        >
+            <h3 id={`${idPrefix}-title`} className={styles.formTitle}>
+                {values.id ? labels.editTitle : labels.addTitle}
+            </h3>
+
+            <div className={styles.fields}>
+                <div className={`${styles.field} ${styles.fieldWide}`}>
+                    <label htmlFor={fieldId('label')}>{labels.label}</label>
+                    <input
+                        id={fieldId('label')}
+                        type="text"
+                        maxLength={ADDRESS_LABEL_MAX_LENGTH}
+                        placeholder={labels.labelPlaceholder}
+                        value={values.label}
+                        onChange={(e) => setValue('label', e.target.value)}
+                        className={styles.input}
+                        {...errorProps('label')}
+                    />
+                    {renderError('label')}
+                </div>
+
+                <div className={styles.field}>
+                    <label htmlFor={fieldId('governorate')}>{labels.governorate}</label>
+                    <select
+                        id={fieldId('governorate')}
+                        autoComplete="address-level1"
+                        value={values.governorate}
+                        onChange={(e) => setValue('governorate', e.target.value)}
+                        className={styles.input}
+                        {...errorProps('governorate')}
+                    >
+                        <option value="">{labels.selectGovernorate}</option>
+                        {governorates.map(governorate => (
+                            <option key={governorate.id} value={governorate.id}>
+                                {getPlaceName(governorate, locale)}
+                            </option>
+                        ))}
+                    </select>
+                    {renderError('governorate')}
+                </div>
+
+                <div className={styles.field}>
+                    <label htmlFor={fieldId('city')}>{labels.city}</label>
+                    <select
+                        id={fieldId('city')}
+                        autoComplete="address-level2"
+                        value={values.city}
+                        onChange={(e) => setValue('city', e.target.value)}
+                        disabled={!values.governorate}
+                        className={styles.input}
+                        {...errorProps('city')}
+                    >
+                        <option value="">{labels.selectCity}</option>
+                        {cities.map(city => (
+                            <option key={city.id} value={city.id}>{getPlaceName(city, locale)}</option>
+                        ))}
+                    </select>
+                    {renderError('city')}
+                </div>
+
+                {TEXT_FIELDS.map(({ name, autoComplete, wide }) => (
+                    <div key={name} className={`${styles.field} ${wide ? styles.fieldWide : ''}`}>
+                        <label htmlFor={fieldId(name)}>{labels[name]}</label>
+                        <input
+                            id={fieldId(name)}
+                            type="text"
+                            autoComplete={autoComplete}
+                            value={values[name]}
+                            onChange={(e) => setValue(name, e.target.value)}
+                            className={styles.input}
+                            {...errorProps(name)}
+                        />
+                        {renderError(name)}
+                    </div>
+                ))}
+
+                <label className={`${styles.checkbox} ${styles.fieldWide}`}>
+                    <input
+                        type="checkbox"
+                        checked={values.isDefault}
+                        onChange={(e) => setValue('isDefault', e.target.checked)}
+                    />
+                    {labels.setAsDefault}
+                </label>
+            </div>
+
+            <div className={styles.actions}>
+                {status === 'error' && <p className={styles.formError} role="alert">{labels.saveError}</p>}
+                {onCancel && (
+                    <button type="button" className={styles.secondaryButton} onClick={onCancel}>
+                        {labels.cancel}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className={styles.primaryButton}
+                    onClick={handleSave}
+                    disabled={status === 'saving'}
+                >
+                    {status === 'saving' ? labels.saving : labels.save}
+                </button>
+            </div>
+        </div>
+    );
+});
+
+AddressForm.displayName = 'AddressForm';
@@ -0,0 +1,185 @@
+'use client';
+
+import { memo, useEffect, useState } from 'react';
+import { Plus, Pencil, Trash2, Star } from 'lucide-react';
+import { useAddressBook } from '@/hooks/useAddressBook';
+import { formatAddress } from '@/lib/addresses/format';
+import { AddressForm } from './AddressForm';
+import styles from '@/styles/shop/addresses.module.css';
+
+const NEW_ADDRESS = 'new';
+
+/**
+ * Saved addresses with an inline add/edit form.
+ * Pass onSelect to pick one (checkout); pass manageable to edit, delete and
+ * change the default (profile). Both can be combined.
+ */
+export const AddressPicker = memo(({ locale, labels, selectedId = null, onSelect, manageable = false, error, idPrefix = 'address-book' }) => {
+    const { addresses, defaultAddress, isLoading, error: loadError, saveAddress, removeAddress, setDefault } = useAddressBook(locale);
+    const [editing, setEditing] = useState(null); // address id, NEW_ADDRESS or null
+    const [pendingId, setPendingId] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    const isSelectable = typeof onSelect === 'function';
+
+    // Start from the default address when nothing is picked yet
+    useEffect(() => {
+        if (isSelectable && !selectedId && defaultAddress) {
+            onSelect(defaultAddress);
+        }
+    }, [isSelectable, selectedId, defaultAddress, onSelect]);
+
+    // Open the form straight away when there is nothing to choose from
+    const showForm = editing ?? (!isLoading && !loadError && addresses.length === 0 ? NEW_ADDRESS : null);
+
+    const handleSave = async (address) => {
+        const saved = await saveAddress(address);
+        if (saved) {
+            setEditing(null);
+            if (isSelectable) onSelect(saved);
+        }
+        return saved;
+    };
+
+    const runAction = async (id, action) => {
+        setPendingId(id);
+        setActionError(null);
+        const ok = await action(id);
+        setPendingId(null);
+        if (!ok) setActionError(labels.actionError);
+        return ok;
+    };
+
+    const handleDelete = async (address) => {
+        if (!window.confirm(labels.confirmDelete.replace('{label}', address.label))) return;
+        const removed = await runAction(address.id, removeAddress);
+        // Falls back to the default address through the effect above
+        if (removed && isSelectable && address.id === selectedId) onSelect(null);
+    };
+
+    if (isLoading) {
+        return <p className={styles.loading} role="status">{labels.loading}</p>;
+    }
+
+    const renderCard = (address) => {
+        const isSelected = isSelectable && address.id === selectedId;
+        const isPending = pendingId === address.id;
+        const inputId = `${idPrefix}-${address.id}`;
+
+        const text = (
+            <>
+                <span className={styles.cardTitle}>
+                    {address.label}
+                    {address.isDefault && <span className={styles.defaultBadge}>{labels.default}</span>}
+                </span>
+                <span className={styles.cardLine}>{formatAddress(address, locale)}</span>
+            </>
+        );
+
+        return (
+            <li
+                key={address.id}
+                className={`${styles.card} ${isSelectable ? styles.cardSelectable : ''} ${isSelected ? styles.cardSelected : ''}`}
+            >
+                {isSelectable ? (
+                    <>
+                        <input
+                            id={inputId}
+                            type="radio"
+                            name={idPrefix}
+                            className={styles.radio}
+                            checked={isSelected}
+                            onChange={() => onSelect(address)}
+                        />
+                        <label htmlFor={inputId} className={styles.cardText}>{text}</label>
+                    </>
+                ) : (
+                    <span className={styles.cardText}>{text}</span>
+                )}
+
+                {manageable && (
+                    <div className={styles.cardActions}>
+                        {!address.isDefault && (
+                            <button
+                                type="button"
+                                className={styles.linkButton}
+                                onClick={() => runAction(address.id, setDefault)}
+                                disabled={isPending}
+                            >
+                                <Star size={14} aria-hidden="true" />
+                                {labels.makeDefault}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className={styles.linkButton}
+                            onClick={() => setEditing(address.id)}
+                            disabled={isPending}
+                            aria-label={`${labels.edit} ${address.label}`}
+                        >
+                            <Pencil size={14} aria-hidden="true" />
+                            {labels.edit}
+                        </button>
+                        <button
+                            type="button"
+                            className={`${styles.linkButton} ${styles.dangerButton}`}
+                            onClick={() => handleDelete(address)}
+                            disabled={isPending}
+                            aria-label={`${labels.delete} ${address.label}`}
+                        >
+                            <Trash2 size={14} aria-hidden="true" />
+                            {labels.delete}
+                        </button>
+                    </div>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div className={styles.picker}>
+            {loadError && <p className={styles.formError} role="alert">{labels.loadError}</p>}
+            {!loadError && addresses.length === 0 && <p className={styles.empty}>{labels.empty}</p>}
+
+            {addresses.length > 0 && (
+                <ul className={styles.list}>
+                    {addresses.map(address => (
+                        showForm === address.id ? (
+                            <li key={address.id}>
+                                <AddressForm
+                                    address={address}
+                                    locale={locale}
+                                    labels={labels}
+                                    idPrefix={`${idPrefix}-edit`}
+                                    onSave={handleSave}
+                                    onCancel={() => setEditing(null)}
+                                />
+                            </li>
+                        ) : renderCard(address)
+                    ))}
+                </ul>
+            )}
+
+            {showForm === NEW_ADDRESS ? (
+                <AddressForm
+                    locale={locale}
+                    labels={labels}
+                    idPrefix={`${idPrefix}-new`}
+                    onSave={handleSave}
+                    onCancel={addresses.length > 0 ? () => setEditing(null) : undefined}
+                />
+            ) : (
+                <button type="button" className={styles.addButton} onClick={() => setEditing(NEW_ADDRESS)}>
+                    <Plus size={16} aria-hidden="true" />
+                    {labels.addNew}
+                </button>
+            )}
+
+            {(error || actionError) && (
+                <p className={styles.formError} role="alert">{error || actionError}</p>
+            )}
+        </div>
+    );
+});
+
+AddressPicker.displayName = 'AddressPicker';
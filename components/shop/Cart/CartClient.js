@@ -0,0 +1,147 @@
+'use client';
+
+import { useCallback, useMemo } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { Minus, Plus, Trash2, ShoppingCart } from 'lucide-react';
+import { useCart } from '@/hooks/useCart';
+import { getCachedPriceFormatter } from '@/utils/performance';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import noImg from '@/assets/noImg.png';
+import styles from '@/styles/shop/cart.module.css';
+
+const CartClient = ({ dictionary: t, locale }) => {
+    const {
+        items,
+        isLoading,
+        error,
+        mergeFailures,
+        subtotal,
+        updateQuantity,
+        removeItem,
+        clearCart,
+        getItemKey
+    } = useCart();
+
+    const priceFormatter = useMemo(() => getCachedPriceFormatter(locale), [locale]);
+    const formatPrice = useCallback((price) => priceFormatter.format(price || 0), [priceFormatter]);
+
+    if (isLoading) {
+        return (
+            <div className={styles.container}>
+                <LoadingSpinner message={null} />
+            </div>
+        );
+    }
+
+    // Guest lines the sign-in merge could not add; they stay stored and are retried on the next load
+    const mergeNotice = mergeFailures.length > 0 && (
+        <div className={styles.error} role="alert">
+            {t.mergeFailed.replace('{items}', mergeFailures.map(item => item.name).join(t.listSeparator))}
+        </div>
+    );
+
+    if (items.length === 0) {
+        return (
+            <div className={styles.container}>
+                {mergeNotice}
+                <div className={styles.empty}>
+                    <ShoppingCart size={64} className={styles.emptyIcon} />
+                    <p>{t.empty}</p>
+                    <Link href={`/${locale}`} className={styles.primaryButton}>
+                        {t.continueShopping}
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.container}>
+            <h1 className={styles.title}>{t.title}</h1>
+
+            {mergeNotice}
+
+            {error && (
+                <div className={styles.error} role="alert">
+                    {t.syncError}
+                </div>
+            )}
+
+            <div className={styles.layout}>
+                <ul className={styles.items}>
+                    {items.map((item) => {
+                        const key = getItemKey(item);
+                        const reachedMax = item.maxQty && item.qty >= item.maxQty;
+
+                        return (
+                            <li key={key} className={styles.item}>
+                                <Link href={`/${locale}/product/${item.productId}`} className={styles.itemImage}>
+                                    <Image
+                                        src={item.image || noImg}
+                                        alt={item.name}
+                                        fill
+                                        sizes="96px"
+                                    />
+                                </Link>
+
+                                <div className={styles.itemInfo}>
+                                    <Link href={`/${locale}/product/${item.productId}`} className={styles.itemName}>
+                                        {item.name}
+                                    </Link>
+                                    <p className={styles.itemVariant}>
+                                        {[item.colorName, item.sizeName].filter(Boolean).join(' / ')}
+                                    </p>
+                                    <p className={styles.itemPrice}>{formatPrice(item.price)}</p>
+                                </div>
+
+                                <div className={styles.quantity}>
+                                    <button
+                                        type="button"
+                                        onClick={() => updateQuantity(key, item.qty - 1)}
+                                        aria-label={t.decrease}
+                                    >
+                                        <Minus size={14} />
+                                    </button>
+                                    <span aria-live="polite">{item.qty}</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => updateQuantity(key, item.qty + 1)}
+                                        disabled={reachedMax}
+                                        aria-label={t.increase}
+                                    >
+                                        <Plus size={14} />
+                                    </button>
+                                </div>
+
+                                <button
+                                    type="button"
+                                    className={styles.removeButton}
+                                    onClick={() => removeItem(key)}
+                                    aria-label={t.remove}
+                                >
+                                    <Trash2 size={18} />
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <aside className={styles.summary}>
+                    <div className={styles.summaryRow}>
+                        <span>{t.subtotal}</span>
+                        <strong>{formatPrice(subtotal)}</strong>
+                    </div>
+                    <Link href={`/${locale}/checkout`} className={styles.primaryButton}>
+                        {t.checkout}
+                    </Link>
+                    <button type="button" className={styles.secondaryButton} onClick={clearCart}>
+                        {t.clear}
+                    </button>
+                </aside>
+            </div>
+        </div>
+    );
+};
+
+export default CartClient;
@@ -0,0 +1,53 @@
+'use client';
+
+import { memo } from 'react';
+import { AddressPicker } from '@/components/shop/Addresses/AddressPicker';
+import styles from '@/styles/shop/checkout.module.css';
+
+const FIELDS = [
+    { name: 'fullName', type: 'text', autoComplete: 'name' },
+    { name: 'mobile', type: 'tel', autoComplete: 'tel', dir: 'ltr' },
+];
+
+export const AddressStep = memo(({ address, errors, onChange, onSelect, locale, labels, addressLabels }) => (
+    <section className={styles.step} aria-labelledby="checkout-address-title">
+        <h2 id="checkout-address-title" className={styles.stepTitle}>{labels.steps.address}</h2>
+
+        <div className={styles.fields}>
+            {FIELDS.map(field => (
+                <div key={field.name} className={styles.field}>
+                    <label htmlFor={`checkout-${field.name}`}>{labels[field.name]}</label>
+                    <input
+                        id={`checkout-${field.name}`}
+                        type={field.type}
+                        dir={field.dir}
+                        autoComplete={field.autoComplete}
+                        value={address[field.name]}
+                        onChange={(e) => onChange(field.name, e.target.value)}
+                        aria-invalid={!!errors[field.name]}
+                        aria-describedby={errors[field.name] ? `checkout-${field.name}-error` : undefined}
+                        className={styles.input}
+                    />
+                    {errors[field.name] && (
+                        <p id={`checkout-${field.name}-error`} className={styles.fieldError}>{errors[field.name]}</p>
+                    )}
+                </div>
+            ))}
+
+            <fieldset className={`${styles.field} ${styles.fieldWide} ${styles.fieldset}`}>
+                <legend>{labels.address}</legend>
+                <p className={styles.fieldHint}>{labels.addressHint}</p>
+                <AddressPicker
+                    locale={locale}
+                    labels={addressLabels}
+                    selectedId={address.addressId}
+                    onSelect={onSelect}
+                    error={errors.address}
+                    idPrefix="checkout-address"
+                />
+            </fieldset>
+        </div>
+    </section>
+));
+
+AddressStep.displayName = 'AddressStep';
@@ -0,0 +1,355 @@
+'use client';
+
+import { useCallback, useMemo, useReducer, useRef, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ShoppingCart } from 'lucide-react';
+import { useCart } from '@/hooks/useCart';
+import { getCachedPriceFormatter } from '@/utils/performance';
+import {
+    CHECKOUT_STEPS,
+    STEP_ORDER,
+    DELIVERY_OPTIONS,
+    calculateTotals,
+    validateCheckoutStep,
+    validateCheckout
+} from '@/lib/checkout/steps';
+import { OrderService } from '@/services/order.service';
+import { PAYMENT_STATUS } from '@/lib/payments/providers';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { CheckoutProgress } from './CheckoutProgress';
+import { OrderSummary } from './OrderSummary';
+import { ReviewStep } from './ReviewStep';
+import { AddressStep } from './AddressStep';
+import { DeliveryStep } from './DeliveryStep';
+import { PaymentStep } from './PaymentStep';
+import { ConfirmStep } from './ConfirmStep';
+import styles from '@/styles/shop/checkout.module.css';
+
+// Structured fields copied from the address picked in the address book
+const SELECTED_ADDRESS_NONE = {
+    addressId: null,
+    governorate: '',
+    city: '',
+    street: '',
+    building: '',
+    floor: '',
+    landmark: '',
+};
+
+const toSelectedAddress = (address) => (address ? {
+    addressId: address.id,
+    governorate: address.governorate,
+    city: address.city,
+    street: address.street,
+    building: address.building,
+    floor: address.floor,
+    landmark: address.landmark,
+} : SELECTED_ADDRESS_NONE);
+
+const createInitialState = ({ user, paymentMethods }) => ({
+    step: CHECKOUT_STEPS.REVIEW,
+    completed: [],
+    data: {
+        address: {
+            fullName: [user?.firstName, user?.lastName].filter(Boolean).join(' '),
+            mobile: user?.mobile || '',
+            ...SELECTED_ADDRESS_NONE,
+        },
+        deliveryMethod: DELIVERY_OPTIONS[0].id,
+        paymentMethod: paymentMethods[0] || null,
+        notes: '',
+    },
+    errors: {},
+    isSubmitting: false,
+    submitError: null,
+    placedOrderId: null,
+});
+
+function checkoutReducer(state, action) {
+    switch (action.type) {
+        case 'SET_ADDRESS_FIELD': {
+            const { [action.payload.field]: _cleared, ...errors } = state.errors;
+            return {
+                ...state,
+                errors,
+                data: { ...state.data, address: { ...state.data.address, [action.payload.field]: action.payload.value } }
+            };
+        }
+        case 'SELECT_ADDRESS': {
+            const { address: _cleared, ...errors } = state.errors;
+            return {
+                ...state,
+                errors,
+                data: { ...state.data, address: { ...state.data.address, ...toSelectedAddress(action.payload) } }
+            };
+        }
+        case 'SET_FIELD':
+            return { ...state, errors: {}, data: { ...state.data, [action.payload.field]: action.payload.value } };
+        case 'SET_ERRORS':
+            return { ...state, errors: action.payload };
+        case 'COMPLETE_STEP': {
+            const nextIndex = STEP_ORDER.indexOf(action.payload) + 1;
+            return {
+                ...state,
+                errors: {},
+                completed: state.completed.includes(action.payload) ? state.completed : [...state.completed, action.payload],
+                step: STEP_ORDER[nextIndex] || action.payload
+            };
+        }
+        case 'GO_TO':
+            return { ...state, errors: action.payload.errors || {}, step: action.payload.step, submitError: null };
+        case 'SUBMIT_START':
+            return { ...state, isSubmitting: true, submitError: null };
+        case 'SUBMIT_FAILURE':
+            return { ...state, isSubmitting: false, submitError: action.payload };
+        case 'SUBMIT_SUCCESS':
+            return { ...state, placedOrderId: action.payload };
+        default:
+            return state;
+    }
+}
+
+const CheckoutClient = ({ dictionary, locale, user, paymentMethods }) => {
+    const t = dictionary.checkout;
+    const router = useRouter();
+    const { items, isLoading, subtotal, clearCart, getItemKey } = useCart();
+    const [state, dispatch] = useReducer(checkoutReducer, { user, paymentMethods }, createInitialState);
+    const stepHeadingRef = useRef(null);
+
+    const priceFormatter = useMemo(() => getCachedPriceFormatter(locale), [locale]);
+    const formatPrice = useCallback((price) => priceFormatter.format(price || 0), [priceFormatter]);
+
+    const { step, data, errors } = state;
+    const totals = useMemo(() => calculateTotals(items, data.deliveryMethod), [items, data.deliveryMethod]);
+    const summaryLabels = useMemo(() => ({
+        orderSummary: t.orderSummary,
+        items: t.items,
+        free: t.free,
+        subtotal: dictionary.cart.subtotal,
+        shipping: dictionary.cart.shipping,
+        total: dictionary.cart.total,
+    }), [t, dictionary.cart]);
+
+    // Move focus to the new step so screen readers announce it, but not on page load
+    const hasMountedRef = useRef(false);
+    useEffect(() => {
+        if (!hasMountedRef.current) {
+            hasMountedRef.current = true;
+            return;
+        }
+        stepHeadingRef.current?.focus();
+    }, [step]);
+
+    const handleAddressChange = useCallback((field, value) => {
+        dispatch({ type: 'SET_ADDRESS_FIELD', payload: { field, value } });
+    }, []);
+
+    const handleAddressSelect = useCallback((address) => {
+        dispatch({ type: 'SELECT_ADDRESS', payload: address });
+    }, []);
+
+    const setField = useCallback((field) => (value) => {
+        dispatch({ type: 'SET_FIELD', payload: { field, value } });
+    }, []);
+
+    const goToStep = useCallback((target) => {
+        dispatch({ type: 'GO_TO', payload: { step: target } });
+    }, []);
+
+    const handleContinue = useCallback(() => {
+        const result = validateCheckoutStep(step, { ...data, items });
+        if (!result.isValid) {
+            dispatch({ type: 'SET_ERRORS', payload: result.errors });
+            return;
+        }
+        dispatch({ type: 'COMPLETE_STEP', payload: step });
+    }, [step, data, items]);
+
+    const handleBack = useCallback(() => {
+        const previous = STEP_ORDER[STEP_ORDER.indexOf(step) - 1];
+        if (previous) goToStep(previous);
+    }, [step, goToStep]);
+
+    const handlePlaceOrder = useCallback(async () => {
+        if (state.isSubmitting) return;
+
+        const checkout = { ...data, items };
+        const validation = validateCheckout(checkout);
+        if (!validation.isValid) {
+            dispatch({ type: 'GO_TO', payload: { step: validation.step, errors: validation.errors } });
+            return;
+        }
+
+        dispatch({ type: 'SUBMIT_START' });
+        const result = await OrderService.placeOrder(checkout, locale);
+
+        if (!result.success || !result.orderId) {
+            dispatch({ type: 'SUBMIT_FAILURE', payload: t.placeError });
+            return;
+        }
+
+        dispatch({ type: 'SUBMIT_SUCCESS', payload: result.orderId });
+        await clearCart();
+
+        // Card payments continue on the gateway's page, which returns to the confirmation
+        const { payment } = result;
+        if (payment?.redirectUrl) {
+            window.location.assign(payment.redirectUrl);
+            return;
+        }
+
+        const query = new URLSearchParams();
+        if (payment?.status && payment.status !== PAYMENT_STATUS.PENDING) query.set('payment', payment.status);
+        if (payment?.referenceCode) query.set('reference', payment.referenceCode);
+        const search = query.toString() ? `?${query}` : '';
+
+        router.replace(`/${locale}/checkout/confirmation/${encodeURIComponent(result.orderId)}${search}`);
+    }, [state.isSubmitting, data, items, locale, t.placeError, clearCart, router]);
+
+    // Clearing the cart empties `items` before navigation finishes
+    if (isLoading || state.placedOrderId) {
+        return (
+            <div className={styles.container}>
+                <LoadingSpinner message={state.placedOrderId ? t.placing : null} />
+            </div>
+        );
+    }
+
+    if (items.length === 0) {
+        return (
+            <div className={styles.container}>
+                <div className={styles.empty}>
+                    <ShoppingCart size={64} className={styles.emptyIcon} />
+                    <p>{t.emptyCart}</p>
+                    <Link href={`/${locale}`} className={styles.primaryButton}>
+                        {dictionary.cart.continueShopping}
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
+    const isLastStep = step === CHECKOUT_STEPS.CONFIRM;
+
+    return (
+        <div className={styles.container}>
+            <h1 className={styles.title}>{t.title}</h1>
+
+            <CheckoutProgress
+                currentStep={step}
+                completedSteps={state.completed}
+                onStepSelect={goToStep}
+                labels={t}
+            />
+
+            <div className={styles.layout}>
+                <form
+                    className={styles.main}
+                    noValidate
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        if (isLastStep) {
+                            handlePlaceOrder();
+                        } else {
+                            handleContinue();
+                        }
+                    }}
+                >
+                    <p ref={stepHeadingRef} tabIndex={-1} className={styles.stepCounter}>
+                        {t.stepOf
+                            .replace('{current}', STEP_ORDER.indexOf(step) + 1)
+                            .replace('{total}', STEP_ORDER.length)}
+                    </p>
+
+                    {step === CHECKOUT_STEPS.REVIEW && (
+                        <ReviewStep
+                            items={items}
+                            getItemKey={getItemKey}
+                            formatPrice={formatPrice}
+                            locale={locale}
+                            labels={t}
+                        />
+                    )}
+
+                    {step === CHECKOUT_STEPS.ADDRESS && (
+                        <AddressStep
+                            address={data.address}
+                            errors={errors}
+                            onChange={handleAddressChange}
+                            onSelect={handleAddressSelect}
+                            locale={locale}
+                            labels={t}
+                            addressLabels={dictionary.addresses}
+                        />
+                    )}
+
+                    {step === CHECKOUT_STEPS.DELIVERY && (
+                        <DeliveryStep
+                            value={data.deliveryMethod}
+                            subtotal={subtotal}
+                            error={errors.deliveryMethod}
+                            onChange={setField('deliveryMethod')}
+                            formatPrice={formatPrice}
+                            labels={t}
+                        />
+                    )}
+
+                    {step === CHECKOUT_STEPS.PAYMENT && (
+                        <PaymentStep
+                            methods={paymentMethods}
+                            value={data.paymentMethod}
+                            error={errors.paymentMethod}
+                            onChange={setField('paymentMethod')}
+                            labels={t}
+                        />
+                    )}
+
+                    {isLastStep && (
+                        <ConfirmStep
+                            data={data}
+                            notes={data.notes}
+                            onNotesChange={setField('notes')}
+                            onEdit={goToStep}
+                            locale={locale}
+                            labels={t}
+                        />
+                    )}
+
+                    {errors.items && (
+                        <p className={styles.formError} role="alert">{errors.items}</p>
+                    )}
+                    {state.submitError && (
+                        <p className={styles.formError} role="alert">{state.submitError}</p>
+                    )}
+
+                    <div className={styles.actions}>
+                        {step !== CHECKOUT_STEPS.REVIEW && (
+                            <button type="button" className={styles.secondaryButton} onClick={handleBack}>
+                                {t.back}
+                            </button>
+                        )}
+                        <button
+                            type="submit"
+                            className={styles.primaryButton}
+                            disabled={state.isSubmitting}
+                        >
+                            {isLastStep
+                                ? (state.isSubmitting ? t.placing : t.placeOrder)
+                                : t.continue}
+                        </button>
+                    </div>
+                </form>
+
+                <OrderSummary
+                    itemCount={items.reduce((sum, item) => sum + item.qty, 0)}
+                    totals={totals}
+                    formatPrice={formatPrice}
+                    labels={summaryLabels}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default CheckoutClient;
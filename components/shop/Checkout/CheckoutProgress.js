@@ -0,0 +1,39 @@
+'use client';
+
+import { memo } from 'react';
+import { Check } from 'lucide-react';
+import { STEP_ORDER } from '@/lib/checkout/steps';
+import styles from '@/styles/shop/checkout.module.css';
+
+export const CheckoutProgress = memo(({ currentStep, completedSteps, onStepSelect, labels }) => (
+    <nav aria-label={labels.title}>
+        <ol className={styles.progress}>
+            {STEP_ORDER.map((step, index) => {
+                const isCurrent = step === currentStep;
+                const isCompleted = completedSteps.includes(step);
+
+                return (
+                    <li
+                        key={step}
+                        className={`${styles.progressStep} ${isCurrent ? styles.progressStepCurrent : ''} ${isCompleted ? styles.progressStepDone : ''}`}
+                    >
+                        {/* Only finished steps can be revisited */}
+                        {isCompleted && !isCurrent ? (
+                            <button type="button" className={styles.progressButton} onClick={() => onStepSelect(step)}>
+                                <span className={styles.progressIndex}><Check size={14} /></span>
+                                {labels.steps[step]}
+                            </button>
+                        ) : (
+                            <span className={styles.progressButton} aria-current={isCurrent ? 'step' : undefined}>
+                                <span className={styles.progressIndex}>{index + 1}</span>
+                                {labels.steps[step]}
+                            </span>
+                        )}
+                    </li>
+                );
+            })}
+        </ol>
+    </nav>
+));
+
+CheckoutProgress.displayName = 'CheckoutProgress';
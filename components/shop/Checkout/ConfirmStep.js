@@ -0,0 +1,60 @@
+'use client';
+
+import { memo } from 'react';
+import { CHECKOUT_STEPS } from '@/lib/checkout/steps';
+import { formatAddress } from '@/lib/addresses/format';
+import styles from '@/styles/shop/checkout.module.css';
+
+export const ConfirmStep = memo(({ data, notes, onNotesChange, onEdit, locale, labels }) => {
+    const sections = [
+        {
+            step: CHECKOUT_STEPS.ADDRESS,
+            lines: [data.address.fullName, data.address.mobile, formatAddress(data.address, locale)],
+        },
+        {
+            step: CHECKOUT_STEPS.DELIVERY,
+            lines: [labels.deliveryOptions[data.deliveryMethod]],
+        },
+        {
+            step: CHECKOUT_STEPS.PAYMENT,
+            lines: [labels.paymentMethods[data.paymentMethod]],
+        },
+    ];
+
+    return (
+        <section className={styles.step} aria-labelledby="checkout-confirm-title">
+            <h2 id="checkout-confirm-title" className={styles.stepTitle}>{labels.steps.confirm}</h2>
+
+            <dl className={styles.review}>
+                {sections.map(section => (
+                    <div key={section.step} className={styles.reviewBlock}>
+                        <dt className={styles.reviewTitle}>
+                            {labels.steps[section.step]}
+                            <button type="button" className={styles.linkButton} onClick={() => onEdit(section.step)}>
+                                {labels.edit}
+                            </button>
+                        </dt>
+                        {section.lines.filter(Boolean).map((line, index) => (
+                            <dd key={index} className={styles.reviewLine}>{line}</dd>
+                        ))}
+                    </div>
+                ))}
+            </dl>
+
+            <div className={styles.field}>
+                <label htmlFor="checkout-notes">{labels.notes}</label>
+                <textarea
+                    id="checkout-notes"
+                    rows={2}
+                    maxLength={500}
+                    value={notes}
+                    placeholder={labels.notesPlaceholder}
+                    onChange={(e) => onNotesChange(e.target.value)}
+                    className={styles.input}
+                />
+            </div>
+        </section>
+    );
+});
+
+ConfirmStep.displayName = 'ConfirmStep';
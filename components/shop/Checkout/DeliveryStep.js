@@ -0,0 +1,56 @@
+'use client';
+
+import { memo } from 'react';
+import { Truck, Zap } from 'lucide-react';
+import { DELIVERY_OPTIONS, getDeliveryFee } from '@/lib/checkout/steps';
+import styles from '@/styles/shop/checkout.module.css';
+
+const ICONS = { standard: Truck, express: Zap };
+
+export const DeliveryStep = memo(({ value, subtotal, error, onChange, formatPrice, labels }) => (
+    <section className={styles.step} aria-labelledby="checkout-delivery-title">
+        <h2 id="checkout-delivery-title" className={styles.stepTitle}>{labels.steps.delivery}</h2>
+
+        <div
+            role="radiogroup"
+            aria-labelledby="checkout-delivery-title"
+            aria-describedby={error ? 'checkout-delivery-error' : undefined}
+            className={styles.options}
+        >
+            {DELIVERY_OPTIONS.map(option => {
+                const Icon = ICONS[option.id] || Truck;
+                const fee = getDeliveryFee(option.id, subtotal);
+
+                return (
+                    <label
+                        key={option.id}
+                        className={`${styles.option} ${value === option.id ? styles.optionSelected : ''}`}
+                    >
+                        <input
+                            type="radio"
+                            name="deliveryMethod"
+                            value={option.id}
+                            checked={value === option.id}
+                            onChange={() => onChange(option.id)}
+                            className={styles.radio}
+                        />
+                        <Icon size={22} aria-hidden="true" />
+                        <span className={styles.optionText}>
+                            <span className={styles.optionTitle}>{labels.deliveryOptions[option.id]}</span>
+                            <span className={styles.optionHint}>
+                                {labels.deliveryDays
+                                    .replace('{min}', option.minDays)
+                                    .replace('{max}', option.maxDays)}
+                            </span>
+                        </span>
+                        <span className={styles.optionPrice}>{fee === 0 ? labels.free : formatPrice(fee)}</span>
+                    </label>
+                );
+            })}
+        </div>
+
+        {error && <p id="checkout-delivery-error" className={styles.fieldError}>{error}</p>}
+    </section>
+));
+
+DeliveryStep.displayName = 'DeliveryStep';
@@ -0,0 +1,141 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { CheckCircle } from 'lucide-react';
+import { OrderService } from '@/services/order.service';
+import { PAYMENT_STATUS } from '@/lib/payments/providers';
+import { getCachedPriceFormatter } from '@/utils/performance';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import styles from '@/styles/shop/checkout.module.css';
+
+const PaymentNotice = ({ status, referenceCode, expiresAt, testPaymentHref, locale, labels }) => {
+    if (status === PAYMENT_STATUS.PAID) {
+        return (
+            <div className={`${styles.paymentNotice} ${styles.paymentNoticeSuccess}`} role="status">
+                {labels.paid}
+            </div>
+        );
+    }
+
+    if (status === PAYMENT_STATUS.FAILED || status === PAYMENT_STATUS.CANCELLED) {
+        return (
+            <div className={`${styles.paymentNotice} ${styles.paymentNoticeError}`} role="alert">
+                <strong>{status === PAYMENT_STATUS.FAILED ? labels.failed : labels.cancelled}</strong>
+                <span>{labels.failedHint}</span>
+            </div>
+        );
+    }
+
+    if (!referenceCode) return null;
+
+    return (
+        <div className={styles.paymentNotice}>
+            <strong>{labels.referenceTitle}</strong>
+            <p className={styles.referenceCode}>{referenceCode}</p>
+            <span>{labels.referenceHint}</span>
+            {expiresAt && (
+                <span className={styles.fieldHint}>
+                    {labels.expiresAt}{' '}
+                    {new Date(expiresAt).toLocaleString(locale === 'en' ? 'en-US' : 'ar-EG', {
+                        dateStyle: 'medium',
+                        timeStyle: 'short'
+                    })}
+                </span>
+            )}
+            {testPaymentHref && (
+                <Link href={testPaymentHref} className={styles.linkButton}>{labels.simulate}</Link>
+            )}
+        </div>
+    );
+};
+
+const OrderConfirmation = ({ orderId, paymentStatus, referenceCode, testPaymentHref, dictionary, locale }) => {
+    const t = dictionary.checkout;
+    const [order, setOrder] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const priceFormatter = useMemo(() => getCachedPriceFormatter(locale), [locale]);
+    const formatPrice = useCallback((price) => priceFormatter.format(price || 0), [priceFormatter]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        OrderService.getOrder(orderId, locale).then(result => {
+            if (cancelled) return;
+            setOrder(result.success ? result.order : null);
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [orderId, locale]);
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.confirmation}>
+                <CheckCircle size={64} className={styles.confirmationIcon} aria-hidden="true" />
+                <h1 className={styles.title}>{t.confirmation.title}</h1>
+                <p>{t.confirmation.thanks}</p>
+                <p className={styles.orderNumber}>
+                    {t.confirmation.orderNumber} <strong>#{order?.number || orderId}</strong>
+                </p>
+
+                {isLoading && <LoadingSpinner message={null} />}
+
+                {!isLoading && (
+                    <PaymentNotice
+                        status={paymentStatus || order?.payment.status}
+                        referenceCode={order?.payment.referenceCode || referenceCode}
+                        expiresAt={order?.payment.expiresAt}
+                        testPaymentHref={testPaymentHref}
+                        locale={locale}
+                        labels={t.payment}
+                    />
+                )}
+
+                {/* The order was placed either way; details are a bonus */}
+                {!isLoading && !order && (
+                    <p className={styles.fieldHint}>{t.confirmation.loadError}</p>
+                )}
+
+                {order && (
+                    <dl className={styles.confirmationDetails}>
+                        <div className={styles.summaryRow}>
+                            <dt>{t.items}</dt>
+                            <dd>{order.items.reduce((sum, item) => sum + item.qty, 0)}</dd>
+                        </div>
+                        {order.deliveryMethod && (
+                            <div className={styles.summaryRow}>
+                                <dt>{t.steps.delivery}</dt>
+                                <dd>{t.deliveryOptions[order.deliveryMethod] || order.deliveryMethod}</dd>
+                            </div>
+                        )}
+                        {order.paymentMethod && (
+                            <div className={styles.summaryRow}>
+                                <dt>{t.steps.payment}</dt>
+                                <dd>{t.paymentMethods[order.paymentMethod] || order.paymentMethod}</dd>
+                            </div>
+                        )}
+                        <div className={`${styles.summaryRow} ${styles.summaryTotal}`}>
+                            <dt>{dictionary.cart.total}</dt>
+                            <dd>{formatPrice(order.total)}</dd>
+                        </div>
+                    </dl>
+                )}
+
+                <div className={styles.actions}>
+                    <Link href={`/${locale}/orders`} className={styles.secondaryButton}>
+                        {t.confirmation.viewOrders}
+                    </Link>
+                    <Link href={`/${locale}`} className={styles.primaryButton}>
+                        {dictionary.cart.continueShopping}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OrderConfirmation;
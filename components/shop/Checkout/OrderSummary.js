@@ -0,0 +1,29 @@
+'use client';
+
+import { memo } from 'react';
+import styles from '@/styles/shop/checkout.module.css';
+
+export const OrderSummary = memo(({ itemCount, totals, formatPrice, labels, children }) => (
+    <aside className={styles.summary} aria-label={labels.orderSummary}>
+        <h2 className={styles.summaryTitle}>{labels.orderSummary}</h2>
+        <div className={styles.summaryRow}>
+            <span>{labels.items}</span>
+            <span>{itemCount}</span>
+        </div>
+        <div className={styles.summaryRow}>
+            <span>{labels.subtotal}</span>
+            <span>{formatPrice(totals.subtotal)}</span>
+        </div>
+        <div className={styles.summaryRow}>
+            <span>{labels.shipping}</span>
+            <span>{totals.shipping === 0 ? labels.free : formatPrice(totals.shipping)}</span>
+        </div>
+        <div className={`${styles.summaryRow} ${styles.summaryTotal}`}>
+            <span>{labels.total}</span>
+            <strong>{formatPrice(totals.total)}</strong>
+        </div>
+        {children}
+    </aside>
+));
+
+OrderSummary.displayName = 'OrderSummary';
@@ -0,0 +1,57 @@
+'use client';
+
+import { memo } from 'react';
+import Image from 'next/image';
+import cashImg from '@/assets/cash.png';
+import cardImg from '@/assets/credit.svg';
+import fawryImg from '@/assets/fawary.png';
+import { PAYMENT_METHODS } from '@/lib/payments/providers';
+import styles from '@/styles/shop/checkout.module.css';
+
+const LOGOS = {
+    [PAYMENT_METHODS.CASH]: cashImg,
+    [PAYMENT_METHODS.CARD]: cardImg,
+    [PAYMENT_METHODS.FAWRY]: fawryImg,
+};
+
+export const PaymentStep = memo(({ methods, value, error, onChange, labels }) => (
+    <section className={styles.step} aria-labelledby="checkout-payment-title">
+        <h2 id="checkout-payment-title" className={styles.stepTitle}>{labels.steps.payment}</h2>
+
+        <div
+            role="radiogroup"
+            aria-labelledby="checkout-payment-title"
+            aria-describedby={error ? 'checkout-payment-error' : undefined}
+            className={styles.options}
+        >
+            {methods.map(method => (
+                <label
+                    key={method}
+                    className={`${styles.option} ${value === method ? styles.optionSelected : ''}`}
+                >
+                    <input
+                        type="radio"
+                        name="paymentMethod"
+                        value={method}
+                        checked={value === method}
+                        onChange={() => onChange(method)}
+                        className={styles.radio}
+                    />
+                    <span className={styles.optionText}>
+                        <span className={styles.optionTitle}>{labels.paymentMethods[method]}</span>
+                        <span className={styles.optionHint}>{labels.paymentHints[method]}</span>
+                    </span>
+                    {LOGOS[method] && (
+                        <span className={styles.paymentLogo}>
+                            <Image src={LOGOS[method]} alt="" fill sizes="72px" />
+                        </span>
+                    )}
+                </label>
+            ))}
+        </div>
+
+        {error && <p id="checkout-payment-error" className={styles.fieldError}>{error}</p>}
+    </section>
+));
+
+PaymentStep.displayName = 'PaymentStep';
@@ -0,0 +1,38 @@
+'use client';
+
+import { memo } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import noImg from '@/assets/noImg.png';
+import styles from '@/styles/shop/checkout.module.css';
+
+export const ReviewStep = memo(({ items, getItemKey, formatPrice, locale, labels }) => (
+    <section className={styles.step} aria-labelledby="checkout-review-title">
+        <div className={styles.stepHeader}>
+            <h2 id="checkout-review-title" className={styles.stepTitle}>{labels.steps.review}</h2>
+            <Link href={`/${locale}/cart`} className={styles.linkButton}>{labels.editCart}</Link>
+        </div>
+
+        <ul className={styles.lines}>
+            {items.map(item => (
+                <li key={getItemKey(item)} className={styles.line}>
+                    <div className={styles.lineImage}>
+                        <Image src={item.image || noImg} alt={item.name} fill sizes="64px" />
+                    </div>
+                    <div className={styles.lineInfo}>
+                        <p className={styles.lineName}>{item.name}</p>
+                        {(item.colorName || item.sizeName) && (
+                            <p className={styles.lineVariant}>
+                                {[item.colorName, item.sizeName].filter(Boolean).join(' / ')}
+                            </p>
+                        )}
+                        <p className={styles.lineVariant}>{labels.quantity}: {item.qty}</p>
+                    </div>
+                    <p className={styles.linePrice}>{formatPrice(item.price * item.qty)}</p>
+                </li>
+            ))}
+        </ul>
+    </section>
+));
+
+ReviewStep.displayName = 'ReviewStep';
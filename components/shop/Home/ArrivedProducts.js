@@ -3,65 +3,91 @@
 import { useRef, useState, useEffect } from 'react';
 import { motion, useInView } from 'framer-motion';
 import Card from '../../ui/Card/Card';
+import Carousel from '@/components/common/Carousel/Carousel';
+import { useDictionary } from '@/hooks/useDirection';
 import styles from '@/styles/shop/arrived.module.css';
+
+// Cards of one page keep their place in the flex row
+const ProductsTrack = ({ products, index, perPage, goTo, getSlideProps, containerRef, gridRef, isInView }) => {
+    const pageCount = Math.ceil(products.length / perPage);
+
+    // Slide to the first card of the page, measured so any card width or gap works in both directions
+    useEffect(() => {
+        const container = containerRef.current;
+        const grid = gridRef.current;
+        const cards = grid?.querySelectorAll(`.${styles.productWrapper}`);
+        if (!container || !cards?.length) return;
+
+        const target = cards[Math.min(index * perPage, cards.length - 1)];
+        const maxOffset = Math.max(grid.scrollWidth - container.clientWidth, 0);
+        const offset = Math.min(Math.abs(target.offsetLeft - cards[0].offsetLeft), maxOffset);
+        const sign = getComputedStyle(grid).direction === 'rtl' ? 1 : -1;
+
+        grid.style.transform = `translateX(${sign * offset}px)`;
+    }, [index, perPage, containerRef, gridRef]);
+
+    return (
+        <div className={styles.productsGrid} ref={gridRef}>
+            {Array.from({ length: pageCount }, (_, page) => (
+                <div
+                    key={page}
+                    {...getSlideProps(page)}
+                    className={styles.page}
+                    onFocus={() => {
+                        // Focus may land on a card of another page; show that page instead of scrolling
+                        containerRef.current.scrollLeft = 0;
+                        if (page !== index) goTo(page);
+                    }}
+                >
+                    {products.slice(page * perPage, (page + 1) * perPage).map((product, offset) => (
+                        <motion.div
+                            key={product.productId}
+                            className={styles.productWrapper}
+                            initial={{ opacity: 0, y: 50 }}
+                            animate={isInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 50 }}
+                            transition={{
+                                duration: 0.6,
+                                ease: "easeOut",
+                                delay: 0.4 + ((page * perPage + offset) * 0.1)
+                            }}
+                        >
+                            <Card product={product} />
+                        </motion.div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+};
+
 const ArrivedProducts = ({ arrivedProducts }) => {
+    const { t } = useDictionary();
     const sectionRef = useRef(null);
     const scrollContainerRef = useRef(null);
+    const gridRef = useRef(null);
     const isInView = useInView(sectionRef, { once: true, margin: "-100px" });
 
-    const [currentSlide, setCurrentSlide] = useState(0);
-    const [isDragging, setIsDragging] = useState(false);
-    const [startX, setStartX] = useState(0);
-    const [scrollLeft, setScrollLeft] = useState(0);
-
-    const maxSlides = Math.ceil(arrivedProducts.length / 3) - 1;
-
-    const handleMouseDown = (e) => {
-        if (!scrollContainerRef.current) return;
-        setIsDragging(true);
-        setStartX(e.pageX - scrollContainerRef.current.offsetLeft);
-        setScrollLeft(scrollContainerRef.current.scrollLeft);
-    };
-
-    const handleMouseMove = (e) => {
-        if (!isDragging || !scrollContainerRef.current) return;
-        e.preventDefault();
-        const x = e.pageX - scrollContainerRef.current.offsetLeft;
-        const walk = (x - startX) * 2;
-        scrollContainerRef.current.scrollLeft = scrollLeft - walk;
-    };
-
-    const handleMouseUp = () => {
-        setIsDragging(false);
-    };
-
-    const handleScroll = () => {
-        if (!scrollContainerRef.current) return;
-        const container = scrollContainerRef.current;
-        const cardWidth = 320; // card width + gap
-        const newSlide = Math.round(container.scrollLeft / cardWidth / 3);
-        setCurrentSlide(Math.min(newSlide, maxSlides));
-    };
-
-    const scrollToSlide = (slideIndex) => {
-        if (!scrollContainerRef.current) return;
-        const cardWidth = 320;
-        const scrollPosition = slideIndex * cardWidth * 3;
-        scrollContainerRef.current.scrollTo({
-            left: scrollPosition,
-            behavior: 'smooth'
-        });
-    };
+    const [perPage, setPerPage] = useState(3);
 
+    // How many whole cards fit in the container
     useEffect(() => {
         const container = scrollContainerRef.current;
-        if (container) {
-            container.addEventListener('scroll', handleScroll);
-            return () => container.removeEventListener('scroll', handleScroll);
-        }
-    }, []);
+        const grid = gridRef.current;
+        if (!container || !grid) return;
+
+        const measure = () => {
+            const card = grid.querySelector(`.${styles.productWrapper}`);
+            if (!card) return;
+            const gap = parseFloat(getComputedStyle(grid).columnGap) || 0;
+            setPerPage(Math.max(1, Math.floor((container.clientWidth + gap) / (card.offsetWidth + gap))));
+        };
 
+        measure();
 
+        const observer = new ResizeObserver(measure);
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, [arrivedProducts.length]);
 
     return (
         <section ref={sectionRef} className={styles.section}>
@@ -86,44 +112,32 @@ const ArrivedProducts = ({ arrivedProducts }) => {
                     animate={isInView ? { opacity: 1, x: 0 } : { opacity: 0, x: 100 }}
                     transition={{ duration: 0.8, ease: "easeOut", delay: 0.2 }}
                 >
-                    <div
-                        className={styles.productsContainer}
-                        ref={scrollContainerRef}
-                        onMouseDown={handleMouseDown}
-                        onMouseMove={handleMouseMove}
-                        onMouseUp={handleMouseUp}
-                        onMouseLeave={handleMouseUp}
+                    <Carousel
+                        count={Math.ceil(arrivedProducts.length / perPage)}
+                        label={t('home.arrived')}
+                        autoplay={false}
+                        loop={false}
+                        viewportRef={scrollContainerRef}
+                        classNames={{
+                            viewport: styles.productsContainer,
+                            dots: styles.pagination,
+                            dot: styles.paginationDot,
+                            dotActive: styles.active,
+                        }}
                     >
-                        <div className={styles.productsGrid}>
-                            {arrivedProducts.map((product, index) => (
-                                <motion.div
-                                    key={product.productId}
-                                    className={styles.productWrapper}
-                                    initial={{ opacity: 0, y: 50 }}
-                                    animate={isInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 50 }}
-                                    transition={{
-                                        duration: 0.6,
-                                        ease: "easeOut",
-                                        delay: 0.4 + (index * 0.1)
-                                    }}
-                                >
-                                    <Card product={product} />
-                                </motion.div>
-                            ))}
-                        </div>
-                    </div>
-
-                    <div className={styles.pagination}>
-                        {Array.from({ length: maxSlides + 1 }, (_, index) => (
-                            <button
-                                key={index}
-                                className={`${styles.paginationDot} ${currentSlide === index ? styles.active : ''
-                                    }`}
-                                onClick={() => scrollToSlide(index)}
-                                aria-label={`Go to slide ${index + 1}`}
+                        {({ index, goTo, getSlideProps }) => (
+                            <ProductsTrack
+                                products={arrivedProducts}
+                                index={index}
+                                perPage={perPage}
+                                goTo={goTo}
+                                getSlideProps={getSlideProps}
+                                containerRef={scrollContainerRef}
+                                gridRef={gridRef}
+                                isInView={isInView}
                             />
-                        ))}
-                    </div>
+                        )}
+                    </Carousel>
                 </motion.div>
             </div>
         </section>
@@ -1,51 +1,34 @@
 
 'use client'
-import React, { useEffect, useRef, useState } from "react";
+import React, { useRef } from "react";
 import Image from "next/image";
+import Link from "next/link";
 import localFont from 'next/font/local';
-import { motion, useInView, AnimatePresence } from 'framer-motion';
-import { ChevronLeft, ChevronRight } from 'lucide-react'; 
+import { motion, useInView } from 'framer-motion';
 import styles from '@/styles/shop/brandHome.module.css'
+import { useDictionary } from '@/hooks/useDirection';
+import Carousel from '@/components/common/Carousel/Carousel';
 const myFont = localFont({
   src: '../../../public/fonts/Quentin.otf',
 })
 const BrandHome = ({ brands }) => {
+      const { locale, t } = useDictionary();
       const sectionRef = useRef(null);
         const containerRef = useRef(null);
       
       const isInView = useInView(sectionRef, { once: true, threshold: 0.1 });
-    const [currentIndex, setCurrentIndex] = useState(0);
-    const [isHovered, setIsHovered] = useState(false);
+    const visibleCount = Math.min(5, brands.length);
 
-    // Auto scroll functionality - moves one brand at a time
-    useEffect(() => {
-        if (isHovered) return;
-
-        const interval = setInterval(() => {
-            setCurrentIndex((prev) => (prev + 1) % brands.length);
-        }, 3000);
-
-        return () => clearInterval(interval);
-    }, [isHovered]);
-
-    // Get visible brands (5 consecutive brands)
-    const getVisibleBrands = () => {
+    // Visible brands: `visibleCount` consecutive brands starting at the current one
+    const getVisibleBrands = (currentIndex) => {
         const visible = [];
-        for (let i = 0; i < 5; i++) {
+        for (let i = 0; i < visibleCount; i++) {
             const index = (currentIndex + i) % brands.length;
             visible.push(brands[index]);
         }
         return visible;
     };
 
-    const handlePrevious = () => {
-        setCurrentIndex((prev) => (prev - 1 + brands.length) % brands.length);
-    };
-
-    const handleNext = () => {
-        setCurrentIndex((prev) => (prev + 1) % brands.length);
-    };
-
     const containerVariants = {
         hidden: { opacity: 0 },
         visible: {
@@ -65,8 +48,6 @@ const BrandHome = ({ brands }) => {
         }
     };
 
-    const visibleBrands = getVisibleBrands();
-
   return (
       <motion.section
           ref={sectionRef}
@@ -83,82 +64,77 @@ const BrandHome = ({ brands }) => {
                   <p className={styles.subtitle}>
                       Express your style with our standout collection.
                   </p>
+                  <Link href={`/${locale}/brands`} className={styles.viewAll}>
+                      {t('brands.all')}
+                  </Link>
               </motion.div>
               <p className={`${styles.categorySpecial} ${myFont.className}`}>Beauty</p>
 
-              <div
+              {/* Moves one brand at a time */}
+              <Carousel
+                  count={brands.length}
+                  label={t('home.brands')}
+                  interval={3000}
+                  showDots={false}
                   className={styles.carouselWrapper}
-                  onMouseEnter={() => setIsHovered(true)}
-                  onMouseLeave={() => setIsHovered(false)}
+                  classNames={{
+                      controls: styles.navControls,
+                      button: styles.navButton,
+                      prev: styles.navButtonPrev,
+                      next: styles.navButtonNext,
+                      toggle: styles.navToggle,
+                      icon: styles.navIcon,
+                  }}
               >
-                  <AnimatePresence>
-                      {isHovered && (
-                          <>
-                              <motion.button
-                                  initial={{ opacity: 0, scale: 0.8 }}
-                                  animate={{ opacity: 1, scale: 1 }}
-                                  exit={{ opacity: 0, scale: 0.8 }}
-                                  transition={{ duration: 0.2 }}
-                                  onClick={handlePrevious}
-                                  className={`${styles.navButton} ${styles.navButtonLeft}`}
-                              >
-                                  <ChevronLeft className={styles.navIcon} />
-                              </motion.button>
-                              <motion.button
-                                  initial={{ opacity: 0, scale: 0.8 }}
-                                  animate={{ opacity: 1, scale: 1 }}
-                                  exit={{ opacity: 0, scale: 0.8 }}
-                                  transition={{ duration: 0.2 }}
-                                  onClick={handleNext}
-                                  className={`${styles.navButton} ${styles.navButtonRight}`}
-                              >
-                                  <ChevronRight className={styles.navIcon} />
-                              </motion.button>
-                          </>
-                      )}
-                  </AnimatePresence>
-
-                  {/* Brands Container - Horizontal layout like the image */}
-                  <motion.div
-                      className={styles.brandsContainer}
-                      key={currentIndex}
-                      ref={containerRef}
-                      variants={containerVariants}
-                     
-                  >
-                      {visibleBrands.map((brand, index) => {
-                          const isNewCard = index === visibleBrands.length - 1; // آخر كارت هو الجديد
-                          return (
-                              <motion.div
-                                  key={brand.id}
-                                  className={styles.brandItem}
-                                  initial={isNewCard ? { scale: 0.5, opacity: 0 } : false} // بس الجديد يبدأ من زووم إن
-                                  animate={isNewCard ? { scale: 1, opacity: 1 } : { scale: 1, opacity: 1 }}
-                                  transition={{
-                                      duration: isNewCard ? 0.6 : 0.3,
-                                      ease: "easeOut"
-                                  }}
-                                  whileHover={{ scale: 1.05 }}
-                                  whileTap={{ scale: 0.95 }}
-                              >
-                                  <div className={styles.brandCard}>
-                                      <div className={styles.brandImageContainer}>
-                                          <Image
-                                              width={250}
-                                              height={250}
-                                              src={brand?.imageUrl}
-                                              alt={brand?.name}
-                                              className={styles.brandImage}
-                                              onError={(e) => { e.target.src = `https://via.placeholder.com/150x150/f3f4f6/9ca3af?text=${brand.name}`; }}
-                                          />
-                                      </div>
-                                  </div>
-                              </motion.div>
-                          );
-                      })}
+                  {({ index: currentIndex, getSlideProps }) => {
+                      const visibleBrands = getVisibleBrands(currentIndex);
 
-                  </motion.div>
-              </div>
+                      return (
+                          <motion.div
+                              className={styles.brandsContainer}
+                              key={currentIndex}
+                              ref={containerRef}
+                              variants={containerVariants}
+                          >
+                              {visibleBrands.map((brand, index) => {
+                                  const isNewCard = index === visibleBrands.length - 1; // آخر كارت هو الجديد
+                                  return (
+                                      <motion.div
+                                          key={brand.id}
+                                          {...getSlideProps((currentIndex + index) % brands.length)}
+                                          className={styles.brandItem}
+                                          initial={isNewCard ? { scale: 0.5, opacity: 0 } : false} // بس الجديد يبدأ من زووم إن
+                                          animate={{ scale: 1, opacity: 1 }}
+                                          transition={{
+                                              duration: isNewCard ? 0.6 : 0.3,
+                                              ease: "easeOut"
+                                          }}
+                                          whileHover={{ scale: 1.05 }}
+                                          whileTap={{ scale: 0.95 }}
+                                      >
+                                          <Link
+                                              href={`/${locale}/brands/${brand.id}`}
+                                              className={styles.brandCard}
+                                              aria-label={`${t('brands.viewBrand')} ${brand.name}`}
+                                          >
+                                              <div className={styles.brandImageContainer}>
+                                                  <Image
+                                                      width={250}
+                                                      height={250}
+                                                      src={brand?.imageUrl}
+                                                      alt={brand?.name}
+                                                      className={styles.brandImage}
+                                                      onError={(e) => { e.target.src = `https://via.placeholder.com/150x150/f3f4f6/9ca3af?text=${brand.name}`; }}
+                                                  />
+                                              </div>
+                                          </Link>
+                                      </motion.div>
+                                  );
+                              })}
+                          </motion.div>
+                      );
+                  }}
+              </Carousel>
           </div>
       </motion.section>
   )
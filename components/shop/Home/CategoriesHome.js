@@ -1,59 +1,40 @@
 'use client'
-import React, { useEffect, useRef, useState } from "react";
+import React, { useRef } from "react";
 import styles from "@/styles/shop/categoriesHome.module.css";
 import Image from "next/image";
+import Link from "next/link";
+import { useParams } from "next/navigation";
 import localFont from 'next/font/local';
 import { motion, useInView } from 'framer-motion';
 import catone from '@/assets/cat1.png'
+import Carousel from '@/components/common/Carousel/Carousel';
+import { useDictionary } from '@/hooks/useDirection';
 const myFont = localFont({
   src: '../../../public/fonts/Quentin.otf',
 })
 
 const CategoriesHome = ({ categories }) => {
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const { locale } = useParams();
+  const { t } = useDictionary();
   const containerRef = useRef(null);
   const sectionRef = useRef(null);
-  const autoScrollRef = useRef(null);
   const isInView = useInView(sectionRef, { once: true, threshold: 0.1 });
 
-  const visibleCategories = 3; // Changed to 5 to match the image layout
+  const visibleCategories = 3;
   const totalGroups = Math.ceil(categories.length / visibleCategories);
 
-  useEffect(() => {
-    startAutoScroll();
-    return () => stopAutoScroll();
-  }, []);
+  // Fill the last group from the start so every group has the same width
+  const getGroupItems = (groupIndex) => {
+    const items = categories.slice(
+      groupIndex * visibleCategories,
+      (groupIndex + 1) * visibleCategories
+    );
 
-  const startAutoScroll = () => {
-    stopAutoScroll();
-    autoScrollRef.current = setInterval(() => {
-      nextGroup();
-    }, 5000);
+    return items.length < visibleCategories
+      ? [...items, ...categories.slice(0, visibleCategories - items.length)]
+      : items;
   };
 
-  const stopAutoScroll = () => {
-    if (autoScrollRef.current) {
-      clearInterval(autoScrollRef.current);
-    }
-  };
-
-  const nextGroup = () => {
-    setCurrentIndex(prev => (prev + 1) % totalGroups);
-  };
-
-  const prevGroup = () => {
-    setCurrentIndex(prev => (prev - 1 + totalGroups) % totalGroups);
-  };
-
-  const visibleItems = categories.slice(
-    currentIndex * visibleCategories,
-    (currentIndex + 1) * visibleCategories
-  );
-
-  const paddedItems = visibleItems.length < visibleCategories
-    ? [...visibleItems, ...categories.slice(0, visibleCategories - visibleItems.length)]
-    : visibleItems;
-
   // Animation variants
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -118,69 +99,55 @@ const CategoriesHome = ({ categories }) => {
 <div>
   <Image src={catone} alt="Category Banner" className={styles.catone} />
 </div>
-      <div className={styles.categories__container}>
-        <motion.div
-          className={styles.categories__body}
-          ref={containerRef}
-          variants={containerVariants}
-        >
-          {paddedItems.map((category, index) => (
-            <motion.div
-              key={`${category.id}-${currentIndex}`}
-              className={styles.category__wrapper}
-              variants={itemVariants}
-              whileHover={{
-                scale: 1.05,
-                transition: { type: "spring", stiffness: 300, damping: 20 }
-              }}
-              whileTap={{ scale: 0.95 }}
-            >
-              <div className={`${styles.category}`}>
-                <div className={styles.category__figure}>
-                  <Image
-                    alt={category.name}
-                    className={styles.category__img}
-                    src={category.imageUrl}
-                    width={200}
-                    height={200}
-                    priority
-                  />
-                </div>
-              </div>
-              <motion.p
-                className={` ${styles.categoryName}`}
+      <Carousel
+        count={totalGroups}
+        label={t('home.categories')}
+        interval={5000}
+        classNames={{ viewport: styles.categories__container, dots: styles.dots, dot: styles.dot, dotActive: styles.activeDot }}
+      >
+        {({ index: currentIndex, getSlideProps }) => (
+          <motion.div
+            {...getSlideProps(currentIndex)}
+            className={styles.categories__body}
+            ref={containerRef}
+            variants={containerVariants}
+          >
+            {getGroupItems(currentIndex).map((category) => (
+              <motion.div
+                key={`${category.id}-${currentIndex}`}
+                className={styles.category__wrapper}
                 variants={itemVariants}
+                whileHover={{
+                  scale: 1.05,
+                  transition: { type: "spring", stiffness: 300, damping: 20 }
+                }}
+                whileTap={{ scale: 0.95 }}
               >
-                {category.name}
-              </motion.p>
-            </motion.div>
-          ))}
-        </motion.div>
-      </div>
-
-      {/* Dots indicator */}
-      {totalGroups > 1 && (
-        <motion.div
-          className={styles.dots}
-          initial={{ opacity: 0, y: 20 }}
-          animate={isInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 20 }}
-          transition={{ delay: 0.8, duration: 0.4 }}
-        >
-          {Array.from({ length: totalGroups }).map((_, index) => (
-            <motion.button
-              key={index}
-              className={`${styles.dot} ${index === currentIndex ? styles.activeDot : ''}`}
-              onClick={() => {
-                setCurrentIndex(index);
-                startAutoScroll();
-              }}
-              aria-label={`Go to group ${index + 1}`}
-              whileHover={{ scale: 1.2 }}
-              whileTap={{ scale: 0.9 }}
-            />
-          ))}
-        </motion.div>
-      )}
+                <Link href={`/${locale}/categories/${category.id}`} className={styles.category__link}>
+                  <div className={`${styles.category}`}>
+                    <div className={styles.category__figure}>
+                      <Image
+                        alt={category.name}
+                        className={styles.category__img}
+                        src={category.imageUrl}
+                        width={200}
+                        height={200}
+                        priority
+                      />
+                    </div>
+                  </div>
+                  <motion.p
+                    className={` ${styles.categoryName}`}
+                    variants={itemVariants}
+                  >
+                    {category.name}
+                  </motion.p>
+                </Link>
+              </motion.div>
+            ))}
+          </motion.div>
+        )}
+      </Carousel>
     </motion.section>
   )
 }
@@ -0,0 +1,105 @@
+// components/shop/Home/HomeSections.js
+// Async server sections for the home page; each one is streamed behind its own Suspense boundary
+
+import { serverGetHome, serverGetProductBundle } from '@/lib/api/server';
+import { normalizeSearchResults } from '@/lib/search/params';
+import BannerWithClient from './BannerWithClient';
+import CategoriesHome from './CategoriesHome';
+import BrandHome from './BrandHome';
+import TrendingProducts from './TrendingProducts';
+import ArrivedProducts from './ArrivedProducts';
+import styles from '@/styles/shop/home.module.css';
+
+/**
+ * Read a list from the home payload; the request is deduped across sections
+ */
+const getHomeList = async (locale, key) => {
+    const home = await serverGetHome(locale);
+    return Array.isArray(home?.[key]) ? home[key] : [];
+};
+
+/**
+ * Shown while a section streams in
+ */
+export const SectionSkeleton = ({ variant = 'products' }) => (
+    <div className={`${styles.skeleton} ${styles[`skeleton--${variant}`] || ''}`} aria-hidden="true" />
+);
+
+/**
+ * Shown in place of a section whose data is missing or failed to load
+ */
+export const SectionFallback = ({ title, message }) => (
+    <section className={styles.fallback} aria-label={title}>
+        <p className={styles.fallbackTitle}>{title}</p>
+        <p className={styles.fallbackMessage}>{message}</p>
+    </section>
+);
+
+export async function BannerSection({ locale, t }) {
+    try {
+        const banners = await getHomeList(locale, 'banners');
+        if (banners.length > 0) {
+            return <BannerWithClient banners={banners} />;
+        }
+    } catch (error) {
+        console.error('Home banners failed to load:', error);
+    }
+
+    return <SectionFallback title={t.banners} message={t.unavailable} />;
+}
+
+export async function CategoriesSection({ locale, t }) {
+    try {
+        const categories = await getHomeList(locale, 'categories');
+        if (categories.length > 0) {
+            return <CategoriesHome categories={categories} />;
+        }
+    } catch (error) {
+        console.error('Home categories failed to load:', error);
+    }
+
+    return <SectionFallback title={t.categories} message={t.unavailable} />;
+}
+
+export async function BrandsSection({ locale, t }) {
+    try {
+        const brands = await getHomeList(locale, 'brands');
+        if (brands.length > 0) {
+            return <BrandHome brands={brands} />;
+        }
+    } catch (error) {
+        console.error('Home brands failed to load:', error);
+    }
+
+    return <SectionFallback title={t.brands} message={t.unavailable} />;
+}
+
+export async function TrendingSection({ locale, t }) {
+    try {
+        const [popularProducts, productDiscounts] = await Promise.all([
+            getHomeList(locale, 'popularProducts'),
+            getHomeList(locale, 'productDiscounts'),
+        ]);
+
+        if (popularProducts.length > 0 || productDiscounts.length > 0) {
+            return <TrendingProducts popularProducts={popularProducts} productDiscounts={productDiscounts} />;
+        }
+    } catch (error) {
+        console.error('Home trending products failed to load:', error);
+    }
+
+    return <SectionFallback title={t.trending} message={t.unavailable} />;
+}
+
+export async function ArrivedSection({ locale, t }) {
+    try {
+        const { products } = normalizeSearchResults(await serverGetProductBundle(locale));
+        if (products.length > 0) {
+            return <ArrivedProducts arrivedProducts={products} />;
+        }
+    } catch (error) {
+        console.error('Home new arrivals failed to load:', error);
+    }
+
+    return <SectionFallback title={t.arrived} message={t.unavailable} />;
+}
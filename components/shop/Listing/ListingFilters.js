@@ -0,0 +1,144 @@
+'use client';
+
+import { useCallback, useState } from 'react';
+import { useRouter, usePathname } from 'next/navigation';
+import { Search } from 'lucide-react';
+import { SORT_OPTIONS, FLAG_FACETS, toQueryString } from '@/lib/search/params';
+import styles from '@/styles/shop/listing.module.css';
+
+const ListingFilters = ({ filters, dictionary: t, showQuery = false, facets = null }) => {
+    const router = useRouter();
+    const pathname = usePathname();
+
+    const [query, setQuery] = useState(filters.q || '');
+    const [minPrice, setMinPrice] = useState(filters.minPrice ?? '');
+    const [maxPrice, setMaxPrice] = useState(filters.maxPrice ?? '');
+
+    // Any filter change goes back to the first page
+    const applyFilters = useCallback((changes) => {
+        const query = toQueryString({ ...filters, ...changes, page: 1 });
+        router.push(query ? `${pathname}?${query}` : pathname);
+    }, [filters, pathname, router]);
+
+    const handleSubmit = useCallback((e) => {
+        e.preventDefault();
+        applyFilters({
+            q: showQuery ? query.trim() : filters.q,
+            minPrice: minPrice === '' ? null : minPrice,
+            maxPrice: maxPrice === '' ? null : maxPrice,
+        });
+    }, [applyFilters, showQuery, query, filters.q, minPrice, maxPrice]);
+
+    const handleSortChange = useCallback((e) => {
+        applyFilters({ sort: e.target.value });
+    }, [applyFilters]);
+
+    const toggleFacetValue = useCallback((facet, id) => {
+        const selected = filters[facet] || [];
+        applyFilters({
+            [facet]: selected.includes(id)
+                ? selected.filter(value => value !== id)
+                : [...selected, id]
+        });
+    }, [filters, applyFilters]);
+
+    const toggleFlag = useCallback((flag) => {
+        applyFilters({ [flag]: filters[flag] ? null : true });
+    }, [filters, applyFilters]);
+
+    return (
+        <form className={styles.filters} onSubmit={handleSubmit} role="search">
+            {showQuery && (
+                <div className={styles.queryField}>
+                    <Search size={18} aria-hidden="true" />
+                    <input
+                        type="search"
+                        name="q"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={t.placeholder}
+                        aria-label={t.placeholder}
+                        maxLength={100}
+                    />
+                </div>
+            )}
+
+            <fieldset className={styles.priceRange}>
+                <legend>{t.price}</legend>
+                <input
+                    type="number"
+                    min="0"
+                    inputMode="numeric"
+                    value={minPrice}
+                    onChange={(e) => setMinPrice(e.target.value)}
+                    placeholder={t.minPrice}
+                    aria-label={t.minPrice}
+                />
+                <span aria-hidden="true">–</span>
+                <input
+                    type="number"
+                    min="0"
+                    inputMode="numeric"
+                    value={maxPrice}
+                    onChange={(e) => setMaxPrice(e.target.value)}
+                    placeholder={t.maxPrice}
+                    aria-label={t.maxPrice}
+                />
+            </fieldset>
+
+            <button type="submit" className={styles.applyButton}>
+                {t.apply}
+            </button>
+
+            <label className={styles.sortField}>
+                <span>{t.sortBy}</span>
+                <select value={filters.sort} onChange={handleSortChange}>
+                    {Object.values(SORT_OPTIONS).map(option => (
+                        <option key={option} value={option}>
+                            {t.sort[option]}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            {facets && (
+                <div className={styles.facets}>
+                    {Object.entries(facets).map(([facet, options]) => options.length > 0 && (
+                        <fieldset key={facet} className={styles.facetGroup}>
+                            <legend>{t.facets[facet]}</legend>
+                            {options.map(option => (
+                                <label key={option.id} className={styles.facetOption}>
+                                    <input
+                                        type="checkbox"
+                                        checked={(filters[facet] || []).includes(option.id)}
+                                        onChange={() => toggleFacetValue(facet, option.id)}
+                                    />
+                                    <span>{option.name}</span>
+                                    {option.count != null && (
+                                        <span className={styles.facetCount}>({option.count})</span>
+                                    )}
+                                </label>
+                            ))}
+                        </fieldset>
+                    ))}
+
+                    <fieldset className={styles.facetGroup}>
+                        <legend>{t.facets.features}</legend>
+                        {FLAG_FACETS.map(flag => (
+                            <label key={flag} className={styles.facetOption}>
+                                <input
+                                    type="checkbox"
+                                    checked={!!filters[flag]}
+                                    onChange={() => toggleFlag(flag)}
+                                />
+                                <span>{t.facets[flag]}</span>
+                            </label>
+                        ))}
+                    </fieldset>
+                </div>
+            )}
+        </form>
+    );
+};
+
+export default ListingFilters;
@@ -0,0 +1,59 @@
+import Link from 'next/link';
+import { SearchX, AlertCircle } from 'lucide-react';
+import { toQueryString } from '@/lib/search/params';
+import ListingFilters from '@/components/shop/Listing/ListingFilters';
+import ProductGrid from '@/components/shop/Listing/ProductGrid';
+import Pagination from '@/components/shop/Listing/Pagination';
+import styles from '@/styles/shop/listing.module.css';
+
+// Filters, products and paging of a listing page, with its error and empty states.
+// `empty` is { message, href, label } for the link offered when nothing matches.
+const ListingResults = ({ basePath, filters, results, facets, dictionary, empty, showQuery = false }) => {
+    const t = dictionary.search;
+
+    return (
+        <>
+            <ListingFilters
+                key={toQueryString(filters)}
+                filters={filters}
+                dictionary={t}
+                facets={facets}
+                showQuery={showQuery}
+            />
+
+            {!results && (
+                <div className={styles.state} role="alert">
+                    <AlertCircle size={48} className={styles.stateIcon} />
+                    <p>{t.error}</p>
+                    <Link href={`${basePath}?${toQueryString(filters)}`} className={styles.stateButton}>
+                        {dictionary.common.retry}
+                    </Link>
+                </div>
+            )}
+
+            {results && results.products.length === 0 && (
+                <div className={styles.state}>
+                    <SearchX size={48} className={styles.stateIcon} />
+                    <p>{empty.message}</p>
+                    <Link href={empty.href} className={styles.stateButton}>
+                        {empty.label}
+                    </Link>
+                </div>
+            )}
+
+            {results && results.products.length > 0 && (
+                <>
+                    <ProductGrid products={results.products} />
+                    <Pagination
+                        basePath={basePath}
+                        filters={filters}
+                        totalPages={results.totalPages}
+                        labels={t}
+                    />
+                </>
+            )}
+        </>
+    );
+};
+
+export default ListingResults;
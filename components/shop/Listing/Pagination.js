@@ -0,0 +1,54 @@
+import Link from 'next/link';
+import { toQueryString } from '@/lib/search/params';
+import styles from '@/styles/shop/listing.module.css';
+
+// Show the first, last and a window around the current page
+const getPageNumbers = (current, total) => {
+    const pages = new Set([1, total, current - 1, current, current + 1]);
+    return [...pages].filter(page => page >= 1 && page <= total).sort((a, b) => a - b);
+};
+
+const Pagination = ({ basePath, filters, totalPages, labels }) => {
+    if (totalPages <= 1) return null;
+
+    const current = Math.min(filters.page, totalPages);
+    const hrefFor = (page) => {
+        const query = toQueryString({ ...filters, page });
+        return query ? `${basePath}?${query}` : basePath;
+    };
+
+    const pages = getPageNumbers(current, totalPages);
+
+    return (
+        <nav className={styles.pagination} aria-label={labels.pagination}>
+            {current > 1 && (
+                <Link href={hrefFor(current - 1)} className={styles.pageLink} rel="prev">
+                    {labels.previous}
+                </Link>
+            )}
+
+            {pages.map((page, index) => (
+                <span key={page} className={styles.pageGroup}>
+                    {index > 0 && page - pages[index - 1] > 1 && (
+                        <span className={styles.pageGap}>…</span>
+                    )}
+                    <Link
+                        href={hrefFor(page)}
+                        className={`${styles.pageLink} ${page === current ? styles.pageLinkActive : ''}`}
+                        aria-current={page === current ? 'page' : undefined}
+                    >
+                        {page}
+                    </Link>
+                </span>
+            ))}
+
+            {current < totalPages && (
+                <Link href={hrefFor(current + 1)} className={styles.pageLink} rel="next">
+                    {labels.next}
+                </Link>
+            )}
+        </nav>
+    );
+};
+
+export default Pagination;
@@ -0,0 +1,14 @@
+import Card from '@/components/ui/Card/Card';
+import styles from '@/styles/shop/listing.module.css';
+
+const ProductGrid = ({ products }) => {
+    return (
+        <div className={styles.grid}>
+            {products.map(product => (
+                <Card key={product.productId} product={product} />
+            ))}
+        </div>
+    );
+};
+
+export default ProductGrid;
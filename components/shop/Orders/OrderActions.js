@@ -0,0 +1,132 @@
+'use client';
+
+import { memo, useCallback, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { RotateCcw, XCircle } from 'lucide-react';
+import { useCart } from '@/hooks/useCart';
+import { OrderService } from '@/services/order.service';
+import { canCancelOrder, canReorder } from '@/lib/orders/status';
+import styles from '@/styles/shop/orders.module.css';
+
+export const OrderActions = memo(({ order, locale, labels, onCancelled }) => {
+    const router = useRouter();
+    const { addItem } = useCart();
+    const [pending, setPending] = useState(null); // 'reorder' | 'cancel' | null
+    const [isConfirmingCancel, setIsConfirmingCancel] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [skipped, setSkipped] = useState(0);
+
+    const handleReorder = useCallback(async () => {
+        setPending('reorder');
+        setMessage(null);
+        setSkipped(0);
+
+        const result = await OrderService.getReorderLines(order.id, locale);
+        if (!result.success || result.lines.length === 0) {
+            setMessage(result.success ? labels.reorderUnavailable : labels.reorderError);
+            setPending(null);
+            return;
+        }
+
+        // One at a time, so the cart's optimistic updates never race each other
+        let added = 0;
+        for (const line of result.lines) {
+            if (await addItem(line)) added += 1;
+        }
+
+        if (added === 0) {
+            setMessage(labels.reorderError);
+            setPending(null);
+            return;
+        }
+
+        // Stay here to explain what is missing; otherwise go straight to the cart
+        const missing = result.unavailable.length + result.lines.length - added;
+        if (missing > 0) {
+            setSkipped(missing);
+            setPending(null);
+            return;
+        }
+        router.push(`/${locale}/cart`);
+    }, [order.id, locale, labels, addItem, router]);
+
+    const handleCancel = useCallback(async () => {
+        setPending('cancel');
+        setMessage(null);
+
+        const result = await OrderService.cancelOrder(order.id, locale);
+        setPending(null);
+        setIsConfirmingCancel(false);
+
+        if (!result.success) {
+            setMessage(labels.cancelError);
+            return;
+        }
+        onCancelled?.(order.id);
+    }, [order.id, locale, labels, onCancelled]);
+
+    const showCancel = canCancelOrder(order.status);
+    const showReorder = canReorder(order.status);
+    if (!showCancel && !showReorder) return null;
+
+    return (
+        <div className={styles.actions}>
+            {showReorder && (
+                <button
+                    type="button"
+                    className={styles.primaryButton}
+                    onClick={handleReorder}
+                    disabled={pending !== null}
+                >
+                    <RotateCcw size={16} aria-hidden="true" />
+                    {pending === 'reorder' ? labels.reordering : labels.reorder}
+                </button>
+            )}
+
+            {showCancel && !isConfirmingCancel && (
+                <button
+                    type="button"
+                    className={styles.secondaryButton}
+                    onClick={() => setIsConfirmingCancel(true)}
+                    disabled={pending !== null}
+                >
+                    <XCircle size={16} aria-hidden="true" />
+                    {labels.cancel}
+                </button>
+            )}
+
+            {showCancel && isConfirmingCancel && (
+                <div className={styles.confirmCancel} role="group" aria-label={labels.cancelConfirm}>
+                    <span>{labels.cancelConfirm}</span>
+                    <button
+                        type="button"
+                        className={styles.dangerButton}
+                        onClick={handleCancel}
+                        disabled={pending !== null}
+                    >
+                        {pending === 'cancel' ? labels.cancelling : labels.cancelYes}
+                    </button>
+                    <button
+                        type="button"
+                        className={styles.secondaryButton}
+                        onClick={() => setIsConfirmingCancel(false)}
+                        disabled={pending !== null}
+                    >
+                        {labels.cancelNo}
+                    </button>
+                </div>
+            )}
+
+            {skipped > 0 && (
+                <p className={styles.actionNote} role="status">
+                    {labels.reorderPartial.replace('{count}', skipped)}{' '}
+                    <Link href={`/${locale}/cart`}>{labels.viewCart}</Link>
+                </p>
+            )}
+            {message && <p className={styles.actionError} role="alert">{message}</p>}
+        </div>
+    );
+});
+
+OrderActions.displayName = 'OrderActions';
@@ -0,0 +1,187 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { OrderService } from '@/services/order.service';
+import { ORDER_STATUS } from '@/lib/orders/status';
+import { formatAddress } from '@/lib/addresses/format';
+import { isRtlLocale } from '@/lib/i18n/config';
+import { getCachedPriceFormatter, getCachedDateFormatter } from '@/utils/performance';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import noImg from '@/assets/noImg.png';
+import { OrderStatusBadge } from './OrderStatusBadge';
+import { StatusTimeline } from './StatusTimeline';
+import { OrderActions } from './OrderActions';
+import styles from '@/styles/shop/orders.module.css';
+
+const OrderDetailClient = ({ orderId, dictionary, locale }) => {
+    const t = dictionary.orders;
+    const checkout = dictionary.checkout;
+    const [order, setOrder] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const priceFormatter = useMemo(() => getCachedPriceFormatter(locale), [locale]);
+    const formatPrice = useCallback((price) => priceFormatter.format(price || 0), [priceFormatter]);
+    const dateFormatter = useMemo(() => getCachedDateFormatter(locale), [locale]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        OrderService.getOrder(orderId, locale).then(result => {
+            if (cancelled) return;
+            setOrder(result.success ? result.order : null);
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [orderId, locale]);
+
+    const handleCancelled = useCallback(() => {
+        setOrder(prev => ({
+            ...prev,
+            status: ORDER_STATUS.CANCELLED,
+            statusHistory: [
+                ...prev.statusHistory,
+                { status: ORDER_STATUS.CANCELLED, date: new Date().toISOString() }
+            ],
+        }));
+    }, []);
+
+    const BackIcon = isRtlLocale(locale) ? ArrowRight : ArrowLeft;
+    const backLink = (
+        <Link href={`/${locale}/orders`} className={styles.backLink}>
+            <BackIcon size={16} aria-hidden="true" />
+            {t.backToOrders}
+        </Link>
+    );
+
+    if (isLoading) {
+        return (
+            <div className={styles.container}>
+                <LoadingSpinner message={null} />
+            </div>
+        );
+    }
+
+    if (!order) {
+        return (
+            <div className={styles.container}>
+                {backLink}
+                <p className={styles.error} role="alert">{t.loadError}</p>
+            </div>
+        );
+    }
+
+    const address = order.address || {};
+    // Orders placed before the address book only carry the one-line address
+    const addressLine = address.governorate ? formatAddress(address, locale) : address.address;
+
+    return (
+        <div className={styles.container}>
+            {backLink}
+
+            <div className={styles.detailHeader}>
+                <div>
+                    <h1 className={styles.title}>{t.orderNumber} #{order.number}</h1>
+                    {order.createdAt && (
+                        <p className={styles.muted}>
+                            {t.placedOn}{' '}
+                            <time dateTime={order.createdAt}>{dateFormatter.format(new Date(order.createdAt))}</time>
+                        </p>
+                    )}
+                </div>
+                <OrderStatusBadge status={order.status} labels={t} />
+            </div>
+
+            <StatusTimeline order={order} locale={locale} labels={t} />
+
+            <div className={styles.layout}>
+                <section className={styles.panel} aria-labelledby="order-items-title">
+                    <h2 id="order-items-title" className={styles.panelTitle}>{t.items}</h2>
+                    <ul className={styles.lines}>
+                        {order.items.map(item => (
+                            <li key={`${item.productId}:${item.colorId ?? ''}:${item.sizeId ?? ''}`} className={styles.line}>
+                                <Link href={`/${locale}/product/${item.productId}`} className={styles.lineImage}>
+                                    <Image src={item.image || noImg} alt={item.name} fill sizes="64px" />
+                                </Link>
+                                <div className={styles.lineInfo}>
+                                    <Link href={`/${locale}/product/${item.productId}`} className={styles.lineName}>
+                                        {item.name}
+                                    </Link>
+                                    {(item.colorName || item.sizeName) && (
+                                        <p className={styles.lineVariant}>
+                                            {[item.colorName, item.sizeName].filter(Boolean).join(' / ')}
+                                        </p>
+                                    )}
+                                    <p className={styles.lineVariant}>
+                                        {checkout.quantity}: {item.qty} × {formatPrice(item.price)}
+                                    </p>
+                                </div>
+                                <p className={styles.linePrice}>{formatPrice(item.price * item.qty)}</p>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <aside className={styles.sidebar}>
+                    <section className={styles.panel} aria-labelledby="order-summary-title">
+                        <h2 id="order-summary-title" className={styles.panelTitle}>{checkout.orderSummary}</h2>
+                        <dl className={styles.summary}>
+                            <div className={styles.summaryRow}>
+                                <dt>{dictionary.cart.subtotal}</dt>
+                                <dd>{formatPrice(order.subtotal)}</dd>
+                            </div>
+                            <div className={styles.summaryRow}>
+                                <dt>{dictionary.cart.shipping}</dt>
+                                <dd>{order.shipping > 0 ? formatPrice(order.shipping) : checkout.free}</dd>
+                            </div>
+                            <div className={`${styles.summaryRow} ${styles.summaryTotal}`}>
+                                <dt>{dictionary.cart.total}</dt>
+                                <dd>{formatPrice(order.total)}</dd>
+                            </div>
+                        </dl>
+                    </section>
+
+                    <section className={styles.panel} aria-labelledby="order-delivery-title">
+                        <h2 id="order-delivery-title" className={styles.panelTitle}>{checkout.steps.delivery}</h2>
+                        {order.deliveryMethod && (
+                            <p className={styles.infoLine}>
+                                {checkout.deliveryOptions[order.deliveryMethod] || order.deliveryMethod}
+                            </p>
+                        )}
+                        {[address.fullName, address.mobile, addressLine].filter(Boolean).map((line, index) => (
+                            <p key={index} className={styles.infoLine}>{line}</p>
+                        ))}
+                    </section>
+
+                    <section className={styles.panel} aria-labelledby="order-payment-title">
+                        <h2 id="order-payment-title" className={styles.panelTitle}>{checkout.steps.payment}</h2>
+                        {order.paymentMethod && (
+                            <p className={styles.infoLine}>
+                                {checkout.paymentMethods[order.paymentMethod] || order.paymentMethod}
+                            </p>
+                        )}
+                        {order.payment.status && (
+                            <p className={styles.infoLine}>
+                                {t.paymentStatus[order.payment.status] || order.payment.status}
+                            </p>
+                        )}
+                        {order.payment.referenceCode && (
+                            <p className={styles.infoLine}>
+                                {checkout.payment.referenceTitle}: <strong dir="ltr">{order.payment.referenceCode}</strong>
+                            </p>
+                        )}
+                    </section>
+
+                    <OrderActions order={order} locale={locale} labels={t} onCancelled={handleCancelled} />
+                </aside>
+            </div>
+        </div>
+    );
+};
+
+export default OrderDetailClient;
@@ -0,0 +1,19 @@
+'use client';
+
+import { memo } from 'react';
+import { ORDER_STATUS } from '@/lib/orders/status';
+import styles from '@/styles/shop/orders.module.css';
+
+const TONES = {
+    [ORDER_STATUS.DELIVERED]: styles.badgeSuccess,
+    [ORDER_STATUS.CANCELLED]: styles.badgeMuted,
+    [ORDER_STATUS.SHIPPED]: styles.badgeInfo,
+};
+
+export const OrderStatusBadge = memo(({ status, labels }) => (
+    <span className={`${styles.badge} ${TONES[status] || ''}`}>
+        {labels.status[status] || status}
+    </span>
+));
+
+OrderStatusBadge.displayName = 'OrderStatusBadge';
@@ -0,0 +1,150 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { ChevronLeft, ChevronRight, Package } from 'lucide-react';
+import { OrderService } from '@/services/order.service';
+import { ORDER_STATUS } from '@/lib/orders/status';
+import { isRtlLocale } from '@/lib/i18n/config';
+import { getCachedPriceFormatter, getCachedDateFormatter } from '@/utils/performance';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { OrderStatusBadge } from './OrderStatusBadge';
+import { OrderActions } from './OrderActions';
+import styles from '@/styles/shop/orders.module.css';
+
+const OrdersClient = ({ dictionary, locale, page }) => {
+    const t = dictionary.orders;
+    const [state, setState] = useState({ orders: [], totalPages: 1, isLoading: true, error: null });
+
+    const priceFormatter = useMemo(() => getCachedPriceFormatter(locale), [locale]);
+    const dateFormatter = useMemo(() => getCachedDateFormatter(locale), [locale]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setState(prev => ({ ...prev, isLoading: true }));
+
+        OrderService.getOrders(page, locale).then(result => {
+            if (cancelled) return;
+            setState({
+                orders: result.orders,
+                totalPages: result.totalPages,
+                isLoading: false,
+                error: result.success ? null : result.error,
+            });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [page, locale]);
+
+    const handleCancelled = useCallback((orderId) => {
+        setState(prev => ({
+            ...prev,
+            orders: prev.orders.map(order => order.id === orderId
+                ? { ...order, status: ORDER_STATUS.CANCELLED }
+                : order
+            ),
+        }));
+    }, []);
+
+    const isRtl = isRtlLocale(locale);
+    const PrevIcon = isRtl ? ChevronRight : ChevronLeft;
+    const NextIcon = isRtl ? ChevronLeft : ChevronRight;
+    const pageHref = (target) => `/${locale}/orders${target > 1 ? `?page=${target}` : ''}`;
+
+    if (state.isLoading) {
+        return (
+            <div className={styles.container}>
+                <LoadingSpinner message={null} />
+            </div>
+        );
+    }
+
+    if (state.error) {
+        return (
+            <div className={styles.container}>
+                <h1 className={styles.title}>{t.title}</h1>
+                <p className={styles.error} role="alert">{t.loadError}</p>
+            </div>
+        );
+    }
+
+    if (state.orders.length === 0) {
+        return (
+            <div className={styles.container}>
+                <div className={styles.empty}>
+                    <Package size={64} className={styles.emptyIcon} aria-hidden="true" />
+                    <p>{page > 1 ? t.noMoreOrders : t.empty}</p>
+                    <Link href={`/${locale}`} className={styles.primaryButton}>
+                        {dictionary.cart.continueShopping}
+                    </Link>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.container}>
+            <h1 className={styles.title}>{t.title}</h1>
+
+            <ul className={styles.list}>
+                {state.orders.map(order => (
+                    <li key={order.id} className={styles.card}>
+                        <div className={styles.cardHeader}>
+                            <Link href={`/${locale}/orders/${encodeURIComponent(order.id)}`} className={styles.cardLink}>
+                                {t.orderNumber} #{order.number}
+                            </Link>
+                            <OrderStatusBadge status={order.status} labels={t} />
+                        </div>
+
+                        <dl className={styles.cardMeta}>
+                            {order.createdAt && (
+                                <div>
+                                    <dt>{t.placedOn}</dt>
+                                    <dd>
+                                        <time dateTime={order.createdAt}>
+                                            {dateFormatter.format(new Date(order.createdAt))}
+                                        </time>
+                                    </dd>
+                                </div>
+                            )}
+                            <div>
+                                <dt>{t.items}</dt>
+                                <dd>{order.itemCount}</dd>
+                            </div>
+                            <div>
+                                <dt>{t.total}</dt>
+                                <dd>{priceFormatter.format(order.total || 0)}</dd>
+                            </div>
+                        </dl>
+
+                        <OrderActions order={order} locale={locale} labels={t} onCancelled={handleCancelled} />
+                    </li>
+                ))}
+            </ul>
+
+            {state.totalPages > 1 && (
+                <nav className={styles.pagination} aria-label={t.pagination}>
+                    {page > 1 ? (
+                        <Link href={pageHref(page - 1)} className={styles.pageLink} rel="prev">
+                            <PrevIcon size={16} aria-hidden="true" />
+                            {t.previous}
+                        </Link>
+                    ) : <span />}
+                    <span className={styles.pageStatus}>
+                        {t.pageOf.replace('{page}', page).replace('{total}', state.totalPages)}
+                    </span>
+                    {page < state.totalPages ? (
+                        <Link href={pageHref(page + 1)} className={styles.pageLink} rel="next">
+                            {t.next}
+                            <NextIcon size={16} aria-hidden="true" />
+                        </Link>
+                    ) : <span />}
+                </nav>
+            )}
+        </div>
+    );
+};
+
+export default OrdersClient;
@@ -0,0 +1,46 @@
+'use client';
+
+import { memo, useMemo } from 'react';
+import { Check, X } from 'lucide-react';
+import { buildStatusTimeline } from '@/lib/orders/status';
+import { getCachedDateFormatter } from '@/utils/performance';
+import styles from '@/styles/shop/orders.module.css';
+
+const STATE_CLASSES = {
+    done: styles.timelineDone,
+    current: styles.timelineCurrent,
+    upcoming: '',
+    cancelled: styles.timelineCancelled,
+};
+
+export const StatusTimeline = memo(({ order, locale, labels }) => {
+    const steps = useMemo(() => buildStatusTimeline(order), [order]);
+    const dateFormatter = getCachedDateFormatter(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+    return (
+        <ol className={styles.timeline} aria-label={labels.timeline}>
+            {steps.map(step => (
+                <li
+                    key={step.status}
+                    className={`${styles.timelineStep} ${STATE_CLASSES[step.state]}`}
+                    aria-current={step.state === 'current' ? 'step' : undefined}
+                >
+                    <span className={styles.timelineMarker} aria-hidden="true">
+                        {step.state === 'done' && <Check size={14} />}
+                        {step.state === 'cancelled' && <X size={14} />}
+                    </span>
+                    <span className={styles.timelineText}>
+                        <span className={styles.timelineLabel}>{labels.status[step.status]}</span>
+                        {step.date && (
+                            <time dateTime={step.date} className={styles.timelineDate}>
+                                {dateFormatter.format(new Date(step.date))}
+                            </time>
+                        )}
+                    </span>
+                </li>
+            ))}
+        </ol>
+    );
+});
+
+StatusTimeline.displayName = 'StatusTimeline';
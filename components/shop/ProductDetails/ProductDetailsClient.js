@@ -3,6 +3,8 @@ import { useState, useCallback, useMemo, memo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Heart, ShoppingCart, Share2, ZoomIn } from 'lucide-react';
 import { useProductSelection } from '@/hooks/useProductSelection';
+import { useCart } from '@/hooks/useCart';
+import { useWishlist } from '@/hooks/useWishlist';
 import { getCachedPriceFormatter } from '@/utils/performance';
 import { ImageGallery } from './ImageGallery';
 import { ProductInfo } from './ProductInfo';
@@ -12,7 +14,6 @@ import Image from 'next/image';
 
 const ProductDetailsClient = memo(({ product, locale }) => {
     const [isImageModalOpen, setIsImageModalOpen] = useState(false);
-    const [isFavorite, setIsFavorite] = useState(false);
 
     const {
         selectedColorIndex,
@@ -31,6 +32,9 @@ const ProductDetailsClient = memo(({ product, locale }) => {
         handleImageChange,
     } = useProductSelection(product);
 
+    const { addItem, isAdding } = useCart();
+    const { isFavorite, toggleFavorite } = useWishlist();
+
     // Memoized price formatter with error handling
     const priceFormatter = useMemo(() => {
         try {
@@ -58,24 +62,27 @@ const ProductDetailsClient = memo(({ product, locale }) => {
 
     // Event handlers
     const handleAddToCart = useCallback(async () => {
-        if (!inStock) return;
-
-        try {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            console.log('Added to cart:', {
-                productId: product.productId,
-                colorId: selectedColor?.colorId,
-                sizeId: selectedSize?.sizeId,
-                qty: 1
-            });
-        } catch (error) {
-            console.error('Failed to add to cart:', error);
-        } 
-    }, [inStock, product.productId, selectedColor?.colorId, selectedSize?.sizeId]);
+        if (!inStock || isAdding) return;
+
+        await addItem({
+            product,
+            color: selectedColor,
+            size: selectedSize,
+            price: displayPrice,
+            image: currentImages[0]?.fileLink,
+            qty: 1
+        });
+    }, [inStock, isAdding, addItem, product, selectedColor, selectedSize, displayPrice, currentImages]);
 
     const handleToggleFavorite = useCallback(() => {
-        setIsFavorite(prev => !prev);
-    }, []);
+        toggleFavorite({
+            productId: product.productId,
+            name: product.name,
+            image: currentImages[0]?.fileLink,
+            price: displayPrice,
+            productTypeName: product.productTypeName
+        });
+    }, [toggleFavorite, product.productId, product.name, product.productTypeName, currentImages, displayPrice]);
 
     const handleShare = useCallback(async () => {
         try {
@@ -146,7 +153,8 @@ const ProductDetailsClient = memo(({ product, locale }) => {
                 />
                 <ProductActions
                     inStock={inStock}
-                    isFavorite={isFavorite}
+                    isAddingToCart={isAdding}
+                    isFavorite={isFavorite(product.productId)}
                     product={product}
                     onAddToCart={handleAddToCart}
                     onToggleFavorite={handleToggleFavorite}
@@ -1,6 +1,7 @@
 'use client';
 
 import { memo } from 'react';
+import Link from 'next/link';
 import { Star, Truck, Share2 } from 'lucide-react';
 import { ColorSelector } from './ColorSelector';
 import { SizeSelector } from './SizeSelector';
@@ -42,7 +43,13 @@ export const ProductInfo = memo(({
     return (
         <div className={styles.infoSection}>
             <div className={styles.brandHeader}>
-                <span className={styles.brand}>{product.brand || 'Brand'}</span>
+                {product.brandId && product.brand ? (
+                    <Link href={`/${locale}/brands/${product.brandId}`} className={`${styles.brand} ${styles.brandLink}`}>
+                        {product.brand}
+                    </Link>
+                ) : (
+                    <span className={styles.brand}>{product.brand || 'Brand'}</span>
+                )}
                 <div className={styles.headerActions}>
                     <button
                         className={styles.shareButton}
@@ -0,0 +1,101 @@
+'use client';
+
+import { useState } from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { ProfileService } from '@/services/profile.service';
+import { validatePasswordChange } from '@/utils/validation';
+import styles from '@/styles/shop/profile.module.css';
+
+const FIELDS = [
+    { name: 'currentPassword', autoComplete: 'current-password' },
+    { name: 'newPassword', autoComplete: 'new-password' },
+    { name: 'confirmPassword', autoComplete: 'new-password' },
+];
+
+const EMPTY = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+export const ChangePasswordForm = ({ locale, labels }) => {
+    const [values, setValues] = useState(EMPTY);
+    const [errors, setErrors] = useState({});
+    const [showPasswords, setShowPasswords] = useState(false);
+    const [status, setStatus] = useState(null); // 'saving' | 'saved' | 'error' | null
+
+    const handleChange = (field) => (e) => {
+        const { value } = e.target;
+        setValues(prev => ({ ...prev, [field]: value }));
+        setErrors(({ [field]: _cleared, ...rest }) => rest);
+        setStatus(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (status === 'saving') return;
+
+        const validation = validatePasswordChange(values);
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setStatus('saving');
+        const result = await ProfileService.changePassword(values, locale);
+
+        if (!result.success) {
+            if (result.wrongPassword) {
+                setErrors({ currentPassword: labels.wrongPassword });
+                setStatus(null);
+            } else {
+                setStatus('error');
+            }
+            return;
+        }
+
+        setValues(EMPTY);
+        setStatus('saved');
+    };
+
+    return (
+        <form className={styles.section} onSubmit={handleSubmit} noValidate aria-labelledby="profile-password-title">
+            <div className={styles.sectionHeader}>
+                <h2 id="profile-password-title" className={styles.sectionTitle}>{labels.changePassword}</h2>
+                <button
+                    type="button"
+                    className={styles.linkButton}
+                    onClick={() => setShowPasswords(prev => !prev)}
+                    aria-pressed={showPasswords}
+                >
+                    {showPasswords ? <EyeOff size={16} aria-hidden="true" /> : <Eye size={16} aria-hidden="true" />}
+                    {showPasswords ? labels.hidePasswords : labels.showPasswords}
+                </button>
+            </div>
+
+            <div className={styles.fields}>
+                {FIELDS.map(({ name, autoComplete }) => (
+                    <div key={name} className={`${styles.field} ${name === 'currentPassword' ? styles.fieldWide : ''}`}>
+                        <label htmlFor={`profile-${name}`}>{labels[name]}</label>
+                        <input
+                            id={`profile-${name}`}
+                            type={showPasswords ? 'text' : 'password'}
+                            dir="ltr"
+                            autoComplete={autoComplete}
+                            value={values[name]}
+                            onChange={handleChange(name)}
+                            className={styles.input}
+                            aria-invalid={errors[name] ? 'true' : undefined}
+                            aria-describedby={errors[name] ? `profile-${name}-error` : undefined}
+                        />
+                        {errors[name] && <p id={`profile-${name}-error`} className={styles.fieldError}>{errors[name]}</p>}
+                    </div>
+                ))}
+            </div>
+
+            <div className={styles.actions}>
+                {status === 'saved' && <p className={styles.success} role="status">{labels.passwordChanged}</p>}
+                {status === 'error' && <p className={styles.formError} role="alert">{labels.passwordError}</p>}
+                <button type="submit" className={styles.primaryButton} disabled={status === 'saving'}>
+                    {status === 'saving' ? labels.saving : labels.updatePassword}
+                </button>
+            </div>
+        </form>
+    );
+};
@@ -0,0 +1,100 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from '@/hooks/useSession';
+import { ProfileService } from '@/services/profile.service';
+import { validateProfileData } from '@/utils/validation';
+import styles from '@/styles/shop/profile.module.css';
+
+const FIELDS = ['firstName', 'lastName'];
+
+export const PersonalInfoForm = ({ user, locale, labels }) => {
+    const { update } = useSession();
+    const [values, setValues] = useState({
+        firstName: user?.firstName || '',
+        lastName: user?.lastName || '',
+    });
+    const [errors, setErrors] = useState({});
+    const [status, setStatus] = useState(null); // 'saving' | 'saved' | 'error' | null
+
+    const handleChange = (field) => (e) => {
+        const { value } = e.target;
+        setValues(prev => ({ ...prev, [field]: value }));
+        setErrors(({ [field]: _cleared, ...rest }) => rest);
+        setStatus(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (status === 'saving') return;
+
+        const validation = validateProfileData(values, { requirePassword: false, requireAddress: false });
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setStatus('saving');
+        const result = await ProfileService.updateProfile(values, locale);
+        if (!result.success) {
+            setStatus('error');
+            return;
+        }
+
+        // Rewrites the JWT through the jwt callback's "update" trigger, so the header follows
+        await update(result.profile);
+        setValues(result.profile);
+        setStatus('saved');
+    };
+
+    const errorProps = (field) => ({
+        'aria-invalid': errors[field] ? 'true' : undefined,
+        'aria-describedby': errors[field] ? `profile-${field}-error` : undefined,
+    });
+
+    return (
+        <form className={styles.section} onSubmit={handleSubmit} noValidate aria-labelledby="profile-info-title">
+            <h2 id="profile-info-title" className={styles.sectionTitle}>{labels.personalInfo}</h2>
+
+            <div className={styles.fields}>
+                {FIELDS.map(field => (
+                    <div key={field} className={styles.field}>
+                        <label htmlFor={`profile-${field}`}>{labels[field]}</label>
+                        <input
+                            id={`profile-${field}`}
+                            type="text"
+                            autoComplete={field === 'firstName' ? 'given-name' : 'family-name'}
+                            value={values[field]}
+                            onChange={handleChange(field)}
+                            className={styles.input}
+                            {...errorProps(field)}
+                        />
+                        {errors[field] && <p id={`profile-${field}-error`} className={styles.fieldError}>{errors[field]}</p>}
+                    </div>
+                ))}
+
+                <div className={`${styles.field} ${styles.fieldWide}`}>
+                    <label htmlFor="profile-mobile">{labels.mobile}</label>
+                    <input
+                        id="profile-mobile"
+                        type="tel"
+                        dir="ltr"
+                        value={user?.mobile || ''}
+                        readOnly
+                        aria-describedby="profile-mobile-hint"
+                        className={`${styles.input} ${styles.inputReadOnly}`}
+                    />
+                    <p id="profile-mobile-hint" className={styles.fieldHint}>{labels.mobileHint}</p>
+                </div>
+            </div>
+
+            <div className={styles.actions}>
+                {status === 'saved' && <p className={styles.success} role="status">{labels.saved}</p>}
+                {status === 'error' && <p className={styles.formError} role="alert">{labels.saveError}</p>}
+                <button type="submit" className={styles.primaryButton} disabled={status === 'saving'}>
+                    {status === 'saving' ? labels.saving : labels.save}
+                </button>
+            </div>
+        </form>
+    );
+};
@@ -0,0 +1,50 @@
+'use client';
+
+import Link from 'next/link';
+import { LogOut, Package } from 'lucide-react';
+import { useSession } from '@/hooks/useSession';
+import { PersonalInfoForm } from './PersonalInfoForm';
+import { ChangePasswordForm } from './ChangePasswordForm';
+import { AddressPicker } from '@/components/shop/Addresses/AddressPicker';
+import styles from '@/styles/shop/profile.module.css';
+
+const ProfileClient = ({ dictionary, locale, user }) => {
+    const t = dictionary.profile;
+    const { user: sessionUser, logout } = useSession();
+
+    // The session follows profile saves; the server-rendered user covers the first paint
+    const currentUser = sessionUser || user;
+    const name = [currentUser?.firstName, currentUser?.lastName].filter(Boolean).join(' ');
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <div>
+                    <h1 className={styles.title}>{t.title}</h1>
+                    {name && <p className={styles.greeting}>{t.greeting.replace('{name}', name)}</p>}
+                </div>
+                <div className={styles.headerLinks}>
+                    <Link href={`/${locale}/orders`} className={styles.secondaryButton}>
+                        <Package size={16} aria-hidden="true" />
+                        {dictionary.orders.title}
+                    </Link>
+                    <button type="button" className={styles.secondaryButton} onClick={() => logout(`/${locale}/`)}>
+                        <LogOut size={16} aria-hidden="true" />
+                        {t.signOut}
+                    </button>
+                </div>
+            </div>
+
+            <PersonalInfoForm user={user} locale={locale} labels={t} />
+
+            <section className={styles.section} aria-labelledby="profile-addresses-title">
+                <h2 id="profile-addresses-title" className={styles.sectionTitle}>{dictionary.addresses.title}</h2>
+                <AddressPicker locale={locale} labels={dictionary.addresses} manageable idPrefix="profile-address" />
+            </section>
+
+            <ChangePasswordForm locale={locale} labels={t} />
+        </div>
+    );
+};
+
+export default ProfileClient;
@@ -0,0 +1,50 @@
+'use client';
+
+import Link from 'next/link';
+import { Heart } from 'lucide-react';
+import { useWishlist } from '@/hooks/useWishlist';
+import Card from '@/components/ui/Card/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import styles from '@/styles/shop/wishlist.module.css';
+
+const WishlistClient = ({ dictionary: t, locale }) => {
+    const { items, isLoading, error } = useWishlist();
+
+    if (isLoading) {
+        return (
+            <div className={styles.container}>
+                <LoadingSpinner message={null} />
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.container}>
+            <h1 className={styles.title}>{t.title}</h1>
+
+            {error && (
+                <div className={styles.error} role="alert">
+                    {t.syncError}
+                </div>
+            )}
+
+            {items.length === 0 ? (
+                <div className={styles.empty}>
+                    <Heart size={64} className={styles.emptyIcon} />
+                    <p>{t.empty}</p>
+                    <Link href={`/${locale}`} className={styles.primaryButton}>
+                        {t.continueShopping}
+                    </Link>
+                </div>
+            ) : (
+                <div className={styles.grid}>
+                    {items.map(product => (
+                        <Card key={product.productId} product={product} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WishlistClient;
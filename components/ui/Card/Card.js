@@ -7,8 +7,15 @@ import { Heart } from 'lucide-react';
 import noImg from '@/assets/noImg.png'
 import Link from 'next/link';
 import { useDictionary } from '@/hooks/useDirection';
+import { useWishlist } from '@/hooks/useWishlist';
 const Card = ({product,active}) => {
-  const {  locale } = useDictionary();
+  const {  locale, t } = useDictionary();
+  const { isFavorite, toggleFavorite } = useWishlist();
+  const favorite = isFavorite(product.productId);
+
+  const handleToggleFavorite = () => {
+    toggleFavorite(product);
+  };
 
 
   return (
@@ -16,10 +23,11 @@ const Card = ({product,active}) => {
       <div className={styles.cardContainer}>
 
        <div  className={styles.card}>
-        <Link href={`/${locale}/${product.productId}`}>
                 <div className={styles.card__shine}></div>
                 <div className={styles.card__glow}></div>
                 <div className={styles.card__content}>
+                 {/* Only the product part is a link so the brand link and heart are not nested in it */}
+                 <Link href={`/${locale}/product/${product.productId}`} className={styles.card__link}>
                   <div className={styles.card__badge}>
                     {product.productType}
                   </div>
@@ -40,18 +48,28 @@ const Card = ({product,active}) => {
                   </div>
                   <div className={styles.card__text}>
                     <p className={styles.card__title}>{product.productName}</p>
-                    
                   </div>
+                 </Link>
+                  {product.brandId && product.brandName && (
+                    <Link href={`/${locale}/brands/${product.brandId}`} className={styles.card__brand}>
+                      {product.brandName}
+                    </Link>
+                  )}
                   <div className={styles.card__footer}>
                     <div className={styles.card__price}>
               {product.saleaPrice} EGP
                     </div>
-                    <div className={styles.card__button}>
-                     <Heart size={20}/>
-                    </div>
+                    <button
+                      type="button"
+                      className={`${styles.card__button} ${favorite ? styles.card__buttonActive : ''}`}
+                      onClick={handleToggleFavorite}
+                      aria-pressed={favorite}
+                      aria-label={favorite ? t('wishlist.remove') : t('wishlist.add')}
+                    >
+                     <Heart size={20} fill={favorite ? 'currentColor' : 'none'}/>
+                    </button>
                   </div>
                 </div>
-                      </Link>
               </div>
         
               </div>
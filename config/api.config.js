@@ -119,7 +119,12 @@ export const VALIDATION_RULES = {
     },
     OTP: {
         LENGTH: 6,
-        EXPIRY_MS: 10 * 60 * 1000 // 10 minutes
+        EXPIRY_MS: 10 * 60 * 1000, // 10 minutes
+        MAX_ATTEMPTS: 5, // Wrong codes allowed before a new code must be requested
+        RESEND_COOLDOWN_MS: 30 * 1000, // Wait before the first resend; doubles with every code sent
+        MAX_RESEND_COOLDOWN_MS: 5 * 60 * 1000,
+        MAX_SENDS: 5, // Codes per number within SEND_WINDOW_MS
+        SEND_WINDOW_MS: 60 * 60 * 1000 // 1 hour from the first code
     },
     INPUT: {
         MAX_LENGTH: 1000,
@@ -131,25 +136,64 @@ export const VALIDATION_RULES = {
 export const SESSION_CONFIG = {
     MAX_AGE: 24 * 60 * 60, // 24 hours in seconds
     UPDATE_AGE: 2 * 60 * 60, // 2 hours
-    TOKEN_EXPIRY_MS: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
+    TOKEN_EXPIRY_MS: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+    REFRESH_BEFORE_EXPIRY_MS: 5 * 60 * 1000, // Refresh the access token this long before it expires
+    REFETCH_INTERVAL: 5 * 60, // Seconds between client session polls, so refresh failures surface
+    // Must match what NextAuth writes, so getToken() in middleware and route handlers finds it
+    COOKIE_NAME: process.env.NODE_ENV === 'production'
+        ? '__Secure-next-auth.session-token'
+        : 'next-auth.session-token'
+};
+
+// Values of session.error the client reacts to
+export const SESSION_ERRORS = {
+    REFRESH_FAILED: 'RefreshAccessTokenError'
+};
+
+// Client address used for rate limit keys (lib/security/rateLimit.js)
+export const CLIENT_IP_CONFIG = {
+    // Proxies in front of the app that append to x-forwarded-for; entries left of theirs are client-supplied
+    TRUSTED_PROXY_COUNT: Number.parseInt(process.env.TRUSTED_PROXY_COUNT ?? '1', 10)
+};
+
+// Rate limiting algorithms (lib/security/rateLimit.js)
+export const RATE_LIMIT_ALGORITHMS = {
+    SLIDING_WINDOW: 'sliding-window', // At most MAX per WINDOW_MS, weighted across the previous window
+    TOKEN_BUCKET: 'token-bucket' // Bursts up to MAX, refilled at MAX per WINDOW_MS
 };
 
 // Rate limiting configuration
 export const RATE_LIMIT_CONFIG = {
     AUTH: {
+        ALGORITHM: RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW,
         WINDOW_MS: 15 * 60 * 1000, // 15 minutes
         MAX_ATTEMPTS: 10
     },
     API: {
+        ALGORITHM: RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET,
         WINDOW_MS: 60 * 1000, // 1 minute
         MAX_REQUESTS: 100
     },
+    SEARCH: {
+        // Typeahead fires while typing: allow bursts, but cap the searches sent upstream
+        ALGORITHM: RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET,
+        WINDOW_MS: 60 * 1000,
+        MAX_REQUESTS: 60
+    },
     GENERAL: {
+        ALGORITHM: RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW,
         WINDOW_MS: 60 * 1000,
         MAX_REQUESTS: 200
     }
 };
 
+// Payment configuration
+export const PAYMENT_CONFIG = {
+    CURRENCY: 'EGP',
+    REFERENCE_EXPIRY_MS: 48 * 60 * 60 * 1000, // Fawry reference codes stay payable for 48 hours
+    CALLBACK_TOLERANCE_MS: 15 * 60 * 1000 // Reject gateway results signed longer ago than this
+};
+
 // Error messages (centralized for easy translation)
 export const ERROR_MESSAGES = {
     // Validation errors
@@ -157,8 +201,27 @@ export const ERROR_MESSAGES = {
     INVALID_PASSWORD_LENGTH: 'كلمة المرور يجب أن تكون 8 أحرف على الأقل',
     INVALID_OTP_FORMAT: 'كود التحقق يجب أن يكون 6 أرقام',
     INVALID_OTP: 'كود التحقق غير صحيح',
+    OTP_EXPIRED: 'انتهت صلاحية كود التحقق، اطلب كوداً جديداً',
+    OTP_ATTEMPTS_EXCEEDED: 'تم تجاوز عدد المحاولات المسموح، اطلب كوداً جديداً',
+    OTP_RESEND_WAIT: 'يرجى الانتظار قبل طلب كود جديد',
+    OTP_SEND_LIMIT: 'تم تجاوز عدد أكواد التحقق المسموح، حاول لاحقاً',
     MISSING_ID: 'رمز المصادقة مفقود',
     ALL_FIELDS_REQUIRED: 'جميع الحقول مطلوبة',
+    EMPTY_CART: 'السلة فارغة',
+    INVALID_CART_ITEM: 'بعض منتجات السلة أو كمياتها غير صحيحة',
+    INVALID_DELIVERY: 'اختر طريقة توصيل صحيحة',
+    INVALID_PAYMENT: 'اختر طريقة دفع صحيحة',
+    PAYMENT_UNAVAILABLE: 'طريقة الدفع غير متاحة حالياً',
+    CURRENT_PASSWORD_REQUIRED: 'أدخل كلمة المرور الحالية',
+    PASSWORD_MISMATCH: 'كلمتا المرور غير متطابقتين',
+    PASSWORD_UNCHANGED: 'كلمة المرور الجديدة يجب أن تختلف عن الحالية',
+    NO_ACCOUNT_FOR_MOBILE: 'لا يوجد حساب مسجل بهذا الرقم',
+    PASSWORD_RESET_FAILED: 'تعذر تغيير كلمة المرور، حاول مرة أخرى',
+    ADDRESS_LABEL_REQUIRED: 'اسم العنوان مطلوب',
+    INVALID_GOVERNORATE: 'اختر المحافظة',
+    INVALID_CITY: 'اختر المدينة',
+    BUILDING_REQUIRED: 'رقم المبنى مطلوب',
+    ADDRESS_REQUIRED: 'اختر عنوان التوصيل',
 
     // API errors
     INVALID_DATA: 'بيانات غير صحيحة',
@@ -177,6 +240,7 @@ export const ERROR_MESSAGES = {
     OTP_SUCCESS: 'تم التحقق بنجاح',
     OTP_SENT: 'تم إرسال كود التحقق',
     PROFILE_SAVED: 'تم حفظ البيانات بنجاح',
+    PASSWORD_CHANGED: 'تم تغيير كلمة المرور بنجاح',
 
     // Auth specific
     LOGIN_FAILED: 'فشل في تسجيل الدخول',
@@ -209,7 +273,10 @@ export default {
     API_CONFIG,
     VALIDATION_RULES,
     SESSION_CONFIG,
+    SESSION_ERRORS,
+    RATE_LIMIT_ALGORITHMS,
     RATE_LIMIT_CONFIG,
+    PAYMENT_CONFIG,
     ERROR_MESSAGES,
     SECURITY_HEADERS,
     LANG_CODES
@@ -0,0 +1,126 @@
+"use client";
+import { useCallback, useEffect, useMemo, useReducer, useRef } from 'react';
+import { useSession } from '@/hooks/useSession';
+import { AddressService } from '@/services/address.service';
+import { formatAddress } from '@/lib/addresses/format';
+
+const initialState = {
+    addresses: [],
+    isLoading: true,
+    error: null
+};
+
+// Only one address can be the default
+const withDefault = (addresses, id) => addresses.map(address => ({ ...address, isDefault: address.id === id }));
+
+function addressBookReducer(state, action) {
+    switch (action.type) {
+        case 'LOADED':
+            return { ...state, addresses: action.payload, isLoading: false, error: null };
+        case 'FAILED':
+            return { ...state, isLoading: false, error: action.payload };
+        case 'SAVED': {
+            const saved = action.payload;
+            const exists = state.addresses.some(address => address.id === saved.id);
+            const addresses = exists
+                ? state.addresses.map(address => address.id === saved.id ? saved : address)
+                : [...state.addresses, saved];
+            return { ...state, addresses: saved.isDefault ? withDefault(addresses, saved.id) : addresses };
+        }
+        case 'REMOVED':
+            return { ...state, addresses: state.addresses.filter(address => address.id !== action.payload) };
+        case 'SET_DEFAULT':
+            return { ...state, addresses: withDefault(state.addresses, action.payload) };
+        default:
+            return state;
+    }
+}
+
+/**
+ * Saved addresses of the signed-in user. The default address is mirrored into
+ * the session's `address` so older screens that read a single string keep working.
+ */
+export function useAddressBook(locale) {
+    const { isAuthenticated, update } = useSession();
+    const [state, dispatch] = useReducer(addressBookReducer, initialState);
+
+    // Addresses do not depend on the locale; load once per sign-in with the current one
+    const localeRef = useRef(locale);
+    localeRef.current = locale;
+
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        let cancelled = false;
+
+        AddressService.fetchAddresses(localeRef.current).then(result => {
+            if (cancelled) return;
+            dispatch(result.success
+                ? { type: 'LOADED', payload: result.addresses }
+                : { type: 'FAILED', payload: result.error });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isAuthenticated]);
+
+    const syncSessionAddress = useCallback((address) => {
+        return update({ address: formatAddress(address, locale) });
+    }, [update, locale]);
+
+    /**
+     * Create or edit an address; the first saved address becomes the default
+     * @returns {Promise<Object|null>} - The saved address, or null on failure
+     */
+    const saveAddress = useCallback(async (address) => {
+        const isDefault = address.isDefault || state.addresses.length === 0;
+        const payload = { ...address, isDefault };
+
+        const result = address.id
+            ? await AddressService.updateAddress(payload, locale)
+            : await AddressService.createAddress(payload, locale);
+
+        if (!result.success) return null;
+
+        dispatch({ type: 'SAVED', payload: result.address });
+        if (result.address.isDefault) {
+            await syncSessionAddress(result.address);
+        }
+        return result.address;
+    }, [state.addresses.length, locale, syncSessionAddress]);
+
+    const removeAddress = useCallback(async (id) => {
+        const result = await AddressService.deleteAddress(id, locale);
+        if (result.success) {
+            dispatch({ type: 'REMOVED', payload: id });
+        }
+        return result.success;
+    }, [locale]);
+
+    const setDefault = useCallback(async (id) => {
+        const address = state.addresses.find(entry => entry.id === id);
+        if (!address || address.isDefault) return true;
+
+        const result = await AddressService.updateAddress({ ...address, isDefault: true }, locale);
+        if (!result.success) return false;
+
+        dispatch({ type: 'SET_DEFAULT', payload: id });
+        await syncSessionAddress(address);
+        return true;
+    }, [state.addresses, locale, syncSessionAddress]);
+
+    const defaultAddress = useMemo(
+        () => state.addresses.find(address => address.isDefault) || state.addresses[0] || null,
+        [state.addresses]
+    );
+
+    return {
+        addresses: state.addresses,
+        defaultAddress,
+        isLoading: isAuthenticated ? state.isLoading : false,
+        error: state.error,
+        saveAddress,
+        removeAddress,
+        setDefault
+    };
+}
@@ -4,11 +4,14 @@ import { useState, useCallback, useRef, useEffect } from 'react';
 import { signIn } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
 import { AuthService } from '@/services/auth.service';
+import { getPostSignInUrl } from '@/lib/auth/callbackUrl';
 import { LANG_CODES, ERROR_MESSAGES } from '@/config/api.config';
 
 export const useAuth = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // When a throttled auth request may be tried again (epoch ms)
+  const [retryAt, setRetryAt] = useState(null);
   const router = useRouter();
 
   // Prevent duplicate requests
@@ -21,7 +24,6 @@ export const useAuth = () => {
       if (abortControllerRef.current) {
         abortControllerRef.current.abort();
       }
-      AuthService.cancelAllRequests();
     };
   }, []);
 
@@ -33,6 +35,15 @@ export const useAuth = () => {
     setError(message);
   }, []);
 
+  // Sets the error and, for a 429, when the countdown ends
+  const failWith = useCallback((response) => {
+    if (response.retryAfter) {
+      setRetryAt(Date.now() + response.retryAfter * 1000);
+    }
+    setError(response.error);
+    return { success: false, error: response.error, retryAfter: response.retryAfter ?? null };
+  }, []);
+
   /**
    * Login with password
    */
@@ -48,20 +59,14 @@ export const useAuth = () => {
     abortControllerRef.current = new AbortController();
 
     try {
-      const response = await AuthService.loginWithPassword(mobile, password, langCode);
-
-      if (response.success && response.user?.data) {
-        const userData = response.user.data;
+      const locale = langCode === LANG_CODES.ENGLISH ? 'en' : 'ar';
+      const response = await AuthService.loginWithPassword(mobile, password, locale);
 
-        // Sign in with NextAuth
+      if (response.success && response.ticket) {
+        // The login route keeps the upstream token; NextAuth redeems the ticket server-side
         const result = await signIn("credentials", {
           redirect: false,
-          id: userData.id,
-          mobile: userData.lastMobileDigit || mobile,
-          token: userData.token,
-          firstName: userData.firstName || '',
-          lastName: userData.lastName || '',
-          address: userData.address || null
+          ticket: response.ticket
         });
 
         if (result?.error) {
@@ -72,19 +77,14 @@ export const useAuth = () => {
         if (result?.ok) {
           // Small delay to ensure session is set
           setTimeout(() => {
-            const urlParams = new URLSearchParams(window.location.search);
-            const callbackUrl = urlParams.get('callbackUrl');
-            const locale = langCode === LANG_CODES.ENGLISH ? 'en' : 'ar';
-            const redirectUrl = callbackUrl || `/${locale}`;
-            router.push(redirectUrl);
+            router.push(getPostSignInUrl(locale));
           }, 100);
 
           return { success: true };
         }
       }
 
-      setError(response.error);
-      return { success: false, error: response.error };
+      return failWith(response);
 
     } catch (err) {
       if (err.name === 'AbortError') {
@@ -100,10 +100,10 @@ export const useAuth = () => {
       isRequestInProgressRef.current = false;
       abortControllerRef.current = null;
     }
-  }, [router]);
+  }, [router, failWith]);
 
   /**
-   * Request OTP for login
+   * Request OTP for login. The code is kept server-side; only a challenge id comes back.
    */
   const loginOtp = useCallback(async (mobile, langCode = LANG_CODES.ARABIC) => {
     if (isRequestInProgressRef.current) {
@@ -115,18 +115,18 @@ export const useAuth = () => {
     setError(null);
 
     try {
-      const response = await AuthService.loginWithOtp(mobile, langCode);
+      const locale = langCode === LANG_CODES.ENGLISH ? 'en' : 'ar';
+      const response = await AuthService.loginWithOtp(mobile, locale);
 
-      if (response.success && response.user?.data) {
+      if (response.success && response.challenge?.challengeId) {
         return {
           success: true,
-          user: response.user.data,
+          challenge: response.challenge,
           message: ERROR_MESSAGES.OTP_SENT
         };
       }
 
-      setError(response.error);
-      return { success: false, error: response.error };
+      return failWith(response);
 
     } catch (err) {
       const errorMsg = 'حدث خطأ في إرسال كود التحقق';
@@ -137,13 +137,12 @@ export const useAuth = () => {
       setLoading(false);
       isRequestInProgressRef.current = false;
     }
-  }, []);
+  }, [failWith]);
 
   /**
-   * Verify OTP (client-side due to API limitations)
-   * WARNING: This is insecure. Ideally, OTP verification should be done server-side.
+   * Verify OTP against the server-side challenge. Wrong codes are counted there.
    */
-  const verifyOTP = useCallback(async (userOtp, enteredOtp, langCode = LANG_CODES.ARABIC) => {
+  const verifyOTP = useCallback(async (challengeId, enteredOtp) => {
     if (isRequestInProgressRef.current) {
       return { success: false, error: ERROR_MESSAGES.REQUEST_IN_PROGRESS };
     }
@@ -153,18 +152,18 @@ export const useAuth = () => {
     setError(null);
 
     try {
-      // Client-side verification (API limitation)
-      const result = AuthService.verifyOtpClientSide(userOtp, enteredOtp);
+      const result = await AuthService.verifyOtp(challengeId, enteredOtp);
 
       if (result.success) {
         return {
           success: true,
+          isNewUser: Boolean(result.data?.isNewUser),
           message: result.message
         };
       }
 
       setError(result.error);
-      return { success: false, error: result.error };
+      return { success: false, error: result.error, attemptsLeft: result.attemptsLeft };
 
     } catch (err) {
       const errorMsg = ERROR_MESSAGES.OTP_VERIFICATION_FAILED;
@@ -180,7 +179,7 @@ export const useAuth = () => {
   /**
    * Complete user profile after OTP verification
    */
-  const setPersonalInfo = useCallback(async (id, personalData, langCode = LANG_CODES.ARABIC) => {
+  const setPersonalInfo = useCallback(async (challengeId, personalData, langCode = LANG_CODES.ARABIC) => {
     if (isRequestInProgressRef.current) {
       return { success: false, error: ERROR_MESSAGES.REQUEST_IN_PROGRESS };
     }
@@ -190,7 +189,8 @@ export const useAuth = () => {
     setError(null);
 
     try {
-      const response = await AuthService.setPersonalInfo(id, personalData, langCode);
+      const locale = langCode === LANG_CODES.ENGLISH ? 'en' : 'ar';
+      const response = await AuthService.setPersonalInfo(challengeId, personalData, locale);
 
       if (response.success) {
         return {
@@ -199,8 +199,7 @@ export const useAuth = () => {
         };
       }
 
-      setError(response.error);
-      return { success: false, error: response.error };
+      return failWith(response);
 
     } catch (err) {
       const errorMsg = ERROR_MESSAGES.SAVE_FAILED;
@@ -211,7 +210,40 @@ export const useAuth = () => {
       setLoading(false);
       isRequestInProgressRef.current = false;
     }
-  }, []);
+  }, [failWith]);
+
+  /**
+   * Set a new password for the account whose mobile number the OTP challenge verified
+   */
+  const resetPassword = useCallback(async (challengeId, passwordData, langCode = LANG_CODES.ARABIC) => {
+    if (isRequestInProgressRef.current) {
+      return { success: false, error: ERROR_MESSAGES.REQUEST_IN_PROGRESS };
+    }
+
+    isRequestInProgressRef.current = true;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const locale = langCode === LANG_CODES.ENGLISH ? 'en' : 'ar';
+      const response = await AuthService.resetPassword(challengeId, passwordData, locale);
+
+      if (response.success) {
+        return { success: true };
+      }
+
+      return failWith(response);
+
+    } catch (err) {
+      const errorMsg = ERROR_MESSAGES.PASSWORD_RESET_FAILED;
+      setError(errorMsg);
+      return { success: false, error: errorMsg };
+
+    } finally {
+      setLoading(false);
+      isRequestInProgressRef.current = false;
+    }
+  }, [failWith]);
 
   /**
    * Cancel ongoing request
@@ -221,7 +253,6 @@ export const useAuth = () => {
       abortControllerRef.current.abort();
       abortControllerRef.current = null;
     }
-    AuthService.cancelAllRequests();
     setLoading(false);
     isRequestInProgressRef.current = false;
   }, []);
@@ -229,12 +260,14 @@ export const useAuth = () => {
   return {
     loading,
     error,
+    retryAt,
     clearError,
     setError: setErrorMessage,
     login,
     loginOtp,
     verifyOTP,
     setPersonalInfo,
+    resetPassword,
     cancelRequest
   };
 };
\ No newline at end of file
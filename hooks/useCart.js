@@ -0,0 +1,13 @@
+"use client";
+import { useContext } from 'react';
+import { CartContext } from '@/components/common/CartProvider';
+
+export function useCart() {
+    const context = useContext(CartContext);
+
+    if (!context) {
+        throw new Error('useCart must be used within a CartProvider');
+    }
+
+    return context;
+}
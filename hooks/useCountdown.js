@@ -0,0 +1,35 @@
+// hooks/useCountdown.js
+"use client";
+import { useState, useEffect } from 'react';
+
+/**
+ * Whole seconds left until a point in time, updated every second
+ * @param {number|null} targetTime - Epoch milliseconds, or null for no countdown
+ * @returns {number} - Seconds remaining; 0 once reached or without a target
+ */
+export const useCountdown = (targetTime) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!targetTime) return;
+
+    setNow(Date.now());
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= targetTime) clearInterval(timer);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [targetTime]);
+
+  return targetTime ? Math.max(0, Math.ceil((targetTime - now) / 1000)) : 0;
+};
+
+/**
+ * Format seconds as m:ss for countdown labels
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
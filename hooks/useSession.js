@@ -3,14 +3,17 @@ import { useSession as useNextAuthSession } from 'next-auth/react';
 import { logout } from '@/utils/auth.utils';
 
 export function useSession() {
-    const { data: session, status } = useNextAuthSession();
+    const { data: session, status, update } = useNextAuthSession();
 
     return {
         session,
         status,
         isLoading: status === 'loading',
-        isAuthenticated: !!session,
+        // A session whose token could not be refreshed can no longer call the API
+        isAuthenticated: !!session && !session.error,
         user: session?.user,
+        error: session?.error ?? null,
+        update,
         logout
         };
 }
\ No newline at end of file
@@ -0,0 +1,13 @@
+"use client";
+import { useContext } from 'react';
+import { WishlistContext } from '@/components/common/WishlistProvider';
+
+export function useWishlist() {
+    const context = useContext(WishlistContext);
+
+    if (!context) {
+        throw new Error('useWishlist must be used within a WishlistProvider');
+    }
+
+    return context;
+}
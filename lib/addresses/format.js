@@ -0,0 +1,44 @@
+// lib/addresses/format.js
+// Structured address shape and its one-line rendering
+
+import { getGovernorate, getCity, getPlaceName } from './governorates';
+
+export const ADDRESS_LABEL_MAX_LENGTH = 50;
+
+export const EMPTY_ADDRESS = {
+    id: null,
+    label: '',
+    governorate: '',
+    city: '',
+    street: '',
+    building: '',
+    floor: '',
+    landmark: '',
+    isDefault: false,
+};
+
+const FLOOR_PREFIX = { en: 'Floor', ar: 'الدور' };
+
+/**
+ * One-line address for summaries, order payloads and the session
+ * @param {Object} address - Structured address
+ * @param {string} locale - Locale used for place names
+ * @returns {string} - e.g. "12 Tahrir St., Floor 3, Dokki, Giza"
+ */
+export const formatAddress = (address, locale = 'ar') => {
+    if (!address) return '';
+
+    const governorate = getGovernorate(address.governorate);
+    const city = getCity(address.governorate, address.city);
+    const separator = locale === 'ar' ? '، ' : ', ';
+
+    const parts = [
+        [address.building, address.street].filter(Boolean).join(' '),
+        address.floor ? `${FLOOR_PREFIX[locale] || FLOOR_PREFIX.en} ${address.floor}` : '',
+        getPlaceName(city, locale),
+        getPlaceName(governorate, locale),
+    ].filter(Boolean);
+
+    const line = parts.join(separator);
+    return address.landmark ? `${line} (${address.landmark})` : line;
+};
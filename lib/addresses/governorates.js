@@ -0,0 +1,245 @@
+// lib/addresses/governorates.js
+// Egyptian governorates and their main cities for the address pickers.
+// Ids are stable slugs stored with each address; names are shown per locale.
+
+export const GOVERNORATES = [
+    {
+        id: 'cairo', en: 'Cairo', ar: 'القاهرة',
+        cities: [
+            { id: 'nasr-city', en: 'Nasr City', ar: 'مدينة نصر' },
+            { id: 'heliopolis', en: 'Heliopolis', ar: 'مصر الجديدة' },
+            { id: 'maadi', en: 'Maadi', ar: 'المعادي' },
+            { id: 'new-cairo', en: 'New Cairo', ar: 'القاهرة الجديدة' },
+            { id: 'downtown', en: 'Downtown', ar: 'وسط البلد' },
+            { id: 'zamalek', en: 'Zamalek', ar: 'الزمالك' },
+            { id: 'shubra', en: 'Shubra', ar: 'شبرا' },
+            { id: 'helwan', en: 'Helwan', ar: 'حلوان' },
+        ],
+    },
+    {
+        id: 'giza', en: 'Giza', ar: 'الجيزة',
+        cities: [
+            { id: 'dokki', en: 'Dokki', ar: 'الدقي' },
+            { id: 'mohandessin', en: 'Mohandessin', ar: 'المهندسين' },
+            { id: 'haram', en: 'Haram', ar: 'الهرم' },
+            { id: 'faisal', en: 'Faisal', ar: 'فيصل' },
+            { id: 'sheikh-zayed', en: 'Sheikh Zayed', ar: 'الشيخ زايد' },
+            { id: '6th-of-october', en: '6th of October', ar: '6 أكتوبر' },
+        ],
+    },
+    {
+        id: 'alexandria', en: 'Alexandria', ar: 'الإسكندرية',
+        cities: [
+            { id: 'smouha', en: 'Smouha', ar: 'سموحة' },
+            { id: 'sidi-gaber', en: 'Sidi Gaber', ar: 'سيدي جابر' },
+            { id: 'miami', en: 'Miami', ar: 'ميامي' },
+            { id: 'montaza', en: 'Montaza', ar: 'المنتزه' },
+            { id: 'agami', en: 'Agami', ar: 'العجمي' },
+            { id: 'borg-el-arab', en: 'Borg El Arab', ar: 'برج العرب' },
+        ],
+    },
+    {
+        id: 'qalyubia', en: 'Qalyubia', ar: 'القليوبية',
+        cities: [
+            { id: 'banha', en: 'Banha', ar: 'بنها' },
+            { id: 'shubra-el-kheima', en: 'Shubra El Kheima', ar: 'شبرا الخيمة' },
+            { id: 'qalyub', en: 'Qalyub', ar: 'قليوب' },
+            { id: 'obour', en: 'Obour', ar: 'العبور' },
+        ],
+    },
+    {
+        id: 'sharqia', en: 'Sharqia', ar: 'الشرقية',
+        cities: [
+            { id: 'zagazig', en: 'Zagazig', ar: 'الزقازيق' },
+            { id: '10th-of-ramadan', en: '10th of Ramadan', ar: 'العاشر من رمضان' },
+            { id: 'belbeis', en: 'Belbeis', ar: 'بلبيس' },
+            { id: 'minya-el-qamh', en: 'Minya El Qamh', ar: 'منيا القمح' },
+        ],
+    },
+    {
+        id: 'dakahlia', en: 'Dakahlia', ar: 'الدقهلية',
+        cities: [
+            { id: 'mansoura', en: 'Mansoura', ar: 'المنصورة' },
+            { id: 'talkha', en: 'Talkha', ar: 'طلخا' },
+            { id: 'mit-ghamr', en: 'Mit Ghamr', ar: 'ميت غمر' },
+            { id: 'aga', en: 'Aga', ar: 'أجا' },
+        ],
+    },
+    {
+        id: 'gharbia', en: 'Gharbia', ar: 'الغربية',
+        cities: [
+            { id: 'tanta', en: 'Tanta', ar: 'طنطا' },
+            { id: 'el-mahalla-el-kubra', en: 'El Mahalla El Kubra', ar: 'المحلة الكبرى' },
+            { id: 'kafr-el-zayat', en: 'Kafr El Zayat', ar: 'كفر الزيات' },
+            { id: 'zefta', en: 'Zefta', ar: 'زفتى' },
+        ],
+    },
+    {
+        id: 'monufia', en: 'Monufia', ar: 'المنوفية',
+        cities: [
+            { id: 'shebin-el-kom', en: 'Shebin El Kom', ar: 'شبين الكوم' },
+            { id: 'sadat-city', en: 'Sadat City', ar: 'مدينة السادات' },
+            { id: 'menouf', en: 'Menouf', ar: 'منوف' },
+            { id: 'ashmoun', en: 'Ashmoun', ar: 'أشمون' },
+        ],
+    },
+    {
+        id: 'beheira', en: 'Beheira', ar: 'البحيرة',
+        cities: [
+            { id: 'damanhour', en: 'Damanhour', ar: 'دمنهور' },
+            { id: 'kafr-el-dawwar', en: 'Kafr El Dawwar', ar: 'كفر الدوار' },
+            { id: 'rashid', en: 'Rashid', ar: 'رشيد' },
+            { id: 'edku', en: 'Edku', ar: 'إدكو' },
+        ],
+    },
+    {
+        id: 'kafr-el-sheikh', en: 'Kafr El Sheikh', ar: 'كفر الشيخ',
+        cities: [
+            { id: 'kafr-el-sheikh', en: 'Kafr El Sheikh', ar: 'كفر الشيخ' },
+            { id: 'desouk', en: 'Desouk', ar: 'دسوق' },
+            { id: 'baltim', en: 'Baltim', ar: 'بلطيم' },
+        ],
+    },
+    {
+        id: 'damietta', en: 'Damietta', ar: 'دمياط',
+        cities: [
+            { id: 'damietta', en: 'Damietta', ar: 'دمياط' },
+            { id: 'new-damietta', en: 'New Damietta', ar: 'دمياط الجديدة' },
+            { id: 'ras-el-bar', en: 'Ras El Bar', ar: 'رأس البر' },
+        ],
+    },
+    {
+        id: 'port-said', en: 'Port Said', ar: 'بورسعيد',
+        cities: [
+            { id: 'port-said', en: 'Port Said', ar: 'بورسعيد' },
+            { id: 'port-fouad', en: 'Port Fouad', ar: 'بورفؤاد' },
+        ],
+    },
+    {
+        id: 'ismailia', en: 'Ismailia', ar: 'الإسماعيلية',
+        cities: [
+            { id: 'ismailia', en: 'Ismailia', ar: 'الإسماعيلية' },
+            { id: 'fayed', en: 'Fayed', ar: 'فايد' },
+            { id: 'el-qantara', en: 'El Qantara', ar: 'القنطرة' },
+        ],
+    },
+    {
+        id: 'suez', en: 'Suez', ar: 'السويس',
+        cities: [
+            { id: 'suez', en: 'Suez', ar: 'السويس' },
+            { id: 'ain-sokhna', en: 'Ain Sokhna', ar: 'العين السخنة' },
+        ],
+    },
+    {
+        id: 'faiyum', en: 'Faiyum', ar: 'الفيوم',
+        cities: [
+            { id: 'faiyum', en: 'Faiyum', ar: 'الفيوم' },
+            { id: 'sinnuris', en: 'Sinnuris', ar: 'سنورس' },
+            { id: 'ibsheway', en: 'Ibsheway', ar: 'إبشواي' },
+        ],
+    },
+    {
+        id: 'beni-suef', en: 'Beni Suef', ar: 'بني سويف',
+        cities: [
+            { id: 'beni-suef', en: 'Beni Suef', ar: 'بني سويف' },
+            { id: 'new-beni-suef', en: 'New Beni Suef', ar: 'بني سويف الجديدة' },
+            { id: 'el-wasta', en: 'El Wasta', ar: 'الواسطى' },
+        ],
+    },
+    {
+        id: 'minya', en: 'Minya', ar: 'المنيا',
+        cities: [
+            { id: 'minya', en: 'Minya', ar: 'المنيا' },
+            { id: 'mallawi', en: 'Mallawi', ar: 'ملوي' },
+            { id: 'samalut', en: 'Samalut', ar: 'سمالوط' },
+            { id: 'beni-mazar', en: 'Beni Mazar', ar: 'بني مزار' },
+        ],
+    },
+    {
+        id: 'asyut', en: 'Asyut', ar: 'أسيوط',
+        cities: [
+            { id: 'asyut', en: 'Asyut', ar: 'أسيوط' },
+            { id: 'dairut', en: 'Dairut', ar: 'ديروط' },
+            { id: 'manfalut', en: 'Manfalut', ar: 'منفلوط' },
+        ],
+    },
+    {
+        id: 'sohag', en: 'Sohag', ar: 'سوهاج',
+        cities: [
+            { id: 'sohag', en: 'Sohag', ar: 'سوهاج' },
+            { id: 'akhmim', en: 'Akhmim', ar: 'أخميم' },
+            { id: 'girga', en: 'Girga', ar: 'جرجا' },
+        ],
+    },
+    {
+        id: 'qena', en: 'Qena', ar: 'قنا',
+        cities: [
+            { id: 'qena', en: 'Qena', ar: 'قنا' },
+            { id: 'nag-hammadi', en: 'Nag Hammadi', ar: 'نجع حمادي' },
+            { id: 'qus', en: 'Qus', ar: 'قوص' },
+        ],
+    },
+    {
+        id: 'luxor', en: 'Luxor', ar: 'الأقصر',
+        cities: [
+            { id: 'luxor', en: 'Luxor', ar: 'الأقصر' },
+            { id: 'esna', en: 'Esna', ar: 'إسنا' },
+            { id: 'armant', en: 'Armant', ar: 'أرمنت' },
+        ],
+    },
+    {
+        id: 'aswan', en: 'Aswan', ar: 'أسوان',
+        cities: [
+            { id: 'aswan', en: 'Aswan', ar: 'أسوان' },
+            { id: 'kom-ombo', en: 'Kom Ombo', ar: 'كوم أمبو' },
+            { id: 'edfu', en: 'Edfu', ar: 'إدفو' },
+        ],
+    },
+    {
+        id: 'red-sea', en: 'Red Sea', ar: 'البحر الأحمر',
+        cities: [
+            { id: 'hurghada', en: 'Hurghada', ar: 'الغردقة' },
+            { id: 'safaga', en: 'Safaga', ar: 'سفاجا' },
+            { id: 'el-gouna', en: 'El Gouna', ar: 'الجونة' },
+            { id: 'marsa-alam', en: 'Marsa Alam', ar: 'مرسى علم' },
+        ],
+    },
+    {
+        id: 'new-valley', en: 'New Valley', ar: 'الوادي الجديد',
+        cities: [
+            { id: 'kharga', en: 'Kharga', ar: 'الخارجة' },
+            { id: 'dakhla', en: 'Dakhla', ar: 'الداخلة' },
+        ],
+    },
+    {
+        id: 'matrouh', en: 'Matrouh', ar: 'مطروح',
+        cities: [
+            { id: 'marsa-matrouh', en: 'Marsa Matrouh', ar: 'مرسى مطروح' },
+            { id: 'el-alamein', en: 'El Alamein', ar: 'العلمين' },
+            { id: 'siwa', en: 'Siwa', ar: 'سيوة' },
+        ],
+    },
+    {
+        id: 'north-sinai', en: 'North Sinai', ar: 'شمال سيناء',
+        cities: [
+            { id: 'arish', en: 'Arish', ar: 'العريش' },
+            { id: 'bir-al-abd', en: 'Bir al-Abd', ar: 'بئر العبد' },
+        ],
+    },
+    {
+        id: 'south-sinai', en: 'South Sinai', ar: 'جنوب سيناء',
+        cities: [
+            { id: 'sharm-el-sheikh', en: 'Sharm El Sheikh', ar: 'شرم الشيخ' },
+            { id: 'dahab', en: 'Dahab', ar: 'دهب' },
+            { id: 'el-tor', en: 'El Tor', ar: 'الطور' },
+        ],
+    },
+];
+
+export const getGovernorate = (id) => GOVERNORATES.find(governorate => governorate.id === id) || null;
+
+export const getCity = (governorateId, cityId) =>
+    getGovernorate(governorateId)?.cities.find(city => city.id === cityId) || null;
+
+// Localized display name of a governorate or city entry
+export const getPlaceName = (place, locale) => (place ? place[locale] || place.en : '');
@@ -8,12 +8,26 @@ import {
     buildRequestConfig,
     handleAPIError,
     handleResponse,
-    calculateRetryDelay
+    calculateRetryDelay,
+    redactUrl
 } from './shared';
+import { BASE_URL } from './endpoints';
+
+const PROXY_PATH = '/api/proxy';
+
+// Backend URLs (endpoints.*) rewritten to go through our authenticated proxy route
+const toProxyUrl = (url) => {
+    if (!url.startsWith(`${BASE_URL}/`)) {
+        throw new APIError(`Not a backend URL: ${redactUrl(url)}`, API_ERRORS.INVALID_RESPONSE);
+    }
+    return `${PROXY_PATH}${url.slice(BASE_URL.length)}`;
+};
 
 // Client-side request function with retry logic
-const clientRequest = async (url, options = {}) => {
-    const { timeout = TIMEOUT_CONFIG.client, retries = 2, ...fetchOptions } = options;
+// `proxy: true` sends a backend URL through /api/proxy, which adds the session token server-side
+const clientRequest = async (targetUrl, options = {}) => {
+    const { timeout = TIMEOUT_CONFIG.client, retries = 2, proxy = false, ...fetchOptions } = options;
+    const url = proxy ? toProxyUrl(targetUrl) : targetUrl;
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
@@ -27,7 +41,7 @@ const clientRequest = async (url, options = {}) => {
 
     for (let attempt = 0; attempt <= retries; attempt++) {
         try {
-            console.log(`🔍 Client API Request (attempt ${attempt + 1}/${retries + 1}):`, url);
+            console.log(`🔍 Client API Request (attempt ${attempt + 1}/${retries + 1}):`, redactUrl(url));
 
             const response = await fetch(url, config);
             clearTimeout(timeoutId);
@@ -114,6 +128,16 @@ export const clientUpload = async (url, formData, options = {}) => {
     }
 };
 
+// Authenticated requests from client components: the proxy attaches the session's token,
+// so no raw token is needed. Pass locale as an `x-locale` header.
+export const clientProxyGet = (url, options = {}) => clientGet(url, { ...options, proxy: true });
+
+export const clientProxyPost = (url, body, options = {}) => clientPost(url, body, { ...options, proxy: true });
+
+export const clientProxyPut = (url, body, options = {}) => clientPut(url, body, { ...options, proxy: true });
+
+export const clientProxyDelete = (url, options = {}) => clientDelete(url, { ...options, proxy: true });
+
 // Client-side request with authentication token
 export const clientAuthRequest = (url, token, options = {}) => {
     return clientRequest(url, {
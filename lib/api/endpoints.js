@@ -15,9 +15,30 @@ home:`${BASE_URL}/Home`,
     verifyOTP: `${BASE_URL}/auth/otp/verify`,
     refresh: `${BASE_URL}/auth/refresh`,
     profile: `${BASE_URL}/auth/profile`,
+    changePassword: `${BASE_URL}/auth/password`,
+    // Authorized with the token of a verified OTP sign-in (forgot-password flow)
+    resetPassword: `${BASE_URL}/auth/password/reset`,
+    // Upstream auth endpoints below take their parameters in the query string,
+    // so they are only ever called server-side from our /api/auth route handlers
+    // Issues an OTP for the mobile and returns it with the user
+    loginWithOtp: (mobile) => `${BASE_URL}/Auth/logInWithOTP?mobile=${encodeURIComponent(mobile)}`,
+    loginWithPassword: (mobile, password) =>
+      `${BASE_URL}/Auth/LogInBack?mobile=${encodeURIComponent(mobile)}&password=${encodeURIComponent(password)}`,
+    completeOtpProfile: (params) => `${BASE_URL}/Auth/completeDataWithOTP?${new URLSearchParams(params)}`,
   },
   
   // Cart & Favorites (if available)
   cart: `${BASE_URL}/cart`,
   favorites: `${BASE_URL}/favorites`,
+
+  // Address book
+  addresses: `${BASE_URL}/addresses`,
+  addressById: (id) => `${BASE_URL}/addresses/${id}`,
+
+  // Orders
+  orders: `${BASE_URL}/orders`,
+  ordersPage: (pageNo, pageSize) => `${BASE_URL}/orders?pageNo=${pageNo}&pageSize=${pageSize}`,
+  orderById: (id) => `${BASE_URL}/orders/${id}`,
+  orderPayment: (id) => `${BASE_URL}/orders/${id}/payment`,
+  orderCancel: (id) => `${BASE_URL}/orders/${id}/cancel`,
 };
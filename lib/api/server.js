@@ -1,7 +1,11 @@
 // lib/api/server.js
 // Server-side API functions for Next.js server components and API routes
 
+import { cookies, headers as requestHeaders } from 'next/headers';
+import { getToken } from 'next-auth/jwt';
 import { endpoints } from '@/lib/api/endpoints';
+import { refreshAccessToken } from '@/lib/auth/tokenRefresh';
+import { SESSION_CONFIG } from '@/config/api.config';
 import {
     CACHE_CONFIG,
     TIMEOUT_CONFIG,
@@ -12,6 +16,7 @@ import {
     handleAPIError,
     handleResponse,
     calculateRetryDelay,
+    redactUrl,
     validateProductData
 } from './shared';
 
@@ -35,7 +40,7 @@ const serverRequest = async (url, options = {}) => {
     // Retry logic
     for (let attempt = 0; attempt <= retries; attempt++) {
         try {
-            console.log(`🔍 Server API Request (attempt ${attempt + 1}/${retries + 1}):`, url);
+            console.log(`🔍 Server API Request (attempt ${attempt + 1}/${retries + 1}):`, redactUrl(url));
 
             const response = await fetch(url, config);
             clearTimeout(timeoutId);
@@ -48,8 +53,8 @@ const serverRequest = async (url, options = {}) => {
             lastError = handleAPIError(error, url, attempt + 1, retries + 1);
 
             // Don't retry for certain error types
-            if (error instanceof APIError && error.type === API_ERRORS.NOT_FOUND) {
-                throw error; // Don't retry 404s
+            if (error instanceof APIError && (error.type === API_ERRORS.NOT_FOUND || error.type === API_ERRORS.UNAUTHORIZED)) {
+                throw error; // Don't retry 404s or rejected credentials
             }
 
             // If this is the last attempt, throw the error
@@ -103,6 +108,125 @@ export const serverDelete = (url, options = {}) => serverRequest(url, {
     ...options
 });
 
+// Session JWT of the current request. Route handlers pass their request; server components
+// have none, so the session cookie is read through next/headers instead.
+const getSessionToken = async (request) => {
+    const req = request ?? { cookies: await cookies(), headers: await requestHeaders() };
+    return getToken({ req, secret: process.env.NEXTAUTH_SECRET, cookieName: SESSION_CONFIG.COOKIE_NAME });
+};
+
+// Session JWT of the signed-in user; throws an UNAUTHORIZED APIError without a usable session
+const requireSessionToken = async (request) => {
+    const token = await getSessionToken(request);
+    if (!token?.accessToken || token.error) {
+        throw new APIError('Unauthorized', API_ERRORS.UNAUTHORIZED, 401);
+    }
+    return token;
+};
+
+// A new access token after the upstream rejected the session's one (it can revoke a token
+// before its advertised expiry); null when the token cannot be refreshed
+const refreshRejectedToken = async (token) => {
+    if (!token.refreshToken) return null;
+
+    try {
+        const { accessToken } = await refreshAccessToken(token.refreshToken);
+        return accessToken;
+    } catch (error) {
+        console.error('Token refresh error:', error.message);
+        return null;
+    }
+};
+
+// Request on behalf of the signed-in user. The access token never leaves the server: it is read
+// from the session JWT here, and a 401 is retried once with a freshly refreshed token.
+// Options: `request` (route handlers), `locale` (defaults to the request's x-locale), plus serverRequest options.
+const serverAuthRequest = async (url, options = {}) => {
+    const { request, locale = request?.headers.get('x-locale') || 'ar', headers = {}, ...requestOptions } = options;
+    const token = await requireSessionToken(request);
+
+    const send = (accessToken) => serverRequest(url, {
+        cache: 'no-store', // Per-user data, never cache
+        ...requestOptions,
+        headers: {
+            ...getLangHeaders(locale),
+            ...headers,
+            'Authorization': `Bearer ${accessToken}`,
+        },
+    });
+
+    try {
+        return await send(token.accessToken);
+    } catch (error) {
+        if (error?.type !== API_ERRORS.UNAUTHORIZED) throw error;
+
+        const accessToken = await refreshRejectedToken(token);
+        if (!accessToken) throw error;
+        return send(accessToken);
+    }
+};
+
+// Like serverAuthRequest, but hands back the raw upstream Response (any status) for proxying.
+// The body must be replayable (string or buffer), since a 401 sends it a second time.
+export const serverAuthFetch = async (url, options = {}) => {
+    const {
+        request,
+        locale = request?.headers.get('x-locale') || 'ar',
+        headers = {},
+        timeout = TIMEOUT_CONFIG.default,
+        ...fetchOptions
+    } = options;
+    const token = await requireSessionToken(request);
+
+    const send = (accessToken) => {
+        // Set, not appended: the locale and token replace any same-named header passed in
+        const outgoing = new Headers(headers);
+        Object.entries(getLangHeaders(locale)).forEach(([name, value]) => outgoing.set(name, value));
+        outgoing.set('Authorization', `Bearer ${accessToken}`);
+
+        console.log('🔍 Server API Request (authenticated):', redactUrl(url));
+        return fetch(url, {
+            cache: 'no-store',
+            signal: AbortSignal.timeout(timeout),
+            ...fetchOptions,
+            headers: outgoing,
+        });
+    };
+
+    const response = await send(token.accessToken);
+    if (response.status !== 401) return response;
+
+    const accessToken = await refreshRejectedToken(token);
+    return accessToken ? send(accessToken) : response;
+};
+
+// Authenticated GET; never cached, since the response belongs to one user
+export const serverAuthGet = (url, options = {}) => serverAuthRequest(url, {
+    method: 'GET',
+    ...options
+});
+
+// Authenticated POST
+export const serverAuthPost = (url, body, options = {}) => serverAuthRequest(url, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    timeout: TIMEOUT_CONFIG.upload,
+    ...options
+});
+
+// Authenticated PUT
+export const serverAuthPut = (url, body, options = {}) => serverAuthRequest(url, {
+    method: 'PUT',
+    body: JSON.stringify(body),
+    ...options
+});
+
+// Authenticated DELETE
+export const serverAuthDelete = (url, options = {}) => serverAuthRequest(url, {
+    method: 'DELETE',
+    ...options
+});
+
 // API functions with optimized caching and error handling
 export const serverGetHome = (locale) => {
     const langCode = locale === 'en' ? '2' : '1';
@@ -124,6 +248,24 @@ export const serverGetProductBundle = (locale) => {
     });
 };
 
+// Categories come with the home payload; there is no dedicated endpoint
+export const serverGetCategoryById = async (id, locale) => {
+    const home = await serverGetHome(locale);
+    const categories = Array.isArray(home?.categories) ? home.categories : [];
+    return categories.find(category => String(category.id) === String(id)) || null;
+};
+
+// Brands also come with the home payload
+export const serverGetBrands = async (locale) => {
+    const home = await serverGetHome(locale);
+    return Array.isArray(home?.brands) ? home.brands : [];
+};
+
+export const serverGetBrandById = async (id, locale) => {
+    const brands = await serverGetBrands(locale);
+    return brands.find(brand => String(brand.id) === String(id)) || null;
+};
+
 export const serverGetAdvancedSearch = async (locale, filters = {}) => {
     try {
         const searchParams = new URLSearchParams(filters);
@@ -21,6 +21,8 @@ export const API_ERRORS = {
     TIMEOUT: 'TIMEOUT',
     NETWORK: 'NETWORK',
     NOT_FOUND: 'NOT_FOUND',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
     SERVER_ERROR: 'SERVER_ERROR',
     INVALID_RESPONSE: 'INVALID_RESPONSE',
 };
@@ -63,8 +65,12 @@ export const buildRequestConfig = (options = {}, isServer = false) => {
 };
 
 // Error handling utility
+// Upstream auth endpoints take secrets in the query string; keep them out of logs
+const SENSITIVE_PARAMS = /([?&](?:password|token|otp)=)[^&]*/gi;
+export const redactUrl = (url) => String(url).replace(SENSITIVE_PARAMS, '$1***');
+
 export const handleAPIError = (error, url, attempt, maxRetries) => {
-    console.error(`❌ API Error (attempt ${attempt}/${maxRetries}):`, { url, error: error.message });
+    console.error(`❌ API Error (attempt ${attempt}/${maxRetries}):`, { url: redactUrl(url), error: error.message });
 
     if (error.name === 'AbortError') {
         throw new APIError('Request timeout', API_ERRORS.TIMEOUT);
@@ -85,15 +91,24 @@ export const handleResponse = async (response, url) => {
     if (!response.ok) {
         let errorMessage = `HTTP ${response.status}`;
         let errorType = API_ERRORS.SERVER_ERROR;
+        let errorDetails = null;
 
         try {
             const errorData = await response.text();
             errorMessage = `HTTP ${response.status}: ${errorData}`;
+            // Our route handlers answer with JSON bodies callers can act on
+            errorDetails = JSON.parse(errorData);
         } catch (e) {
             // Ignore error parsing response body
         }
 
         switch (response.status) {
+            case 401:
+                errorType = API_ERRORS.UNAUTHORIZED;
+                break;
+            case 403:
+                errorType = API_ERRORS.FORBIDDEN;
+                break;
             case 404:
                 errorType = API_ERRORS.NOT_FOUND;
                 break;
@@ -107,11 +122,11 @@ export const handleResponse = async (response, url) => {
                 }
         }
 
-        throw new APIError(errorMessage, errorType, response.status);
+        throw new APIError(errorMessage, errorType, response.status, errorDetails);
     }
 
     const data = await response.json();
-    console.log('✅ API Success:', { url, dataKeys: Object.keys(data || {}) });
+    console.log('✅ API Success:', { url: redactUrl(url), dataKeys: Object.keys(data || {}) });
     return data;
 };
 
@@ -0,0 +1,34 @@
+// lib/auth/authStore.js
+// Short-lived sign-in state: OTP challenges, OTP send history, sign-in tickets and token refresh
+// locks (lib/auth/tokenRefresh.js). A challenge created on one server instance is verified and
+// redeemed by whichever instance gets the next request, so with more than one instance
+// (or serverless) this must be the shared Redis store.
+// Process memory only works on a single long-lived instance, e.g. `next dev` or one `next start`.
+
+import { createMemoryStore, createRedisStore } from '@/lib/security/rateLimitStores';
+
+// One store per process; module reloads in development keep it
+const stores = globalThis.__authStores ?? (globalThis.__authStores = {});
+
+/**
+ * Store for sign-in state. Uses AUTH_REDIS_URL / AUTH_REDIS_TOKEN, or else the rate limit
+ * Redis server. Unlike rate limiting there is no fallback to memory when Redis fails:
+ * state other instances cannot see would make sign-in fail at random instead.
+ * @returns {Object} - Store with get/set/take/remove/increment (lib/security/rateLimitStores.js)
+ */
+export const getAuthStore = () => {
+    const url = process.env.AUTH_REDIS_URL || process.env.RATE_LIMIT_REDIS_URL;
+
+    if (url) {
+        return stores.redis ?? (stores.redis = createRedisStore({
+            url,
+            token: process.env.AUTH_REDIS_URL ? process.env.AUTH_REDIS_TOKEN : process.env.RATE_LIMIT_REDIS_TOKEN,
+            prefix: 'auth:',
+        }));
+    }
+
+    if (!stores.memory && process.env.NODE_ENV === 'production') {
+        console.warn('No AUTH_REDIS_URL or RATE_LIMIT_REDIS_URL set: sign-in state is per instance; run a single instance');
+    }
+    return stores.memory ?? (stores.memory = createMemoryStore());
+};
@@ -0,0 +1,60 @@
+// lib/auth/authorize.js
+// Permission checks for route handlers and server components, against the roles in the session.
+// Middleware already guards the pages listed in ROUTE_PERMISSIONS; use these for anything finer.
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { APIError, API_ERRORS } from '@/lib/api/shared';
+import { hasPermission, normalizeRoles } from '@/lib/auth/permissions';
+
+const unauthorized = () => NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+
+const forbidden = () => NextResponse.json({ success: false, error: 'Forbidden' }, { status: 403 });
+
+const defaultErrorStatus = (error) => (error instanceof APIError && error.status ? error.status : 500);
+
+/**
+ * Whether the signed-in user has a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Promise<boolean>} - false without a valid session
+ */
+export const sessionHasPermission = async (permission) => {
+    const session = await getServerSession(authOptions);
+    if (!session?.user || session.error) return false;
+
+    return hasPermission(normalizeRoles(session.user), permission);
+};
+
+/**
+ * Check a permission of the signed-in user in a route handler
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Promise<Object>} - { session } when allowed, otherwise { response } holding the 401 or 403 to return
+ */
+export const authorizeRequest = async (permission) => {
+    const session = await getServerSession(authOptions);
+    if (!session?.user || session.error) {
+        return { session: null, response: unauthorized() };
+    }
+
+    if (!hasPermission(normalizeRoles(session.user), permission)) {
+        return { session: null, response: forbidden() };
+    }
+
+    return { session, response: null };
+};
+
+/**
+ * Error handler for authenticated route handlers. An upstream that rejects the session token
+ * answers like authorizeRequest does; anything else is logged and reported as `message`.
+ * @param {string} message - Error text for the log and the response body, e.g. 'Address request failed'
+ * @param {Function} [getStatus] - Status for other errors; defaults to the APIError status, else 500
+ * @returns {Function} - (error) => NextResponse
+ */
+export const createRouteErrorHandler = (message, getStatus = defaultErrorStatus) => (error) => {
+    if (error instanceof APIError && error.type === API_ERRORS.UNAUTHORIZED) return unauthorized();
+    if (error instanceof APIError && error.type === API_ERRORS.FORBIDDEN) return forbidden();
+
+    console.error(`${message}:`, error);
+    return NextResponse.json({ success: false, error: message }, { status: getStatus(error) });
+};
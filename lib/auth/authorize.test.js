@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getServerSession } from 'next-auth/next';
+import { APIError, API_ERRORS } from '@/lib/api/shared';
+import { PERMISSIONS, ROLES } from '@/lib/auth/permissions';
+import { authorizeRequest, createRouteErrorHandler } from './authorize';
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }));
+vi.mock('@/app/api/auth/[...nextauth]/route', () => ({ authOptions: {} }));
+
+describe('authorizeRequest', () => {
+    beforeEach(() => {
+        getServerSession.mockReset();
+    });
+
+    it('returns the session when the user has the permission', async () => {
+        const session = { user: { roles: [ROLES.CUSTOMER] } };
+        getServerSession.mockResolvedValue(session);
+
+        expect(await authorizeRequest(PERMISSIONS.ACCOUNT)).toEqual({ session, response: null });
+    });
+
+    it('answers 401 without a usable session', async () => {
+        getServerSession.mockResolvedValue({ user: {}, error: 'RefreshAccessTokenError' });
+
+        const { session, response } = await authorizeRequest(PERMISSIONS.ACCOUNT);
+        expect(session).toBeNull();
+        expect(response.status).toBe(401);
+        expect(await response.json()).toEqual({ success: false, error: 'Unauthorized' });
+    });
+
+    it('answers 403 without the permission', async () => {
+        getServerSession.mockResolvedValue({ user: { roles: [ROLES.CUSTOMER] } });
+
+        const { response } = await authorizeRequest(PERMISSIONS.DASHBOARD_VIEW);
+        expect(response.status).toBe(403);
+        expect(await response.json()).toEqual({ success: false, error: 'Forbidden' });
+    });
+});
+
+describe('createRouteErrorHandler', () => {
+    const handleError = createRouteErrorHandler('Address request failed');
+
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('answers like authorizeRequest when the upstream rejects the session', () => {
+        expect(handleError(new APIError('Unauthorized', API_ERRORS.UNAUTHORIZED, 401)).status).toBe(401);
+        expect(handleError(new APIError('Forbidden', API_ERRORS.FORBIDDEN, 403)).status).toBe(403);
+    });
+
+    it('reports other errors with the route message and their status', async () => {
+        const response = handleError(new APIError('Not found', API_ERRORS.NOT_FOUND, 404));
+
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({ success: false, error: 'Address request failed' });
+        expect(handleError(new Error('boom')).status).toBe(500);
+    });
+
+    it('takes a status mapping for routes that answer as a gateway', () => {
+        const handleProxyError = createRouteErrorHandler('Proxy request failed', () => 502);
+        expect(handleProxyError(new Error('boom')).status).toBe(502);
+    });
+});
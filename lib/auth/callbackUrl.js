@@ -0,0 +1,25 @@
+// lib/auth/callbackUrl.js
+// Where to go after signing in. Middleware and the signin page both read `callbackUrl`
+// from the query string, so it is checked the same way in both places.
+
+/**
+ * Only same-site paths may be used as a post-signin destination
+ * @param {string|null} callbackUrl - Value of the callbackUrl query parameter
+ * @returns {boolean}
+ */
+export const isSafeCallbackUrl = (callbackUrl) => Boolean(
+    callbackUrl?.startsWith('/') &&
+    // Browsers read "//host" and "/\host" as another origin
+    !callbackUrl.startsWith('//') &&
+    !callbackUrl.startsWith('/\\')
+);
+
+/**
+ * Destination after a client-side sign in: the page's callbackUrl when it is safe, else the home page
+ * @param {string} locale - Current locale, for the fallback
+ * @returns {string}
+ */
+export const getPostSignInUrl = (locale) => {
+    const callbackUrl = new URLSearchParams(window.location.search).get('callbackUrl');
+    return isSafeCallbackUrl(callbackUrl) ? callbackUrl : `/${locale}`;
+};
@@ -0,0 +1,200 @@
+// lib/auth/otpChallenges.js
+// Server-side OTP challenges. The code the backend issues never reaches the browser:
+// only its HMAC is kept, next to the user it signs in, until it is verified or expires.
+// Challenges live in the shared auth store, so any server instance can verify and redeem them.
+
+import crypto from 'crypto';
+import { VALIDATION_RULES } from '@/config/api.config';
+import { getAuthStore } from '@/lib/auth/authStore';
+
+export const OTP_RESULT = {
+    VERIFIED: 'verified',
+    INVALID: 'invalid',
+    EXPIRED: 'expired',
+    LOCKED: 'locked',
+};
+
+// Keys in the shared auth store (lib/auth/authStore.js)
+const challengeKey = (challengeId) => `otp:challenge:${challengeId}`;
+const attemptsKey = (challengeId) => `otp:attempts:${challengeId}`;
+// The current challenge of a number, so a new code can replace it
+const mobileKey = (mobile) => `otp:mobile:${mobile}`;
+// Codes sent per mobile: { count, nextSendAt, resetAt }
+const sendsKey = (mobile) => `otp:sends:${mobile}`;
+
+const getSecret = () => process.env.OTP_SECRET || process.env.NEXTAUTH_SECRET;
+
+const hashOtp = (challengeId, otp) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`${challengeId}|${String(otp).trim()}`)
+    .digest();
+
+const saveChallenge = (challengeId, challenge) =>
+    getAuthStore().set(challengeKey(challengeId), challenge, challenge.expiresAt - Date.now());
+
+const readChallenge = async (challengeId) => {
+    const challenge = await getAuthStore().get(challengeKey(challengeId));
+    return challenge && challenge.expiresAt > Date.now() ? challenge : null;
+};
+
+// 30s, 60s, 120s... between codes for the same number, up to the configured maximum
+const getResendCooldown = (count) => Math.min(
+    VALIDATION_RULES.OTP.RESEND_COOLDOWN_MS * 2 ** (count - 1),
+    VALIDATION_RULES.OTP.MAX_RESEND_COOLDOWN_MS
+);
+
+const recordSend = async (mobile, now) => {
+    const previous = await getAuthStore().get(sendsKey(mobile));
+    const history = previous && previous.resetAt > now
+        ? previous
+        : { count: 0, resetAt: now + VALIDATION_RULES.OTP.SEND_WINDOW_MS };
+
+    history.count += 1;
+    history.nextSendAt = history.count >= VALIDATION_RULES.OTP.MAX_SENDS
+        ? history.resetAt
+        : now + getResendCooldown(history.count);
+    await getAuthStore().set(sendsKey(mobile), history, history.resetAt - now);
+
+    return history.nextSendAt;
+};
+
+/**
+ * Whether another code may be sent to a number yet
+ * @param {string} mobile - Normalized mobile number
+ * @returns {Promise<Object>} - { allowed, retryAt, limitReached }; retryAt is set when not allowed
+ */
+export const checkOtpSend = async (mobile) => {
+    const history = await getAuthStore().get(sendsKey(mobile));
+    const now = Date.now();
+
+    if (!history || history.resetAt <= now || history.nextSendAt <= now) {
+        return { allowed: true, retryAt: null, limitReached: false };
+    }
+
+    return {
+        allowed: false,
+        retryAt: history.nextSendAt,
+        limitReached: history.count >= VALIDATION_RULES.OTP.MAX_SENDS,
+    };
+};
+
+/**
+ * Store a freshly issued OTP and count it against the number's resend cooldown
+ * @param {Object} params - { otp, mobile, user } where user holds the upstream id, token and names
+ * @returns {Promise<Object>} - { challengeId, expiresAt, resendAt, attemptsLeft } safe to hand to the browser
+ */
+export const createOtpChallenge = async ({ otp, mobile, user }) => {
+    const store = getAuthStore();
+    const now = Date.now();
+    const challengeId = crypto.randomUUID();
+    const expiresAt = now + VALIDATION_RULES.OTP.EXPIRY_MS;
+
+    // A new code replaces any earlier one for the same number
+    const previousId = await store.get(mobileKey(mobile));
+    if (previousId) {
+        await store.remove(challengeKey(previousId));
+    }
+
+    await saveChallenge(challengeId, {
+        mobile,
+        user,
+        otpHash: hashOtp(challengeId, otp).toString('hex'),
+        expiresAt,
+        verified: false,
+    });
+    await store.set(mobileKey(mobile), challengeId, VALIDATION_RULES.OTP.EXPIRY_MS);
+
+    return {
+        challengeId,
+        expiresAt,
+        resendAt: await recordSend(mobile, now),
+        attemptsLeft: VALIDATION_RULES.OTP.MAX_ATTEMPTS,
+    };
+};
+
+/**
+ * Check an entered code against a challenge, counting attempts
+ * @param {string} challengeId - Id returned by createOtpChallenge
+ * @param {string} otp - Code entered by the user
+ * @returns {Promise<Object>} - { result: OTP_RESULT, attemptsLeft, user }; user is only set when verified
+ */
+export const verifyOtpChallenge = async (challengeId, otp) => {
+    const challenge = await readChallenge(challengeId);
+
+    if (!challenge) {
+        return { result: OTP_RESULT.EXPIRED, attemptsLeft: 0, user: null };
+    }
+
+    // The attempt is counted before the code is compared, atomically, so parallel
+    // requests (possibly on other instances) cannot try more codes than allowed
+    const attempts = await getAuthStore().increment(attemptsKey(challengeId), challenge.expiresAt - Date.now());
+    const attemptsLeft = Math.max(0, VALIDATION_RULES.OTP.MAX_ATTEMPTS - attempts);
+
+    if (attempts > VALIDATION_RULES.OTP.MAX_ATTEMPTS) {
+        return { result: OTP_RESULT.LOCKED, attemptsLeft: 0, user: null };
+    }
+
+    const expected = Buffer.from(challenge.otpHash, 'hex');
+    const received = hashOtp(challengeId, otp);
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return {
+            result: attemptsLeft > 0 ? OTP_RESULT.INVALID : OTP_RESULT.LOCKED,
+            attemptsLeft,
+            user: null,
+        };
+    }
+
+    // The sign-in window restarts so new users have time to complete their profile
+    await saveChallenge(challengeId, {
+        ...challenge,
+        verified: true,
+        expiresAt: Date.now() + VALIDATION_RULES.OTP.EXPIRY_MS,
+    });
+
+    // The attempt that succeeded does not count against the user
+    return {
+        result: OTP_RESULT.VERIFIED,
+        attemptsLeft: attemptsLeft + 1,
+        user: challenge.user,
+    };
+};
+
+/**
+ * Read the user of a verified challenge without consuming it, e.g. to complete a new profile
+ * @param {string} challengeId - Verified challenge id
+ * @returns {Promise<Object|null>} - The stored user, or null when unverified or expired
+ */
+export const getVerifiedChallengeUser = async (challengeId) => {
+    const challenge = await readChallenge(challengeId);
+    return challenge?.verified ? challenge.user : null;
+};
+
+/**
+ * Merge saved profile fields into a verified challenge so the session starts with them
+ * @param {string} challengeId - Verified challenge id
+ * @param {Object} changes - e.g. { firstName, lastName, address, isNewUser: false }
+ */
+export const updateVerifiedChallengeUser = async (challengeId, changes) => {
+    const challenge = await readChallenge(challengeId);
+    if (challenge?.verified) {
+        await saveChallenge(challengeId, { ...challenge, user: { ...challenge.user, ...changes } });
+    }
+};
+
+/**
+ * Take the user of a verified challenge, once. Used by the NextAuth "otp" provider.
+ * @param {string} challengeId - Verified challenge id
+ * @returns {Promise<Object|null>} - The stored user, or null when unverified, expired or already used
+ */
+export const consumeVerifiedChallenge = async (challengeId) => {
+    // Unverified challenges are left alone; only a verified one is taken, and only once
+    const challenge = await readChallenge(challengeId);
+    if (!challenge?.verified) return null;
+
+    const store = getAuthStore();
+    const taken = await store.take(challengeKey(challengeId));
+    await store.remove(attemptsKey(challengeId));
+
+    return taken?.verified && taken.expiresAt > Date.now() ? taken.user : null;
+};
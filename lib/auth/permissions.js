@@ -0,0 +1,65 @@
+// lib/auth/permissions.js
+// Roles, the permissions they grant, and which routes need which permission.
+// Pure data and lookups: imported by middleware (edge) as well as server code.
+
+export const ROLES = {
+    CUSTOMER: 'customer',
+    STAFF: 'staff',
+    ADMIN: 'admin',
+};
+
+export const PERMISSIONS = {
+    ACCOUNT: 'account', // Own profile, orders, addresses and checkout
+    DASHBOARD_VIEW: 'dashboard:view',
+    ORDERS_MANAGE: 'orders:manage',
+    SETTINGS_MANAGE: 'settings:manage',
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.CUSTOMER]: [PERMISSIONS.ACCOUNT],
+    [ROLES.STAFF]: [PERMISSIONS.ACCOUNT, PERMISSIONS.DASHBOARD_VIEW, PERMISSIONS.ORDERS_MANAGE],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// First match wins, so list more specific paths before their parents
+export const ROUTE_PERMISSIONS = [
+    { pattern: /^\/[a-z]{2}\/dashboard\/settings(\/|$)/, permission: PERMISSIONS.SETTINGS_MANAGE },
+    { pattern: /^\/[a-z]{2}\/dashboard(\/|$)/, permission: PERMISSIONS.DASHBOARD_VIEW },
+    { pattern: /^\/[a-z]{2}\/settings(\/|$)/, permission: PERMISSIONS.ACCOUNT },
+    { pattern: /^\/[a-z]{2}\/checkout(\/|$)/, permission: PERMISSIONS.ACCOUNT },
+    { pattern: /^\/[a-z]{2}\/profile(\/|$)/, permission: PERMISSIONS.ACCOUNT },
+    { pattern: /^\/[a-z]{2}\/orders(\/|$)/, permission: PERMISSIONS.ACCOUNT },
+];
+
+/**
+ * Roles from an upstream user, which may send `roles` (array) or a single `role`
+ * @param {Object} user - Upstream user payload
+ * @returns {string[]} - Known roles; customers when the upstream sends none
+ */
+export const normalizeRoles = (user) => {
+    const raw = Array.isArray(user?.roles) ? user.roles : [user?.roles ?? user?.role];
+    const known = Object.values(ROLES);
+    const roles = raw
+        .filter(Boolean)
+        .map(role => String(role).toLowerCase())
+        .filter(role => known.includes(role));
+
+    return roles.length > 0 ? [...new Set(roles)] : [ROLES.CUSTOMER];
+};
+
+/**
+ * Whether any of the roles grants a permission
+ * @param {string[]} roles - Roles from the session token
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (roles, permission) =>
+    (roles || []).some(role => ROLE_PERMISSIONS[role]?.includes(permission));
+
+/**
+ * Permission a route needs
+ * @param {string} pathname - Localized page path
+ * @returns {string|null} - One of PERMISSIONS, or null for public routes
+ */
+export const getRoutePermission = (pathname) =>
+    ROUTE_PERMISSIONS.find(({ pattern }) => pattern.test(pathname))?.permission ?? null;
@@ -0,0 +1,29 @@
+// lib/auth/signInTickets.js
+// Single-use tickets that hand an upstream login from a route handler to NextAuth.
+// The browser only ever holds the ticket id; the upstream token stays in the shared auth
+// store until the "credentials" provider, on whichever instance, redeems it into the session JWT.
+
+import crypto from 'crypto';
+import { getAuthStore } from '@/lib/auth/authStore';
+
+const TICKET_TTL_MS = 60 * 1000;
+
+const ticketKey = (ticket) => `ticket:${ticket}`;
+
+/**
+ * Park a signed-in upstream user until NextAuth picks it up
+ * @param {Object} user - { id, mobile, token, refreshToken, expiresIn, firstName, lastName, address, roles }
+ * @returns {Promise<string>} - Ticket id for signIn("credentials", { ticket })
+ */
+export const issueSignInTicket = async (user) => {
+    const ticket = crypto.randomUUID();
+    await getAuthStore().set(ticketKey(ticket), user, TICKET_TTL_MS);
+    return ticket;
+};
+
+/**
+ * Redeem a ticket, once
+ * @param {string} ticket - Ticket id
+ * @returns {Promise<Object|null>} - The parked user, or null when unknown, expired or already used
+ */
+export const redeemSignInTicket = (ticket) => getAuthStore().take(ticketKey(ticket));
@@ -0,0 +1,169 @@
+// lib/auth/tokenRefresh.js
+// Access-token refresh with refresh-token rotation, shared by the NextAuth jwt callback
+// and the authenticated server fetch helpers.
+
+import crypto from 'crypto';
+import { endpoints } from '@/lib/api/endpoints';
+import { SESSION_CONFIG, SESSION_ERRORS } from '@/config/api.config';
+import { getAuthStore } from '@/lib/auth/authStore';
+
+// Requests carrying the same session cookie often land together (page + route handlers), and
+// with several instances on different servers. The upstream retires a refresh token when it
+// rotates it, so only one of them may spend it: a lock in the shared auth store picks that one,
+// and the rotated pair is kept there until its access token expires. The others, and stragglers
+// still presenting the retired token, get the new pair; the jwt callback writes it into the
+// session cookie on its next run.
+const LOCK_TTL_MS = 15 * 1000;
+const FAILURE_TTL_MS = 5 * 1000;
+const POLL_INTERVAL_MS = 200;
+
+// Same-process callers share one promise instead of all polling the store
+const inFlight = globalThis.__tokenRefreshes ?? (globalThis.__tokenRefreshes = new Map());
+
+// Refresh tokens are credentials, so the store only ever sees their hash in keys
+const refreshKey = (refreshToken, kind) =>
+    `refresh:${kind}:${crypto.createHash('sha256').update(refreshToken).digest('hex')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Absolute expiry of an access token
+ * @param {number} [expiresIn] - Lifetime in seconds, when the upstream reports one
+ * @returns {number} - Epoch milliseconds
+ */
+export const getAccessTokenExpiry = (expiresIn) => {
+    const seconds = Number(expiresIn);
+    return Date.now() + (seconds > 0 ? seconds * 1000 : SESSION_CONFIG.TOKEN_EXPIRY_MS);
+};
+
+const requestRefresh = async (refreshToken) => {
+    const response = await fetch(endpoints.auth.refresh, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+        cache: 'no-store',
+    });
+
+    if (!response.ok) {
+        throw new Error(`Token refresh failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const payload = data?.data ?? data;
+    const accessToken = payload?.accessToken || payload?.token;
+    if (!accessToken) {
+        throw new Error('Token refresh returned no access token');
+    }
+
+    return {
+        accessToken,
+        // Rotation: the upstream may hand out a new refresh token with every refresh
+        refreshToken: payload.refreshToken || refreshToken,
+        tokenExpiresAt: getAccessTokenExpiry(payload.expiresIn),
+    };
+};
+
+// Rotated pair for a refresh token, or the failure of its refresh; null while nobody has finished
+const readSettled = async (refreshToken) => {
+    const settled = await getAuthStore().get(refreshKey(refreshToken, 'result'));
+    if (settled?.failed) {
+        throw new Error('Token refresh failed on another instance');
+    }
+    return settled;
+};
+
+const refreshOnce = async (refreshToken) => {
+    const store = getAuthStore();
+
+    const settled = await readSettled(refreshToken);
+    if (settled) return settled;
+
+    // The first caller to bump the lock counter spends the refresh token
+    if (await store.increment(refreshKey(refreshToken, 'lock'), LOCK_TTL_MS) === 1) {
+        try {
+            const result = await requestRefresh(refreshToken);
+            await store.set(
+                refreshKey(refreshToken, 'result'),
+                result,
+                Math.max(LOCK_TTL_MS, result.tokenExpiresAt - Date.now())
+            );
+            return result;
+        } catch (error) {
+            // Waiters give up now; once the marker expires, the next request may try again
+            await store.set(refreshKey(refreshToken, 'result'), { failed: true }, FAILURE_TTL_MS);
+            await store.remove(refreshKey(refreshToken, 'lock'));
+            throw error;
+        }
+    }
+
+    // Someone else holds the lock: wait for what they got
+    for (let waited = 0; waited < LOCK_TTL_MS; waited += POLL_INTERVAL_MS) {
+        await sleep(POLL_INTERVAL_MS);
+        const result = await readSettled(refreshToken);
+        if (result) return result;
+    }
+    throw new Error('Token refresh timed out waiting for another instance');
+};
+
+/**
+ * Exchange a refresh token, deduplicating concurrent calls for the same token across instances
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<Object>} - { accessToken, refreshToken, tokenExpiresAt }; rejects when refresh fails
+ */
+export const refreshAccessToken = (refreshToken) => {
+    const existing = inFlight.get(refreshToken);
+    if (existing) return existing;
+
+    const promise = refreshOnce(refreshToken).finally(() => inFlight.delete(refreshToken));
+    inFlight.set(refreshToken, promise);
+    return promise;
+};
+
+/**
+ * Whether a session JWT is due for a refresh, or holds a refresh token that has already been rotated
+ * @param {Object} token - NextAuth JWT
+ * @returns {Promise<boolean>}
+ */
+export const shouldRefreshToken = async (token) => {
+    if (!token?.tokenExpiresAt || token.error) return false;
+    if (Date.now() > token.tokenExpiresAt - SESSION_CONFIG.REFRESH_BEFORE_EXPIRY_MS) return true;
+
+    // Already rotated elsewhere (e.g. after a 401 in a server fetch): pick up the new pair
+    if (!token.refreshToken) return false;
+    try {
+        const rotated = await getAuthStore().get(refreshKey(token.refreshToken, 'result'));
+        return Boolean(rotated?.accessToken && rotated.accessToken !== token.accessToken);
+    } catch (error) {
+        console.error('Token refresh state unavailable:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Refresh the access token held in a session JWT
+ * @param {Object} token - NextAuth JWT
+ * @returns {Promise<Object>} - The updated JWT; once the access token has expired without a successful
+ * refresh it carries `error`, so the client can ask for a new login
+ */
+export const refreshSessionToken = async (token) => {
+    // While the current access token still works, a failed early refresh is retried on the next request
+    const failed = () => (Date.now() > token.tokenExpiresAt
+        ? { ...token, error: SESSION_ERRORS.REFRESH_FAILED }
+        : token);
+
+    if (!token.refreshToken) {
+        return failed();
+    }
+
+    try {
+        const refreshed = await refreshAccessToken(token.refreshToken);
+        return {
+            ...token,
+            ...refreshed,
+            tokenIssuedAt: Date.now(),
+        };
+    } catch (error) {
+        console.error('Token refresh error:', error.message);
+        return failed();
+    }
+};
@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Each import stands for one server instance: its own in-process state, the shared auth store
+const loadInstance = async () => {
+    delete globalThis.__tokenRefreshes;
+    vi.resetModules();
+    return import('./tokenRefresh');
+};
+
+const upstreamReply = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+});
+
+let fetchMock;
+let tokenCount = 0;
+let refreshToken;
+
+beforeEach(() => {
+    refreshToken = `refresh-${++tokenCount}`;
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('refreshAccessToken', () => {
+    it('spends a refresh token once when two instances refresh together', async () => {
+        fetchMock.mockImplementation(async () => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return upstreamReply({ accessToken: 'access-2', refreshToken: 'refresh-2', expiresIn: 3600 });
+        });
+        const first = await loadInstance();
+        const second = await loadInstance();
+
+        const [a, b] = await Promise.all([
+            first.refreshAccessToken(refreshToken),
+            second.refreshAccessToken(refreshToken),
+        ]);
+
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(a).toEqual(b);
+        expect(a).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+    });
+
+    it('hands the rotated pair to requests that still carry the retired token', async () => {
+        fetchMock.mockResolvedValue(upstreamReply({ accessToken: 'access-2', refreshToken: 'refresh-2' }));
+        const first = await loadInstance();
+        await first.refreshAccessToken(refreshToken);
+
+        const second = await loadInstance();
+        expect(await second.shouldRefreshToken({
+            accessToken: 'access-1',
+            refreshToken,
+            tokenExpiresAt: Date.now() + 60 * 60 * 1000,
+        })).toBe(true);
+        expect(await second.refreshAccessToken(refreshToken)).toMatchObject({ accessToken: 'access-2' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails waiting instances too, then lets a later request try again', async () => {
+        fetchMock.mockImplementationOnce(async () => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return upstreamReply(null, 500);
+        });
+        const first = await loadInstance();
+        const second = await loadInstance();
+
+        const results = await Promise.allSettled([
+            first.refreshAccessToken(refreshToken),
+            second.refreshAccessToken(refreshToken),
+        ]);
+        expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        vi.useFakeTimers({ toFake: ['Date'], now: Date.now() + 5_000 });
+        try {
+            fetchMock.mockResolvedValueOnce(upstreamReply({ accessToken: 'access-2' }));
+            expect(await second.refreshAccessToken(refreshToken)).toMatchObject({ accessToken: 'access-2', refreshToken });
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
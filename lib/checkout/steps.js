@@ -0,0 +1,170 @@
+// lib/checkout/steps.js
+// Checkout steps, delivery options and per-step validation shared by the client and the orders route
+
+import {
+    sanitizeInput,
+    validateName,
+    validateMobile,
+    validateAddressDetails
+} from '@/utils/validation';
+import { ERROR_MESSAGES } from '@/config/api.config';
+import { isPaymentMethod } from '@/lib/payments/providers';
+import { formatAddress } from '@/lib/addresses/format';
+
+export const CHECKOUT_STEPS = {
+    REVIEW: 'review',
+    ADDRESS: 'address',
+    DELIVERY: 'delivery',
+    PAYMENT: 'payment',
+    CONFIRM: 'confirm',
+};
+
+export const STEP_ORDER = [
+    CHECKOUT_STEPS.REVIEW,
+    CHECKOUT_STEPS.ADDRESS,
+    CHECKOUT_STEPS.DELIVERY,
+    CHECKOUT_STEPS.PAYMENT,
+    CHECKOUT_STEPS.CONFIRM,
+];
+
+export const DELIVERY_OPTIONS = [
+    { id: 'standard', fee: 50, minDays: 3, maxDays: 5, freeOver: 1000 },
+    { id: 'express', fee: 100, minDays: 1, maxDays: 2 },
+];
+
+// Most units of one line in a single order
+export const MAX_LINE_QTY = 99;
+
+// A line the backend can price: a product id and a whole, positive, capped quantity
+const isValidOrderLine = (item) =>
+    item != null &&
+    ((Number.isInteger(item.productId) && item.productId > 0) ||
+        (typeof item.productId === 'string' && item.productId.trim() !== '')) &&
+    Number.isInteger(item.qty) &&
+    item.qty > 0 &&
+    item.qty <= MAX_LINE_QTY;
+
+export const getDeliveryOption = (id) => DELIVERY_OPTIONS.find(option => option.id === id) || null;
+
+/**
+ * Delivery fee for an option, honouring its free-shipping threshold
+ * @param {string} deliveryMethod - Delivery option id
+ * @param {number} subtotal - Cart subtotal
+ * @returns {number} - Fee, 0 when free
+ */
+export const getDeliveryFee = (deliveryMethod, subtotal) => {
+    const option = getDeliveryOption(deliveryMethod);
+    if (!option) return 0;
+    return option.freeOver && subtotal >= option.freeOver ? 0 : option.fee;
+};
+
+export const calculateTotals = (items, deliveryMethod) => {
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+    const shipping = getDeliveryFee(deliveryMethod, subtotal);
+    return { subtotal, shipping, total: subtotal + shipping };
+};
+
+/**
+ * Validate the data a single step collects
+ * @param {string} step - One of CHECKOUT_STEPS
+ * @param {Object} data - Checkout data ({ items, address, deliveryMethod, paymentMethod })
+ * @returns {Object} - Object with isValid flag and errors object
+ */
+export const validateCheckoutStep = (step, data) => {
+    const errors = {};
+
+    switch (step) {
+        case CHECKOUT_STEPS.REVIEW:
+            if (!Array.isArray(data.items) || data.items.length === 0) {
+                errors.items = ERROR_MESSAGES.EMPTY_CART;
+            } else if (!data.items.every(isValidOrderLine)) {
+                errors.items = ERROR_MESSAGES.INVALID_CART_ITEM;
+            }
+            break;
+
+        case CHECKOUT_STEPS.ADDRESS: {
+            const address = data.address || {};
+
+            const nameError = validateName(address.fullName);
+            if (nameError) errors.fullName = nameError;
+
+            const mobileError = validateMobile(address.mobile);
+            if (mobileError) errors.mobile = mobileError;
+
+            // The picker shows a single message for the chosen address
+            if (!address.governorate && !address.street) {
+                errors.address = ERROR_MESSAGES.ADDRESS_REQUIRED;
+            } else {
+                const details = validateAddressDetails(address);
+                if (!details.isValid) errors.address = Object.values(details.errors)[0];
+            }
+            break;
+        }
+
+        case CHECKOUT_STEPS.DELIVERY:
+            if (!getDeliveryOption(data.deliveryMethod)) {
+                errors.deliveryMethod = ERROR_MESSAGES.INVALID_DELIVERY;
+            }
+            break;
+
+        case CHECKOUT_STEPS.PAYMENT:
+            if (!isPaymentMethod(data.paymentMethod)) {
+                errors.paymentMethod = ERROR_MESSAGES.INVALID_PAYMENT;
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Validate every step, e.g. before placing the order
+ * @param {Object} data - Checkout data
+ * @returns {Object} - Object with isValid flag, errors object and the first invalid step
+ */
+export const validateCheckout = (data) => {
+    for (const step of STEP_ORDER) {
+        const result = validateCheckoutStep(step, data);
+        if (!result.isValid) {
+            return { ...result, step };
+        }
+    }
+
+    return { isValid: true, errors: {}, step: null };
+};
+
+/**
+ * Build the order payload sent upstream; free text is sanitized here
+ * @param {Object} data - Validated checkout data
+ * @param {string} locale - Locale of the one-line address kept for couriers and older screens
+ * @returns {Object} - Order payload
+ */
+export const toOrderPayload = ({ items, address, deliveryMethod, paymentMethod, notes }, locale) => ({
+    items: items.map(({ productId, colorId, sizeId, qty }) => ({
+        productId,
+        colorId: colorId ?? null,
+        sizeId: sizeId ?? null,
+        qty,
+    })),
+    address: {
+        fullName: sanitizeInput(address.fullName),
+        mobile: sanitizeInput(address.mobile),
+        addressId: address.addressId ?? null,
+        governorate: address.governorate,
+        city: address.city,
+        street: sanitizeInput(address.street),
+        building: sanitizeInput(address.building),
+        floor: sanitizeInput(address.floor || ''),
+        landmark: sanitizeInput(address.landmark || ''),
+        address: sanitizeInput(formatAddress(address, locale)),
+    },
+    deliveryMethod,
+    paymentMethod,
+    notes: sanitizeInput(notes || ''),
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { ERROR_MESSAGES } from '@/config/api.config';
+import { CHECKOUT_STEPS, MAX_LINE_QTY, validateCheckoutStep } from './steps';
+
+const reviewItems = (items) => validateCheckoutStep(CHECKOUT_STEPS.REVIEW, { items });
+
+describe('validateCheckoutStep, review', () => {
+    it('accepts lines with a product id and a whole quantity within the cap', () => {
+        expect(reviewItems([
+            { productId: 12, qty: 1 },
+            { productId: 'abc', qty: MAX_LINE_QTY },
+        ]).isValid).toBe(true);
+    });
+
+    it('rejects an empty cart', () => {
+        expect(reviewItems([]).errors).toEqual({ items: ERROR_MESSAGES.EMPTY_CART });
+    });
+
+    it.each([
+        ['a missing product id', { qty: 1 }],
+        ['a blank product id', { productId: ' ', qty: 1 }],
+        ['a zero product id', { productId: 0, qty: 1 }],
+        ['a zero quantity', { productId: 12, qty: 0 }],
+        ['a negative quantity', { productId: 12, qty: -1 }],
+        ['a fractional quantity', { productId: 12, qty: 1.5 }],
+        ['a quantity sent as text', { productId: 12, qty: '2' }],
+        ['a quantity over the cap', { productId: 12, qty: MAX_LINE_QTY + 1 }],
+        ['a missing line', null],
+    ])('rejects %s', (name, line) => {
+        expect(reviewItems([{ productId: 1, qty: 1 }, line]).errors)
+            .toEqual({ items: ERROR_MESSAGES.INVALID_CART_ITEM });
+    });
+});
@@ -7,4 +7,10 @@ export function getLocaleFromPathname(pathname) {
   const segments = pathname.split('/')
   const locale = segments[1]
   return i18n.locales.includes(locale) ? locale : i18n.defaultLocale
-}
\ No newline at end of file
+}
+
+export const rtlLocales = ['ar']
+
+export function isRtlLocale(locale) {
+  return rtlLocales.includes(locale)
+}
@@ -0,0 +1,52 @@
+// lib/orders/reorder.js
+// Match the lines of a past order against current product data so they can go back in the cart
+
+import { serverGetProductById } from '@/lib/api/server';
+import { getBestPrice, isInStock } from '@/lib/api/shared';
+
+const findVariant = (product, { colorId, sizeId }) => {
+    const color = product.colors?.find(entry => entry.colorId === colorId) ?? null;
+    const size = color?.sizes?.find(entry => entry.sizeId === sizeId) ?? null;
+    return { color, size };
+};
+
+/**
+ * Resolve the items of an order to cart lines with today's prices and stock
+ * @param {Array} items - Order items ({ productId, colorId, sizeId, qty })
+ * @param {string} locale - Current locale
+ * @returns {Promise<Object>} - { lines, unavailable } where lines match CartProvider.addItem's argument
+ */
+export const resolveReorderLines = async (items, locale) => {
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = new Map(await Promise.all(productIds.map(async (id) => {
+        try {
+            return [id, await serverGetProductById(id, locale)];
+        } catch {
+            return [id, null];
+        }
+    })));
+
+    const lines = [];
+    const unavailable = [];
+
+    for (const item of items) {
+        const product = products.get(item.productId);
+        const { color, size } = product ? findVariant(product, item) : {};
+
+        if (!product || !isInStock(size)) {
+            unavailable.push({ productId: item.productId, name: item.name || product?.name || '' });
+            continue;
+        }
+
+        lines.push({
+            product: { productId: product.productId, name: product.name },
+            color,
+            size,
+            price: getBestPrice(size, color),
+            image: color.productImages?.[0]?.fileLink ?? item.image ?? null,
+            qty: Math.min(item.qty, size.qty),
+        });
+    }
+
+    return { lines, unavailable };
+};
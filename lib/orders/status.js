@@ -0,0 +1,57 @@
+// lib/orders/status.js
+// Order statuses, the timeline shown on the order page and which actions each status allows
+
+export const ORDER_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    PROCESSING: 'processing',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+};
+
+// The happy path, in order
+export const ORDER_TIMELINE = [
+    ORDER_STATUS.PENDING,
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+];
+
+export const ORDERS_PAGE_SIZE = 10;
+
+// Orders can be cancelled until they are handed to the courier
+const CANCELLABLE = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED];
+const REORDERABLE = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED];
+
+export const canCancelOrder = (status) => CANCELLABLE.includes(status);
+
+export const canReorder = (status) => REORDERABLE.includes(status);
+
+/**
+ * Timeline steps for an order
+ * @param {Object} order - Normalized order ({ status, createdAt, statusHistory })
+ * @returns {Array} - [{ status, state: 'done' | 'current' | 'upcoming' | 'cancelled', date }]
+ */
+export const buildStatusTimeline = ({ status, createdAt, statusHistory = [] }) => {
+    const dates = Object.fromEntries(statusHistory.map(entry => [entry.status, entry.date]));
+    dates[ORDER_STATUS.PENDING] ??= createdAt;
+
+    if (status === ORDER_STATUS.CANCELLED) {
+        // Show how far the order got, then the cancellation
+        const reached = ORDER_TIMELINE.filter(step => dates[step]);
+        return [
+            ...reached.map(step => ({ status: step, state: 'done', date: dates[step] })),
+            { status: ORDER_STATUS.CANCELLED, state: 'cancelled', date: dates[ORDER_STATUS.CANCELLED] ?? null },
+        ];
+    }
+
+    const currentIndex = Math.max(ORDER_TIMELINE.indexOf(status), 0);
+
+    return ORDER_TIMELINE.map((step, index) => ({
+        status: step,
+        state: index < currentIndex ? 'done' : index === currentIndex ? 'current' : 'upcoming',
+        date: index <= currentIndex ? dates[step] ?? null : null,
+    }));
+};
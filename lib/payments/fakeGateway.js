@@ -0,0 +1,58 @@
+// lib/payments/fakeGateway.js
+// Local stand-in for a real payment gateway so card and Fawry payments can be tried offline.
+// Card payments go to a test page under /checkout/pay/fake where the result is picked by hand.
+
+import crypto from 'crypto';
+import { PAYMENT_CONFIG } from '@/config/api.config';
+import { PAYMENT_METHODS, PAYMENT_STATUS } from './providers';
+import { signPaymentResult, verifyPaymentResult } from './signature';
+
+// Fawry reference codes are 9 digits
+const createReferenceCode = () => String(crypto.randomInt(100000000, 1000000000));
+
+/**
+ * Create the fake gateway adapter
+ * @returns {Object} - Gateway implementing createPayment and parseResult, plus buildResultUrl for the test page
+ */
+export const createFakeGateway = () => ({
+    id: 'fake',
+
+    async createPayment({ orderId, amount, method, locale, origin }) {
+        const transactionId = `fake_${crypto.randomUUID()}`;
+
+        if (method === PAYMENT_METHODS.FAWRY) {
+            return {
+                method,
+                status: PAYMENT_STATUS.AWAITING_PAYMENT,
+                transactionId,
+                referenceCode: createReferenceCode(),
+                expiresAt: new Date(Date.now() + PAYMENT_CONFIG.REFERENCE_EXPIRY_MS).toISOString(),
+                redirectUrl: null,
+            };
+        }
+
+        const query = new URLSearchParams({ orderId, method, transactionId, amount: String(amount) });
+
+        return {
+            method,
+            status: PAYMENT_STATUS.AWAITING_PAYMENT,
+            transactionId,
+            referenceCode: null,
+            expiresAt: null,
+            redirectUrl: `${origin}/${locale}/checkout/pay/fake?${query}`,
+        };
+    },
+
+    parseResult(params) {
+        return verifyPaymentResult(params);
+    },
+
+    // Signed return link for one outcome on the test page
+    buildResultUrl({ orderId, method, transactionId, status, locale, origin }) {
+        const query = new URLSearchParams({
+            ...signPaymentResult({ orderId, method, status, transactionId }),
+            locale,
+        });
+        return `${origin}/api/payments/return?${query}`;
+    },
+});
@@ -0,0 +1,157 @@
+// lib/payments/gateway.js
+// Server-side payment entry point: picks the configured gateway adapter, starts payments
+// and records payment results on the order.
+
+import { endpoints } from '@/lib/api/endpoints';
+import { serverPut, serverAuthPut } from '@/lib/api/server';
+import { i18n } from '@/lib/i18n/config';
+import { PAYMENT_CONFIG } from '@/config/api.config';
+import {
+    PAYMENT_STATUS,
+    FINAL_PAYMENT_STATUSES,
+    getPaymentProvider,
+    isPaymentMethod,
+    requiresGateway,
+    PAYMENT_PROVIDERS
+} from './providers';
+import { createFakeGateway } from './fakeGateway';
+
+/**
+ * A gateway adapter is an object with:
+ * - id: string
+ * - createPayment({ orderId, amount, currency, method, locale, origin }):
+ *     Promise<{ method, status, transactionId, referenceCode, expiresAt, redirectUrl }>
+ * - parseResult(params): verifies a return/callback payload and returns
+ *     { orderId, method, status, transactionId } or null when it cannot be trusted
+ *
+ * Register real adapters here and select one with PAYMENT_GATEWAY.
+ */
+const GATEWAYS = {
+    fake: createFakeGateway,
+};
+
+let cachedGateway;
+
+// The fake gateway is the default outside production so checkout works without credentials
+const getGatewayId = () => process.env.PAYMENT_GATEWAY
+    || (process.env.NODE_ENV === 'production' ? null : 'fake');
+
+/**
+ * The configured gateway adapter
+ * @returns {Object|null} - Adapter, or null when online payments are not configured
+ */
+export const getPaymentGateway = () => {
+    const id = getGatewayId();
+    if (!id || !GATEWAYS[id]) return null;
+
+    if (cachedGateway?.id !== id) {
+        cachedGateway = GATEWAYS[id]();
+    }
+    return cachedGateway;
+};
+
+export const isPaymentAvailable = (method) => isPaymentMethod(method)
+    && (!requiresGateway(method) || Boolean(getPaymentGateway()));
+
+// Methods the checkout should offer right now
+export const getAvailablePaymentMethods = () => PAYMENT_PROVIDERS
+    .map(provider => provider.id)
+    .filter(isPaymentAvailable);
+
+/**
+ * Start paying for a placed order
+ * @param {Object} payment - { orderId, amount, method, locale, origin }; amount is the backend's
+ *   order total, or null when it sent none (gateway payments then fail to start)
+ * @returns {Promise<Object>} - { method, status, transactionId, referenceCode, expiresAt, redirectUrl }
+ */
+export const startPayment = async ({ orderId, amount, method, locale, origin }) => {
+    if (!requiresGateway(method)) {
+        return {
+            method,
+            status: PAYMENT_STATUS.PENDING,
+            transactionId: null,
+            referenceCode: null,
+            expiresAt: null,
+            redirectUrl: null,
+        };
+    }
+
+    const gateway = getPaymentGateway();
+    if (!gateway) {
+        throw new Error(`No payment gateway configured for ${method}`);
+    }
+
+    // Never charge an amount the backend did not confirm for this order
+    if (!amount) {
+        throw new Error(`No confirmed total for order ${orderId}`);
+    }
+
+    return gateway.createPayment({
+        orderId: String(orderId),
+        amount,
+        currency: PAYMENT_CONFIG.CURRENCY,
+        method,
+        locale: i18n.locales.includes(locale) ? locale : i18n.defaultLocale,
+        origin,
+    });
+};
+
+/**
+ * Verify a gateway return/callback payload
+ * @param {Object} params - Query parameters or JSON body
+ * @returns {Object|null} - { orderId, method, status, transactionId } or null
+ */
+export const parsePaymentResult = (params) => {
+    const gateway = getPaymentGateway();
+    const result = gateway?.parseResult(params);
+
+    if (!result
+        || !/^[\w-]+$/.test(result.orderId || '')
+        || !getPaymentProvider(result.method)
+        || !FINAL_PAYMENT_STATUSES.includes(result.status)) {
+        return null;
+    }
+
+    return result;
+};
+
+/**
+ * Save the payment state on the order
+ * @param {string} orderId - Order id
+ * @param {Object} payment - Payment fields from startPayment or parsePaymentResult
+ * @param {Object} auth - { request } to act as the signed-in user of a route handler request,
+ *   or { headers } with service credentials (getPaymentServiceHeaders)
+ */
+export const recordPayment = (orderId, payment, { request, headers }) => {
+    // Results from a callback carry no reference code; leave the stored one alone
+    const body = Object.fromEntries(Object.entries({
+        paymentMethod: payment.method,
+        paymentStatus: payment.status,
+        transactionId: payment.transactionId,
+        referenceCode: payment.referenceCode,
+        expiresAt: payment.expiresAt,
+    }).filter(([, value]) => value !== undefined && value !== null));
+
+    return request
+        ? serverAuthPut(endpoints.orderPayment(orderId), body, { request })
+        : serverPut(endpoints.orderPayment(orderId), body, { headers });
+};
+
+// Gateway callbacks arrive without a user session, so they use a service token
+export const getPaymentServiceHeaders = () => {
+    const token = process.env.PAYMENT_SERVICE_TOKEN;
+    return token ? { 'Authorization': `Bearer ${token}` } : null;
+};
+
+/**
+ * Absolute origin for gateway return links. Taken from configuration only: Host and
+ * x-forwarded-host come from the client and would let it choose where the gateway sends people.
+ * @returns {string} - e.g. https://shop.example.com
+ */
+export const getAppOrigin = () => {
+    const url = process.env.APP_URL || process.env.NEXTAUTH_URL;
+    if (!url) {
+        throw new Error('APP_URL or NEXTAUTH_URL must be set to build payment return links');
+    }
+    return new URL(url).origin;
+};
@@ -0,0 +1,22 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getAppOrigin } from './gateway';
+
+describe('getAppOrigin', () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+    });
+
+    it('prefers APP_URL, then NEXTAUTH_URL', () => {
+        vi.stubEnv('NEXTAUTH_URL', 'https://auth.example.com/api/auth');
+        expect(getAppOrigin()).toBe('https://auth.example.com');
+
+        vi.stubEnv('APP_URL', 'https://shop.example.com/');
+        expect(getAppOrigin()).toBe('https://shop.example.com');
+    });
+
+    it('refuses to guess from request headers when neither is set', () => {
+        vi.stubEnv('APP_URL', '');
+        vi.stubEnv('NEXTAUTH_URL', '');
+        expect(() => getAppOrigin()).toThrow('APP_URL or NEXTAUTH_URL must be set');
+    });
+});
@@ -0,0 +1,51 @@
+// lib/payments/providers.js
+// Payment methods offered at checkout and the statuses an order payment moves through.
+// Safe to import from client components; gateway adapters live in ./gateway.js (server only).
+
+export const PAYMENT_METHODS = {
+    CASH: 'cash',
+    CARD: 'card',
+    FAWRY: 'fawry',
+};
+
+export const PAYMENT_STATUS = {
+    PENDING: 'pending',                   // Cash on delivery, collected by the courier
+    AWAITING_PAYMENT: 'awaiting_payment', // Redirected to the gateway or holding a Fawry reference
+    PAID: 'paid',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+/**
+ * How each method is paid:
+ * - offline: nothing to do at checkout
+ * - redirect: the customer pays on the gateway's hosted page and is sent back to us
+ * - reference: the customer gets a code to pay at a Fawry outlet; the gateway calls us back later
+ */
+export const PAYMENT_FLOWS = {
+    OFFLINE: 'offline',
+    REDIRECT: 'redirect',
+    REFERENCE: 'reference',
+};
+
+export const PAYMENT_PROVIDERS = [
+    { id: PAYMENT_METHODS.CASH, flow: PAYMENT_FLOWS.OFFLINE },
+    { id: PAYMENT_METHODS.CARD, flow: PAYMENT_FLOWS.REDIRECT },
+    { id: PAYMENT_METHODS.FAWRY, flow: PAYMENT_FLOWS.REFERENCE },
+];
+
+// Statuses a gateway result may move an order payment to
+export const FINAL_PAYMENT_STATUSES = [
+    PAYMENT_STATUS.PAID,
+    PAYMENT_STATUS.FAILED,
+    PAYMENT_STATUS.CANCELLED,
+];
+
+export const getPaymentProvider = (id) => PAYMENT_PROVIDERS.find(provider => provider.id === id) || null;
+
+export const isPaymentMethod = (id) => Boolean(getPaymentProvider(id));
+
+export const requiresGateway = (id) => {
+    const provider = getPaymentProvider(id);
+    return Boolean(provider) && provider.flow !== PAYMENT_FLOWS.OFFLINE;
+};
@@ -0,0 +1,46 @@
+// lib/payments/signature.js
+// HMAC signing for payment results that travel through the browser (return URLs, test gateway links)
+
+import crypto from 'crypto';
+import { PAYMENT_CONFIG } from '@/config/api.config';
+
+const SIGNED_FIELDS = ['orderId', 'method', 'status', 'transactionId', 'issuedAt'];
+
+const getSecret = () => process.env.PAYMENT_GATEWAY_SECRET || process.env.NEXTAUTH_SECRET;
+
+const computeSignature = (fields) => crypto
+    .createHmac('sha256', getSecret())
+    .update(SIGNED_FIELDS.map(field => String(fields[field] ?? '')).join('|'))
+    .digest('hex');
+
+/**
+ * Sign a payment result
+ * @param {Object} result - { orderId, method, status, transactionId }
+ * @returns {Object} - The result with issuedAt and signature added, ready for a query string
+ */
+export const signPaymentResult = (result) => {
+    const fields = { ...result, issuedAt: String(Date.now()) };
+    return { ...fields, signature: computeSignature(fields) };
+};
+
+/**
+ * Verify a signed payment result
+ * @param {Object} params - Fields as received (query string or JSON body)
+ * @returns {Object|null} - The verified fields, or null when tampered with or stale
+ */
+export const verifyPaymentResult = (params) => {
+    if (!params?.signature || !getSecret()) return null;
+
+    const expected = Buffer.from(computeSignature(params), 'hex');
+    const received = Buffer.from(String(params.signature), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const age = Date.now() - Number(params.issuedAt);
+    if (!Number.isFinite(age) || age < 0 || age > PAYMENT_CONFIG.CALLBACK_TOLERANCE_MS) {
+        return null;
+    }
+
+    return Object.fromEntries(SIGNED_FIELDS.map(field => [field, params[field]]));
+};
@@ -0,0 +1,41 @@
+// lib/search/listing.js
+// Server-side loading shared by the product listing pages (search, categories, brands)
+
+import { serverGetAdvancedSearch } from '@/lib/api/server';
+import {
+    parseSearchParams,
+    toApiFilters,
+    normalizeSearchResults,
+    normalizeFacets
+} from '@/lib/search/params';
+
+/**
+ * Read the listing filters from the query string, dropping the one the route itself fixes
+ * @param {Promise<Object>} searchParams - Page searchParams
+ * @param {string} [routeFilter] - e.g. 'categoryId', which only ever comes from the route
+ * @returns {Promise<Object>} - Parsed filters
+ */
+export const getListingFilters = async (searchParams, routeFilter) => {
+    const { [routeFilter]: omitted, ...filters } = parseSearchParams(await searchParams);
+    return filters;
+};
+
+/**
+ * Load one page of products and their facets
+ * @param {string} locale - Current locale
+ * @param {Object} filters - Filters from the URL
+ * @param {Object} [options] - { scope, omitFacet } where scope holds filters the route fixes
+ *   (e.g. { categoryId }) and omitFacet names a facet that is meaningless under that scope
+ * @returns {Promise<Object>} - { results, facets }, both null when the search failed
+ */
+export const loadListing = async (locale, filters, { scope = {}, omitFacet } = {}) => {
+    try {
+        const data = await serverGetAdvancedSearch(locale, toApiFilters({ ...filters, ...scope }));
+        const { [omitFacet]: omitted, ...facets } = normalizeFacets(data);
+
+        return { results: normalizeSearchResults(data), facets };
+    } catch (error) {
+        console.error('Listing failed to load products:', { scope, error });
+        return { results: null, facets: null };
+    }
+};
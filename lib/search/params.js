@@ -0,0 +1,175 @@
+// lib/search/params.js
+// URL <-> API mapping for product listings (search, categories, brands)
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+export const SORT_OPTIONS = {
+    RELEVANCE: 'relevance',
+    NEWEST: 'newest',
+    PRICE_ASC: 'price_asc',
+    PRICE_DESC: 'price_desc',
+    POPULAR: 'popular',
+};
+
+// Multi-select facets, serialized as comma-separated ids in the URL
+export const LIST_FACETS = ['brandId', 'colorId', 'sizeId'];
+
+// Boolean product flags, the same ones the product page shows
+export const FLAG_FACETS = ['isVegan', 'forChildren', 'canTry'];
+
+// URL key -> AdvancedSearch query parameter
+const API_PARAM_NAMES = {
+    q: 'searchText',
+    categoryId: 'categoryId',
+    brandId: 'brandId',
+    colorId: 'colorId',
+    sizeId: 'sizeId',
+    isVegan: 'isVegan',
+    forChildren: 'forChildren',
+    canTry: 'canTry',
+    minPrice: 'priceFrom',
+    maxPrice: 'priceTo',
+    sort: 'sortBy',
+    page: 'pageNo',
+    pageSize: 'pageSize',
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toPositiveInt = (value, fallback) => {
+    const number = parseInt(first(value), 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const toPrice = (value) => {
+    const number = Number(first(value));
+    return Number.isFinite(number) && number >= 0 && first(value) !== '' ? number : null;
+};
+
+const toText = (value) => {
+    const text = first(value);
+    return typeof text === 'string' ? text.trim().slice(0, 100) : '';
+};
+
+const toIdList = (value) => {
+    const ids = toText(value).split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id));
+    return [...new Set(ids)].sort((a, b) => a - b);
+};
+
+const toFlag = (value) => toText(value) === 'true' || null;
+
+const isEmpty = (value) =>
+    value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Normalize Next.js searchParams into listing filters
+ * @param {Object} searchParams - Resolved page searchParams
+ * @returns {Object} - Normalized filters
+ */
+export const parseSearchParams = (searchParams = {}) => {
+    const sort = toText(searchParams.sort);
+
+    return {
+        q: toText(searchParams.q),
+        categoryId: toText(searchParams.categoryId) || null,
+        ...Object.fromEntries(LIST_FACETS.map(key => [key, toIdList(searchParams[key])])),
+        ...Object.fromEntries(FLAG_FACETS.map(key => [key, toFlag(searchParams[key])])),
+        minPrice: toPrice(searchParams.minPrice),
+        maxPrice: toPrice(searchParams.maxPrice),
+        sort: Object.values(SORT_OPTIONS).includes(sort) ? sort : SORT_OPTIONS.RELEVANCE,
+        page: toPositiveInt(searchParams.page, 1),
+    };
+};
+
+/**
+ * Map listing filters to AdvancedSearch query parameters
+ * @param {Object} filters - Normalized filters
+ * @returns {Object} - Flat object accepted by serverGetAdvancedSearch
+ */
+export const toApiFilters = (filters) => {
+    const apiFilters = {
+        [API_PARAM_NAMES.page]: String(filters.page || 1),
+        [API_PARAM_NAMES.pageSize]: String(DEFAULT_PAGE_SIZE),
+    };
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (key === 'page' || isEmpty(value)) return;
+        if (key === 'sort' && value === SORT_OPTIONS.RELEVANCE) return;
+
+        const apiKey = API_PARAM_NAMES[key];
+        if (apiKey) {
+            apiFilters[apiKey] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    });
+
+    return apiFilters;
+};
+
+/**
+ * Serialize filters back into a query string, dropping defaults
+ * @param {Object} filters - Filters to serialize
+ * @returns {string} - Query string without the leading "?"
+ */
+export const toQueryString = (filters) => {
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (isEmpty(value)) return;
+        if (key === 'page' && Number(value) <= 1) return;
+        if (key === 'sort' && value === SORT_OPTIONS.RELEVANCE) return;
+        params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    });
+
+    return params.toString();
+};
+
+/**
+ * Extract the product list and paging info from an AdvancedSearch payload
+ * @param {Object|Array} data - Raw API response
+ * @returns {Object} - { products, total, totalPages }
+ */
+export const normalizeSearchResults = (data) => {
+    const products = Array.isArray(data)
+        ? data
+        : (data?.products || data?.items || data?.data || []);
+
+    const total = Number(data?.totalCount ?? data?.total ?? products.length) || 0;
+
+    return {
+        products: products.filter(product => product?.productId),
+        total,
+        totalPages: Math.max(1, Math.ceil(total / DEFAULT_PAGE_SIZE)),
+    };
+};
+
+// Facet options from the API when it sends them, otherwise derived from the products
+const collectOptions = (list, products, idKey, nameKey) => {
+    const source = Array.isArray(list) && list.length > 0
+        ? list.map(entry => ({ id: entry.id ?? entry[idKey], name: entry.name ?? entry[nameKey], count: entry.count ?? null }))
+        : products.map(product => ({ id: product[idKey], name: product[nameKey], count: null }));
+
+    const options = new Map();
+    source.forEach(option => {
+        if (option.id != null && option.name && !options.has(String(option.id))) {
+            options.set(String(option.id), { ...option, id: String(option.id) });
+        }
+    });
+
+    return [...options.values()];
+};
+
+/**
+ * Extract facet options (brands, colors, sizes) from an AdvancedSearch payload
+ * @param {Object|Array} data - Raw API response
+ * @returns {Object} - { brandId, colorId, sizeId } option lists keyed by URL facet
+ */
+export const normalizeFacets = (data) => {
+    const { products } = normalizeSearchResults(data);
+    const facets = data?.facets || data || {};
+
+    return {
+        brandId: collectOptions(facets.brands, products, 'brandId', 'brandName'),
+        colorId: collectOptions(facets.colors, products, 'colorId', 'colorName'),
+        sizeId: collectOptions(facets.sizes, products, 'sizeId', 'sizeName'),
+    };
+};
@@ -0,0 +1,154 @@
+// lib/security/rateLimit.js
+// Rate limiting driven by the RATE_LIMIT_CONFIG tiers. State lives in a shared Redis store when
+// RATE_LIMIT_REDIS_URL is set (Redis REST protocol), otherwise in memory per server instance.
+
+import { NextResponse } from 'next/server';
+import { CLIENT_IP_CONFIG, RATE_LIMIT_ALGORITHMS } from '@/config/api.config';
+import { createMemoryStore, createRedisStore } from '@/lib/security/rateLimitStores';
+import { normalizeMobile } from '@/utils/validation';
+
+// One store per process; module reloads in development keep it
+const stores = globalThis.__rateLimitStores ?? (globalThis.__rateLimitStores = {});
+
+const getMemoryStore = () => stores.memory ?? (stores.memory = createMemoryStore());
+
+const getStore = () => {
+    if (!process.env.RATE_LIMIT_REDIS_URL) return getMemoryStore();
+
+    return stores.redis ?? (stores.redis = createRedisStore({
+        url: process.env.RATE_LIMIT_REDIS_URL,
+        token: process.env.RATE_LIMIT_REDIS_TOKEN,
+    }));
+};
+
+// Earliest time the weighted count of a sliding window drops low enough for one more request
+const slidingWindowReset = ({ allowed, start, current, previous }, limit, windowMs) => {
+    if (allowed || limit <= 0) return start + windowMs;
+
+    // The current window alone is full: wait for it to become the (decaying) previous one
+    if (current >= limit) {
+        return start + windowMs + Math.ceil((windowMs * (current - limit + 1)) / current);
+    }
+    return start + Math.ceil((windowMs * (previous - limit + 1 + current)) / previous);
+};
+
+const consumeSlidingWindow = async (store, key, limit, windowMs, now) => {
+    const state = await store.slidingWindow(key, { limit, windowMs, now });
+    const weighted = state.previous * ((windowMs - (now - state.start)) / windowMs) + state.current;
+
+    return {
+        allowed: state.allowed,
+        remaining: Math.max(0, Math.floor(limit - weighted)),
+        resetTime: slidingWindowReset(state, limit, windowMs),
+    };
+};
+
+const consumeTokenBucket = async (store, key, capacity, windowMs, now) => {
+    const refillPerMs = capacity / windowMs;
+    const { allowed, tokens } = await store.tokenBucket(key, { capacity, refillPerMs, now });
+
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        // Denied: when the next token arrives; allowed: when the bucket is full again
+        resetTime: now + Math.ceil(((allowed ? capacity : 1) - tokens) / refillPerMs),
+    };
+};
+
+/**
+ * Client address of an incoming request. Clients can send any x-forwarded-for they like, so only
+ * the hop added by the outermost of the TRUSTED_PROXY_COUNT proxies is used, counted from the right.
+ * @param {Request} request - Route handler request
+ * @param {number} [trustedProxyCount] - Defaults to CLIENT_IP_CONFIG.TRUSTED_PROXY_COUNT
+ * @returns {string}
+ */
+export const getClientIP = (request, trustedProxyCount = CLIENT_IP_CONFIG.TRUSTED_PROXY_COUNT) => {
+    if (request.ip) return request.ip;
+    if (!(trustedProxyCount > 0)) return 'unknown';
+
+    const hops = (request.headers.get('x-forwarded-for') || '')
+        .split(',')
+        .map(hop => hop.trim())
+        .filter(Boolean);
+
+    // Fewer hops than proxies: the request did not come through all of them, so none is trusted
+    return hops[hops.length - trustedProxyCount] || 'unknown';
+};
+
+/**
+ * Key for an auth action, per client address and mobile number, so neither rotating numbers
+ * from one address nor spreading one number over a few attempts slips through
+ * @param {string} action - e.g. 'login', 'otp'
+ * @param {Request} request - Route handler request
+ * @param {string} mobile - Mobile number as entered
+ * @returns {string}
+ */
+export const getAuthRateLimitKey = (action, request, mobile) =>
+    `${action}:${getClientIP(request)}:${normalizeMobile(mobile)}`;
+
+/**
+ * Count one request for a key against a tier
+ * @param {string} key - What is being limited, e.g. `proxy:${ip}`
+ * @param {Object} tier - A RATE_LIMIT_CONFIG entry: { ALGORITHM, WINDOW_MS, MAX_REQUESTS | MAX_ATTEMPTS }
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetTime }
+ */
+export const consumeRateLimit = async (key, tier) => {
+    const { ALGORITHM = RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW, WINDOW_MS, MAX_REQUESTS, MAX_ATTEMPTS } = tier;
+    const limit = MAX_REQUESTS ?? MAX_ATTEMPTS;
+    const consume = ALGORITHM === RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET ? consumeTokenBucket : consumeSlidingWindow;
+    const now = Date.now();
+
+    let result;
+    try {
+        result = await consume(getStore(), key, limit, WINDOW_MS, now);
+    } catch (error) {
+        // Never fail open: an unreachable shared store degrades to per-instance limits
+        console.error('Rate limit store unavailable, using memory:', error.message);
+        result = await consume(getMemoryStore(), key, limit, WINDOW_MS, now);
+    }
+
+    return { ...result, limit };
+};
+
+/**
+ * Standard rate limit headers (RateLimit-* fields, plus Retry-After once throttled)
+ * @param {Object} result - consumeRateLimit result
+ * @returns {Object} - Header name to value
+ */
+export const getRateLimitHeaders = ({ allowed, limit, remaining, resetTime }) => {
+    const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+    return {
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        ...(allowed ? {} : { 'Retry-After': String(Math.max(1, resetSeconds)) }),
+    };
+};
+
+/**
+ * Add the rate limit headers to an outgoing response
+ * @param {Response} response - Route handler response
+ * @param {Object} result - consumeRateLimit result
+ * @returns {Response} - The same response
+ */
+export const withRateLimitHeaders = (response, result) => {
+    Object.entries(getRateLimitHeaders(result)).forEach(([name, value]) => response.headers.set(name, value));
+    return response;
+};
+
+/**
+ * 429 answer for a throttled request. The body repeats the wait in `retryAfter` (seconds),
+ * since client code sees the parsed body rather than the headers.
+ * @param {Object} result - consumeRateLimit result
+ * @param {Object} [errors] - Field errors, shaped like the route's other error responses
+ * @returns {NextResponse}
+ */
+export const rateLimitedResponse = (result, errors) => {
+    const headers = getRateLimitHeaders(result);
+
+    return NextResponse.json(
+        { success: false, error: 'Too many requests', errors, retryAfter: Number(headers['Retry-After']) },
+        { status: 429, headers }
+    );
+};
@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RATE_LIMIT_ALGORITHMS } from '@/config/api.config';
+import { consumeRateLimit, getAuthRateLimitKey, getClientIP, getRateLimitHeaders } from './rateLimit';
+
+const T0 = 1_000_000 * 60_000;
+
+const SLIDING_TIER = { ALGORITHM: RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW, WINDOW_MS: 60_000, MAX_ATTEMPTS: 3 };
+const BUCKET_TIER = { ALGORITHM: RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET, WINDOW_MS: 2_000, MAX_REQUESTS: 2 };
+
+// The limiter keeps one store per process, so each test counts against its own key
+let key;
+let keyCount = 0;
+
+const consumeAt = (time, tier) => {
+    vi.setSystemTime(time);
+    return consumeRateLimit(key, tier);
+};
+
+beforeEach(() => {
+    key = `test-${++keyCount}`;
+    vi.useFakeTimers({ now: T0 });
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('consumeRateLimit, sliding window', () => {
+    it('counts down remaining and denies past the limit', async () => {
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await consumeAt(T0, SLIDING_TIER));
+        }
+
+        expect(results.map(({ allowed, remaining }) => [allowed, remaining]))
+            .toEqual([[true, 2], [true, 1], [true, 0], [false, 0]]);
+        expect(results[0]).toMatchObject({ limit: 3, resetTime: T0 + 60_000 });
+    });
+
+    it('resets exactly when the decaying previous window leaves room for one request', async () => {
+        for (let i = 0; i < 3; i++) {
+            await consumeAt(T0, SLIDING_TIER);
+        }
+
+        // 3 in the previous window must weigh no more than 2: a third of the way into the next one
+        const denied = await consumeAt(T0, SLIDING_TIER);
+        expect(denied.resetTime).toBe(T0 + 80_000);
+
+        expect((await consumeAt(T0 + 79_999, SLIDING_TIER)).allowed).toBe(false);
+        expect((await consumeAt(T0 + 80_000, SLIDING_TIER)).allowed).toBe(true);
+    });
+
+    it('resets inside the window when the previous window is what blocks', async () => {
+        for (let i = 0; i < 3; i++) {
+            await consumeAt(T0, SLIDING_TIER);
+        }
+        expect((await consumeAt(T0 + 80_000, SLIDING_TIER)).allowed).toBe(true);
+
+        // 3 previous plus 1 current: the previous must weigh no more than 1, two thirds in
+        const denied = await consumeAt(T0 + 80_000, SLIDING_TIER);
+        expect(denied).toMatchObject({ allowed: false, resetTime: T0 + 100_000 });
+
+        expect((await consumeAt(T0 + 99_999, SLIDING_TIER)).allowed).toBe(false);
+        expect((await consumeAt(T0 + 100_000, SLIDING_TIER)).allowed).toBe(true);
+    });
+});
+
+describe('consumeRateLimit, token bucket', () => {
+    it('allows a burst of the tier size, then one request per refilled token', async () => {
+        expect(await consumeAt(T0, BUCKET_TIER)).toEqual({ allowed: true, remaining: 1, resetTime: T0 + 1_000, limit: 2 });
+        expect(await consumeAt(T0, BUCKET_TIER)).toMatchObject({ allowed: true, remaining: 0, resetTime: T0 + 2_000 });
+
+        const denied = await consumeAt(T0 + 250, BUCKET_TIER);
+        expect(denied).toMatchObject({ allowed: false, remaining: 0, resetTime: T0 + 1_000 });
+
+        expect((await consumeAt(T0 + 999, BUCKET_TIER)).allowed).toBe(false);
+        expect((await consumeAt(T0 + 1_000, BUCKET_TIER)).allowed).toBe(true);
+    });
+});
+
+describe('consumeRateLimit, store failure', () => {
+    it('falls back to the memory store instead of failing open', async () => {
+        vi.stubEnv('RATE_LIMIT_REDIS_URL', 'https://redis.test');
+        vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('ECONNREFUSED')));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await consumeAt(T0, SLIDING_TIER));
+        }
+
+        expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    });
+});
+
+describe('getRateLimitHeaders', () => {
+    it('reports the seconds until reset', () => {
+        expect(getRateLimitHeaders({ allowed: true, limit: 3, remaining: 2, resetTime: T0 + 60_000 })).toEqual({
+            'RateLimit-Limit': '3',
+            'RateLimit-Remaining': '2',
+            'RateLimit-Reset': '60',
+        });
+    });
+
+    it('adds Retry-After once throttled, rounded up and at least a second', () => {
+        expect(getRateLimitHeaders({ allowed: false, limit: 3, remaining: 0, resetTime: T0 + 1_500 }))
+            .toMatchObject({ 'RateLimit-Reset': '2', 'Retry-After': '2' });
+        expect(getRateLimitHeaders({ allowed: false, limit: 3, remaining: 0, resetTime: T0 }))
+            .toMatchObject({ 'RateLimit-Reset': '0', 'Retry-After': '1' });
+    });
+});
+
+describe('getClientIP', () => {
+    const requestFrom = (forwardedFor, ip) => ({
+        ip,
+        headers: new Headers(forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }),
+    });
+
+    it('takes the hop added by the outermost trusted proxy, not what the client sent', () => {
+        const request = requestFrom('6.6.6.6, 203.0.113.7, 10.0.0.2');
+
+        expect(getClientIP(request, 1)).toBe('10.0.0.2');
+        expect(getClientIP(request, 2)).toBe('203.0.113.7');
+    });
+
+    it('trusts nothing when there are fewer hops than proxies, or no proxies', () => {
+        expect(getClientIP(requestFrom('203.0.113.7'), 2)).toBe('unknown');
+        expect(getClientIP(requestFrom('203.0.113.7'), 0)).toBe('unknown');
+        expect(getClientIP(requestFrom(undefined), 1)).toBe('unknown');
+    });
+
+    it('prefers the address the platform reports', () => {
+        expect(getClientIP(requestFrom('6.6.6.6', '203.0.113.7'), 1)).toBe('203.0.113.7');
+    });
+});
+
+describe('getAuthRateLimitKey', () => {
+    const request = { headers: new Headers({ 'x-forwarded-for': '203.0.113.7' }) };
+
+    it('gives local and international spellings of a number the same key', () => {
+        const local = getAuthRateLimitKey('login', request, '01001234567');
+
+        expect(local).toBe('login:203.0.113.7:01001234567');
+        expect(getAuthRateLimitKey('login', request, '+201001234567')).toBe(local);
+        expect(getAuthRateLimitKey('login', request, '+20 100 123 4567')).toBe(local);
+    });
+});
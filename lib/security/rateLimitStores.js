@@ -0,0 +1,223 @@
+// lib/security/rateLimitStores.js
+// Backends for lib/security/rateLimit.js. A store applies one algorithm step atomically and
+// returns the resulting state; turning that state into remaining/reset values is the limiter's job.
+// lib/auth/authStore.js keeps short-lived sign-in state in the same stores through the value methods.
+//
+// Store interface (all methods async):
+//   slidingWindow(key, { limit, windowMs, now }) -> { allowed, start, current, previous }
+//   tokenBucket(key, { capacity, refillPerMs, now }) -> { allowed, tokens }
+//   get(key) -> value | null
+//   set(key, value, ttlMs)
+//   take(key) -> value | null, deleting it so only one caller ever gets it
+//   remove(key)
+//   increment(key, ttlMs) -> count, the expiry starting with the first increment
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Per-process store. State is lost on restart and not shared between instances.
+ * @returns {Object} - Rate limit store
+ */
+export const createMemoryStore = () => {
+    const entries = new Map();
+    let lastCleanup = Date.now();
+
+    const read = (key, now) => {
+        if (now - lastCleanup >= CLEANUP_INTERVAL_MS) {
+            lastCleanup = now;
+            for (const [name, entry] of entries) {
+                if (entry.expiresAt <= now) entries.delete(name);
+            }
+        }
+
+        const entry = entries.get(key);
+        return entry && entry.expiresAt > now ? entry : null;
+    };
+
+    return {
+        async slidingWindow(key, { limit, windowMs, now }) {
+            const windowStart = now - (now % windowMs);
+            let { start = windowStart, current = 0, previous = 0 } = read(key, now) || {};
+
+            if (windowStart - start >= 2 * windowMs) {
+                previous = 0;
+                current = 0;
+                start = windowStart;
+            } else if (windowStart - start >= windowMs) {
+                previous = current;
+                current = 0;
+                start = windowStart;
+            }
+
+            const weighted = previous * ((windowMs - (now - start)) / windowMs) + current;
+            const allowed = weighted + 1 <= limit;
+            if (allowed) current++;
+
+            entries.set(key, { start, current, previous, expiresAt: start + 2 * windowMs });
+            return { allowed, start, current, previous };
+        },
+
+        async tokenBucket(key, { capacity, refillPerMs, now }) {
+            const entry = read(key, now);
+            let tokens = entry
+                ? Math.min(capacity, entry.tokens + (now - entry.updatedAt) * refillPerMs)
+                : capacity;
+
+            const allowed = tokens >= 1;
+            if (allowed) tokens -= 1;
+
+            entries.set(key, { tokens, updatedAt: now, expiresAt: now + Math.ceil(capacity / refillPerMs) });
+            return { allowed, tokens };
+        },
+
+        async get(key) {
+            const json = read(key, Date.now())?.json;
+            return json === undefined ? null : JSON.parse(json);
+        },
+
+        async set(key, value, ttlMs) {
+            // Stored as JSON so every read gets its own copy, as it would from Redis
+            entries.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+        },
+
+        async take(key) {
+            const json = read(key, Date.now())?.json;
+            entries.delete(key);
+            return json === undefined ? null : JSON.parse(json);
+        },
+
+        async remove(key) {
+            entries.delete(key);
+        },
+
+        async increment(key, ttlMs) {
+            const now = Date.now();
+            const entry = read(key, now) || { count: 0, expiresAt: now + ttlMs };
+
+            entry.count += 1;
+            entries.set(key, entry);
+            return entry.count;
+        },
+    };
+};
+
+// Same steps as the memory store, run inside Redis so concurrent instances see one state.
+// Numbers are returned as strings: Redis truncates Lua numbers to integers.
+const SLIDING_WINDOW_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local windowStart = now - (now % window)
+local data = redis.call('HMGET', KEYS[1], 'start', 'current', 'previous')
+local start = tonumber(data[1]) or windowStart
+local current = tonumber(data[2]) or 0
+local previous = tonumber(data[3]) or 0
+if windowStart - start >= 2 * window then
+    previous = 0
+    current = 0
+    start = windowStart
+elseif windowStart - start >= window then
+    previous = current
+    current = 0
+    start = windowStart
+end
+local allowed = 0
+if previous * ((window - (now - start)) / window) + current + 1 <= limit then
+    allowed = 1
+    current = current + 1
+end
+redis.call('HSET', KEYS[1], 'start', start, 'current', current, 'previous', previous)
+redis.call('PEXPIREAT', KEYS[1], start + 2 * window)
+return { allowed, tostring(start), tostring(current), tostring(previous) }
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = capacity
+local stored = tonumber(data[1])
+if stored then
+    tokens = math.min(capacity, stored + (now - (tonumber(data[2]) or now)) * refill)
+end
+local allowed = 0
+if tokens >= 1 then
+    allowed = 1
+    tokens = tokens - 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refill))
+return { allowed, tostring(tokens) }
+`;
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+/**
+ * Shared store on any server speaking the Redis REST protocol (Upstash, or serverless-redis-http
+ * in front of a local redis-server for development). Uses fetch only, so it also runs in middleware.
+ * rateLimitStores.redis.test.js runs it against such a server when RATE_LIMIT_REDIS_TEST_URL is set.
+ * @param {Object} options - { url, token, prefix }
+ * @returns {Object} - Rate limit store
+ */
+export const createRedisStore = ({ url, token, prefix = 'ratelimit:' }) => {
+    const command = async (args) => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args),
+            cache: 'no-store',
+        });
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok || data?.error) {
+            throw new Error(`Redis command failed: ${data?.error || `HTTP ${response.status}`}`);
+        }
+        return data.result;
+    };
+
+    return {
+        async slidingWindow(key, { limit, windowMs, now }) {
+            const [allowed, start, current, previous] = await command(
+                ['EVAL', SLIDING_WINDOW_SCRIPT, 1, `${prefix}${key}`, limit, windowMs, now]
+            );
+            return { allowed: allowed === 1, start: Number(start), current: Number(current), previous: Number(previous) };
+        },
+
+        async tokenBucket(key, { capacity, refillPerMs, now }) {
+            const [allowed, tokens] = await command(
+                ['EVAL', TOKEN_BUCKET_SCRIPT, 1, `${prefix}${key}`, capacity, refillPerMs, now]
+            );
+            return { allowed: allowed === 1, tokens: Number(tokens) };
+        },
+
+        async get(key) {
+            const value = await command(['GET', `${prefix}${key}`]);
+            return value == null ? null : JSON.parse(value);
+        },
+
+        async set(key, value, ttlMs) {
+            await command(['SET', `${prefix}${key}`, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs))]);
+        },
+
+        async take(key) {
+            // GETDEL (Redis 6.2+): two instances can never both redeem the same value
+            const value = await command(['GETDEL', `${prefix}${key}`]);
+            return value == null ? null : JSON.parse(value);
+        },
+
+        async remove(key) {
+            await command(['DEL', `${prefix}${key}`]);
+        },
+
+        async increment(key, ttlMs) {
+            return Number(await command(['EVAL', INCREMENT_SCRIPT, 1, `${prefix}${key}`, Math.max(1, Math.ceil(ttlMs))]));
+        },
+    };
+};
@@ -0,0 +1,130 @@
+// Runs the Redis store, Lua scripts included, against a real server. Opt-in: start redis-server
+// with a Redis REST shim in front of it (serverless-redis-http, or Upstash), then e.g.
+//   RATE_LIMIT_REDIS_TEST_URL=http://localhost:8079 RATE_LIMIT_REDIS_TEST_TOKEN=example_token npm test
+import crypto from 'crypto';
+import { describe, expect, it } from 'vitest';
+import { createRedisStore } from './rateLimitStores';
+
+const url = process.env.RATE_LIMIT_REDIS_TEST_URL;
+const WINDOW_MS = 60_000;
+
+// Every test writes under its own prefix, so runs never see each other's keys
+const createStore = () => createRedisStore({
+    url,
+    token: process.env.RATE_LIMIT_REDIS_TEST_TOKEN,
+    prefix: `test:${crypto.randomUUID()}:`,
+});
+
+// Redis expires keys on its own clock, so the windows used here are real ones
+const currentWindowStart = () => Date.now() - (Date.now() % WINDOW_MS);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe.skipIf(!url)('redis store against a server', () => {
+    describe('slidingWindow', () => {
+        const options = (now) => ({ limit: 3, windowMs: WINDOW_MS, now });
+
+        it('allows up to the limit within a window, then denies', async () => {
+            const store = createStore();
+            const start = currentWindowStart();
+            const results = [];
+            for (let i = 0; i < 4; i++) {
+                results.push(await store.slidingWindow('k', options(start + i)));
+            }
+
+            expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+            expect(results[3]).toEqual({ allowed: false, start, current: 3, previous: 0 });
+        });
+
+        it('weights the previous window by how much of it still overlaps', async () => {
+            const store = createStore();
+            const start = currentWindowStart();
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('k', options(start));
+            }
+
+            const first = await store.slidingWindow('k', options(start + 1.5 * WINDOW_MS));
+            const second = await store.slidingWindow('k', options(start + 1.5 * WINDOW_MS));
+
+            expect(first).toEqual({ allowed: true, start: start + WINDOW_MS, current: 1, previous: 3 });
+            expect(second.allowed).toBe(false);
+        });
+
+        it('forgets everything after two idle windows', async () => {
+            const store = createStore();
+            const start = currentWindowStart();
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('k', options(start));
+            }
+
+            expect(await store.slidingWindow('k', options(start + 2 * WINDOW_MS)))
+                .toEqual({ allowed: true, start: start + 2 * WINDOW_MS, current: 1, previous: 0 });
+        });
+    });
+
+    describe('tokenBucket', () => {
+        const options = (now) => ({ capacity: 2, refillPerMs: 0.001, now });
+
+        it('allows a burst up to the capacity, then refills over time', async () => {
+            const store = createStore();
+            const now = Date.now();
+
+            expect(await store.tokenBucket('k', options(now))).toEqual({ allowed: true, tokens: 1 });
+            expect(await store.tokenBucket('k', options(now))).toEqual({ allowed: true, tokens: 0 });
+            expect(await store.tokenBucket('k', options(now + 500))).toEqual({ allowed: false, tokens: 0.5 });
+            expect(await store.tokenBucket('k', options(now + 1_500))).toEqual({ allowed: true, tokens: 0.5 });
+        });
+
+        it('never refills beyond the capacity', async () => {
+            const store = createStore();
+            const now = Date.now();
+            await store.tokenBucket('k', options(now));
+
+            expect(await store.tokenBucket('k', options(now + 10_000))).toEqual({ allowed: true, tokens: 1 });
+        });
+    });
+
+    describe('values', () => {
+        it('stores JSON values until they expire', async () => {
+            const store = createStore();
+            await store.set('k', { a: 1, list: ['x'] }, 300);
+
+            expect(await store.get('k')).toEqual({ a: 1, list: ['x'] });
+            await sleep(400);
+            expect(await store.get('k')).toBeNull();
+        });
+
+        it('takes a value only once, even when asked twice at the same time', async () => {
+            const store = createStore();
+            await store.set('k', 'ticket', 10_000);
+
+            const taken = await Promise.all([store.take('k'), store.take('k')]);
+            expect(taken.sort()).toEqual(['ticket', null].sort());
+            expect(await store.get('k')).toBeNull();
+        });
+
+        it('removes values', async () => {
+            const store = createStore();
+            await store.set('k', 1, 10_000);
+            await store.remove('k');
+
+            expect(await store.get('k')).toBeNull();
+        });
+
+        it('counts increments until the first one expires', async () => {
+            const store = createStore();
+
+            expect(await store.increment('k', 300)).toBe(1);
+            expect(await store.increment('k', 300)).toBe(2);
+            await sleep(400);
+            expect(await store.increment('k', 300)).toBe(1);
+        });
+
+        it('hands a counter of 1 to exactly one of several concurrent callers', async () => {
+            const store = createStore();
+
+            const counts = await Promise.all(Array.from({ length: 5 }, () => store.increment('k', 10_000)));
+            expect(counts.sort()).toEqual([1, 2, 3, 4, 5]);
+        });
+    });
+});
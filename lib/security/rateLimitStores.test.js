@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryStore, createRedisStore } from './rateLimitStores';
+
+// A whole number of windows, so every test starts at the beginning of one
+const T0 = 1_000_000 * 60_000;
+
+describe('memory store', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ now: T0 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('slidingWindow', () => {
+        const options = (now) => ({ limit: 3, windowMs: 60_000, now });
+
+        it('allows up to the limit within a window, then denies', async () => {
+            const store = createMemoryStore();
+            const results = [];
+            for (let i = 0; i < 4; i++) {
+                results.push(await store.slidingWindow('k', options(T0 + i)));
+            }
+
+            expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+            expect(results[3]).toEqual({ allowed: false, start: T0, current: 3, previous: 0 });
+        });
+
+        it('weights the previous window by how much of it still overlaps', async () => {
+            const store = createMemoryStore();
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('k', options(T0));
+            }
+
+            // Halfway into the next window the previous 3 count as 1.5: one more fits, not two
+            const first = await store.slidingWindow('k', options(T0 + 90_000));
+            const second = await store.slidingWindow('k', options(T0 + 90_000));
+
+            expect(first).toEqual({ allowed: true, start: T0 + 60_000, current: 1, previous: 3 });
+            expect(second.allowed).toBe(false);
+        });
+
+        it('forgets everything after two idle windows', async () => {
+            const store = createMemoryStore();
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('k', options(T0));
+            }
+
+            const result = await store.slidingWindow('k', options(T0 + 120_000));
+            expect(result).toEqual({ allowed: true, start: T0 + 120_000, current: 1, previous: 0 });
+        });
+
+        it('keeps keys apart', async () => {
+            const store = createMemoryStore();
+            for (let i = 0; i < 3; i++) {
+                await store.slidingWindow('a', options(T0));
+            }
+
+            expect((await store.slidingWindow('b', options(T0))).allowed).toBe(true);
+        });
+    });
+
+    describe('tokenBucket', () => {
+        const options = (now) => ({ capacity: 2, refillPerMs: 0.001, now });
+
+        it('allows a burst up to the capacity, then denies', async () => {
+            const store = createMemoryStore();
+
+            expect(await store.tokenBucket('k', options(T0))).toEqual({ allowed: true, tokens: 1 });
+            expect(await store.tokenBucket('k', options(T0))).toEqual({ allowed: true, tokens: 0 });
+            expect(await store.tokenBucket('k', options(T0))).toEqual({ allowed: false, tokens: 0 });
+        });
+
+        it('refills over time', async () => {
+            const store = createMemoryStore();
+            await store.tokenBucket('k', options(T0));
+            await store.tokenBucket('k', options(T0));
+
+            expect((await store.tokenBucket('k', options(T0 + 999))).allowed).toBe(false);
+            expect((await store.tokenBucket('k', options(T0 + 2_000))).allowed).toBe(true);
+        });
+
+        it('never refills beyond the capacity', async () => {
+            const store = createMemoryStore();
+            await store.tokenBucket('k', options(T0));
+
+            vi.setSystemTime(T0 + 10_000);
+            expect(await store.tokenBucket('k', options(T0 + 10_000))).toEqual({ allowed: true, tokens: 1 });
+        });
+    });
+
+    describe('values', () => {
+        it('returns a stored value until it expires', async () => {
+            const store = createMemoryStore();
+            await store.set('k', { a: 1 }, 1_000);
+
+            expect(await store.get('k')).toEqual({ a: 1 });
+            vi.setSystemTime(T0 + 1_000);
+            expect(await store.get('k')).toBeNull();
+        });
+
+        it('hands out copies, like a remote store would', async () => {
+            const store = createMemoryStore();
+            const value = { a: 1 };
+            await store.set('k', value, 1_000);
+            value.a = 2;
+
+            const read = await store.get('k');
+            read.a = 3;
+            expect(await store.get('k')).toEqual({ a: 1 });
+        });
+
+        it('takes a value only once', async () => {
+            const store = createMemoryStore();
+            await store.set('k', 'ticket', 1_000);
+
+            expect(await store.take('k')).toBe('ticket');
+            expect(await store.take('k')).toBeNull();
+        });
+
+        it('counts increments until the first one expires', async () => {
+            const store = createMemoryStore();
+
+            expect(await store.increment('k', 1_000)).toBe(1);
+            vi.setSystemTime(T0 + 500);
+            expect(await store.increment('k', 1_000)).toBe(2);
+            vi.setSystemTime(T0 + 1_000);
+            expect(await store.increment('k', 1_000)).toBe(1);
+        });
+    });
+});
+
+// The Lua scripts themselves need a real Redis; these check what is sent and how replies are read
+describe('redis store', () => {
+    let fetchMock;
+
+    const reply = (body, status = 200) => fetchMock.mockResolvedValueOnce({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+    });
+    const sentCommand = () => JSON.parse(fetchMock.mock.calls.at(-1)[1].body);
+
+    beforeEach(() => {
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    const createStore = () => createRedisStore({ url: 'https://redis.test', token: 'secret', prefix: 'rl:' });
+
+    it('runs the sliding window script on the prefixed key and parses its reply', async () => {
+        reply({ result: [1, '60000', '2', '1'] });
+
+        const result = await createStore().slidingWindow('k', { limit: 3, windowMs: 60_000, now: 61_000 });
+
+        expect(result).toEqual({ allowed: true, start: 60_000, current: 2, previous: 1 });
+        const [command, script, keyCount, key, ...args] = sentCommand();
+        expect([command, keyCount, key, args]).toEqual(['EVAL', 1, 'rl:k', [3, 60_000, 61_000]]);
+        expect(script).toContain("redis.call('HMGET', KEYS[1], 'start', 'current', 'previous')");
+        expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+    });
+
+    it('keeps fractional token counts, which come back as strings', async () => {
+        reply({ result: [0, '0.25'] });
+
+        const result = await createStore().tokenBucket('k', { capacity: 2, refillPerMs: 0.001, now: 1 });
+
+        expect(result).toEqual({ allowed: false, tokens: 0.25 });
+        expect(sentCommand().slice(2)).toEqual([1, 'rl:k', 2, 0.001, 1]);
+    });
+
+    it('stores values as JSON with a millisecond expiry', async () => {
+        reply({ result: 'OK' });
+        await createStore().set('k', { a: 1 }, 1_500.2);
+
+        expect(sentCommand()).toEqual(['SET', 'rl:k', '{"a":1}', 'PX', 1_501]);
+    });
+
+    it('takes values with GETDEL', async () => {
+        reply({ result: '{"a":1}' });
+        reply({ result: null });
+        const store = createStore();
+
+        expect(await store.take('k')).toEqual({ a: 1 });
+        expect(sentCommand()).toEqual(['GETDEL', 'rl:k']);
+        expect(await store.take('k')).toBeNull();
+    });
+
+    it('throws on Redis errors and HTTP failures', async () => {
+        reply({ error: 'NOSCRIPT' });
+        reply(null, 401);
+        const store = createStore();
+
+        await expect(store.get('k')).rejects.toThrow('Redis command failed: NOSCRIPT');
+        await expect(store.get('k')).rejects.toThrow('Redis command failed: HTTP 401');
+    });
+});
@@ -1,33 +1,24 @@
 // middleware.js
 import { NextResponse } from 'next/server';
-import { withAuth } from "next-auth/middleware";
+import { getToken } from 'next-auth/jwt';
 import { match } from '@formatjs/intl-localematcher';
 import Negotiator from 'negotiator';
-import { SECURITY_HEADERS } from '@/config/api.config';
+import { SECURITY_HEADERS, SESSION_CONFIG } from '@/config/api.config';
+import { getRoutePermission, hasPermission, normalizeRoles } from '@/lib/auth/permissions';
+import { isSafeCallbackUrl } from '@/lib/auth/callbackUrl';
 
 // Configuration
 const LOCALES = ['en', 'ar'];
 const DEFAULT_LOCALE = 'en';
 
-// Protected route patterns (require authentication)
-const PROTECTED_PATTERNS = [
-  /^\/[a-z]{2}\/checkout/,
-  /^\/[a-z]{2}\/profile/,
-  /^\/[a-z]{2}\/orders/,
-  /^\/[a-z]{2}\/settings/,
-  /^\/[a-z]{2}\/dashboard/,
-];
+// Protected pages and the permission each needs live in ROUTE_PERMISSIONS (lib/auth/permissions.js)
 
-// Public route patterns (no authentication required)
-const PUBLIC_PATTERNS = [
-  /^\/[a-z]{2}\/$/,
-  /^\/[a-z]{2}\/about$/,
-  /^\/[a-z]{2}\/contact$/,
-  /^\/[a-z]{2}\/products/,
-  /^\/[a-z]{2}\/categories/,
-  /^\/[a-z]{2}\/search/,
-  /^\/[a-z]{2}\/signin$/,
-  /^\/api\/auth\//,
+// API routes that act for the signed-in user; they answer JSON 401s instead of redirects
+const PROTECTED_API_PATTERNS = [
+  /^\/api\/addresses(\/|$)/,
+  /^\/api\/orders(\/|$)/,
+  /^\/api\/profile(\/|$)/,
+  /^\/api\/proxy(\/|$)/,
 ];
 
 /**
@@ -42,17 +33,51 @@ function getLocale(request) {
 }
 
 /**
- * Check if path matches protected patterns
+ * Check if path is an API route that requires a session
  */
-function isProtectedPath(pathname) {
-  return PROTECTED_PATTERNS.some(pattern => pattern.test(pathname));
+function isProtectedApiPath(pathname) {
+  return PROTECTED_API_PATTERNS.some(pattern => pattern.test(pathname));
 }
 
 /**
- * Check if path matches public patterns
+ * Decode and verify the session JWT. A token that fails to decrypt (forged, or signed
+ * with another secret), has passed its exp, or whose access token could not be refreshed
+ * does not count as a session.
  */
-function isPublicPath(pathname) {
-  return PUBLIC_PATTERNS.some(pattern => pattern.test(pathname));
+async function getSession(request) {
+  const hasCookie = request.cookies.getAll()
+    .some(({ name }) => name.startsWith(SESSION_CONFIG.COOKIE_NAME));
+  if (!hasCookie) {
+    return { isAuthenticated: false, isStale: false, roles: [] };
+  }
+
+  const token = await getToken({
+    req: request,
+    secret: process.env.NEXTAUTH_SECRET,
+    cookieName: SESSION_CONFIG.COOKIE_NAME,
+  });
+  const isAuthenticated = Boolean(
+    token && !token.error && (!token.exp || token.exp * 1000 > Date.now())
+  );
+
+  return {
+    isAuthenticated,
+    isStale: !isAuthenticated,
+    // Sessions from before roles were recorded are customers
+    roles: isAuthenticated ? normalizeRoles(token) : [],
+  };
+}
+
+/**
+ * Remove session cookies that no longer hold a valid session (including chunked ones).
+ * Only done where a session is required: protected pages and API routes.
+ */
+function clearSessionCookies(request, response) {
+  request.cookies.getAll()
+    .filter(({ name }) => name.startsWith(SESSION_CONFIG.COOKIE_NAME))
+    .forEach(({ name }) => response.cookies.delete(name));
+
+  return response;
 }
 
 /**
@@ -105,93 +130,93 @@ function isStaticFile(pathname) {
 /**
  * Main middleware function
  */
-export default withAuth(
-  function middleware(request) {
-    const { pathname, searchParams } = request.nextUrl;
+export default async function middleware(request) {
+  const { pathname, search, searchParams } = request.nextUrl;
+
+  // Skip static files and Next.js internals
+  if (isStaticFile(pathname)) {
+    return NextResponse.next();
+  }
 
-    // Skip static files and Next.js internals
-    if (isStaticFile(pathname)) {
+  // API routes are not localized; protected ones need a valid session
+  if (pathname.startsWith('/api/')) {
+    if (!isProtectedApiPath(pathname)) {
       return NextResponse.next();
     }
 
-    // Always allow NextAuth API routes
-    if (pathname.startsWith('/api/auth/')) {
+    const { isAuthenticated, isStale } = await getSession(request);
+    if (isAuthenticated) {
       return NextResponse.next();
     }
 
-    // Handle i18n routing
-    const pathnameHasLocale = LOCALES.some(
-      (locale) => pathname.startsWith(`/${locale}/`) || pathname === `/${locale}`
-    );
+    const response = NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    return isStale ? clearSessionCookies(request, response) : response;
+  }
 
-    // Redirect to localized URL if needed
-    if (!pathnameHasLocale) {
-      const locale = getLocale(request);
-      const redirectUrl = createLocalizedUrl(pathname, locale, request.url);
+  // Handle i18n routing
+  const pathnameHasLocale = LOCALES.some(
+    (locale) => pathname.startsWith(`/${locale}/`) || pathname === `/${locale}`
+  );
 
-      if (searchParams.toString()) {
-        redirectUrl.search = searchParams.toString();
-      }
+  // Redirect to localized URL if needed
+  if (!pathnameHasLocale) {
+    const locale = getLocale(request);
+    const redirectUrl = createLocalizedUrl(pathname, locale, request.url);
 
-      const response = NextResponse.redirect(redirectUrl);
-      return addSecurityHeaders(response);
+    if (searchParams.toString()) {
+      redirectUrl.search = searchParams.toString();
     }
 
-    const currentLocale = getLocaleFromPathname(pathname);
+    const response = NextResponse.redirect(redirectUrl);
+    return addSecurityHeaders(response);
+  }
 
-    // Check authentication status
-    const sessionToken = request.cookies.get('next-auth.session-token') ||
-      request.cookies.get('__Secure-next-auth.session-token');
-    const isAuthenticated = !!sessionToken;
+  const currentLocale = getLocaleFromPathname(pathname);
 
-    // Redirect unauthenticated users from protected routes
-    if (isProtectedPath(pathname) && !isAuthenticated) {
-      const signinUrl = createLocalizedUrl('/signin', currentLocale, request.url);
-      signinUrl.searchParams.set('callbackUrl', pathname);
+  // Check authentication status
+  const { isAuthenticated, isStale, roles } = await getSession(request);
+  const permission = getRoutePermission(pathname);
 
-      const response = NextResponse.redirect(signinUrl);
-      return addSecurityHeaders(response);
+  // Redirect unauthenticated users from protected routes
+  if (permission && !isAuthenticated) {
+    const signinUrl = createLocalizedUrl('/signin', currentLocale, request.url);
+    signinUrl.searchParams.set('callbackUrl', `${pathname}${search}`);
+    if (isStale) {
+      signinUrl.searchParams.set('reason', 'expired');
     }
 
-    // Redirect authenticated users away from signin page
-    const isSigninPage = pathname.includes('/signin');
-    if (isSigninPage && isAuthenticated) {
-      const callbackUrl = searchParams.get('callbackUrl');
-      const redirectUrl = callbackUrl
-        ? createLocalizedUrl(callbackUrl, currentLocale, request.url)
-        : createLocalizedUrl('/', currentLocale, request.url);
+    const response = NextResponse.redirect(signinUrl);
+    return addSecurityHeaders(isStale ? clearSessionCookies(request, response) : response);
+  }
 
-      const response = NextResponse.redirect(redirectUrl);
-      return addSecurityHeaders(response);
-    }
+  // Signed in but not allowed: show the localized 403 page at the requested URL
+  if (permission && !hasPermission(roles, permission)) {
+    const forbiddenUrl = createLocalizedUrl('/forbidden', currentLocale, request.url);
 
-    // Continue with security headers
-    const response = NextResponse.next();
+    const response = NextResponse.rewrite(forbiddenUrl, { status: 403 });
     return addSecurityHeaders(response);
-  },
-  {
-    callbacks: {
-      authorized: ({ token, req }) => {
-        const { pathname } = req.nextUrl;
-
-        // Always allow public routes and auth routes
-        if (isPublicPath(pathname) || pathname.startsWith('/api/auth/')) {
-          return true;
-        }
-
-        // Require token for protected API routes
-        if (pathname.startsWith('/api/protected/')) {
-          return !!token;
-        }
-
-        return true;
-      },
-    },
   }
-);
+
+  // Redirect authenticated users away from signin page
+  const isSigninPage = pathname.includes('/signin');
+  if (isSigninPage && isAuthenticated) {
+    const callbackUrl = searchParams.get('callbackUrl');
+    const redirectUrl = isSafeCallbackUrl(callbackUrl)
+      ? createLocalizedUrl(callbackUrl, currentLocale, request.url)
+      : createLocalizedUrl('/', currentLocale, request.url);
+
+    const response = NextResponse.redirect(redirectUrl);
+    return addSecurityHeaders(response);
+  }
+
+  // Public pages keep a stale cookie: the client sees session.error and offers to sign in again,
+  // instead of being signed out silently while browsing
+  const response = NextResponse.next();
+  return addSecurityHeaders(response);
+}
 
 export const config = {
   matcher: [
     '/((?!_next/static|_next/image|favicon.ico|robots.txt|sitemap.xml|manifest.json|.*\\..*).*)',
   ]
-};
\ No newline at end of file
+};
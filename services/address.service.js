@@ -0,0 +1,90 @@
+// services/address.service.js
+import { clientGet, clientPost, clientPut, clientDelete } from '@/lib/api/client';
+import { sanitizeInput } from '@/utils/validation';
+import { EMPTY_ADDRESS } from '@/lib/addresses/format';
+
+const ADDRESSES_API = '/api/addresses';
+
+const localeHeaders = (locale) => ({ 'x-locale': locale });
+
+/**
+ * Map a backend address to the shape used by the address book
+ */
+export const normalizeAddress = (address) => ({
+    ...EMPTY_ADDRESS,
+    id: address.addressId ?? address.id ?? null,
+    label: address.label ?? address.name ?? '',
+    governorate: address.governorate ?? address.governorateId ?? '',
+    city: address.city ?? address.cityId ?? '',
+    street: address.street ?? '',
+    building: address.building ?? '',
+    floor: address.floor ?? '',
+    landmark: address.landmark ?? '',
+    isDefault: Boolean(address.isDefault),
+});
+
+const normalizeAddresses = (data) => {
+    const list = Array.isArray(data) ? data : (data?.items || data?.addresses || data?.data || []);
+    return list.map(normalizeAddress);
+};
+
+/**
+ * Payload sent upstream; free text is sanitized here
+ */
+export const toAddressPayload = (address) => ({
+    label: sanitizeInput(address.label || ''),
+    governorate: address.governorate,
+    city: address.city,
+    street: sanitizeInput(address.street || ''),
+    building: sanitizeInput(address.building || ''),
+    floor: sanitizeInput(address.floor || ''),
+    landmark: sanitizeInput(address.landmark || ''),
+    isDefault: Boolean(address.isDefault),
+});
+
+export class AddressService {
+    static async fetchAddresses(locale) {
+        try {
+            const response = await clientGet(ADDRESSES_API, { headers: localeHeaders(locale) });
+            return { success: true, addresses: normalizeAddresses(response.data), error: null };
+        } catch (error) {
+            return { success: false, addresses: [], error: error.message };
+        }
+    }
+
+    static async createAddress(address, locale) {
+        try {
+            const response = await clientPost(ADDRESSES_API, address, {
+                headers: localeHeaders(locale),
+                retries: 0,
+            });
+            const saved = response.data?.data ?? response.data;
+            // Fall back to what was sent when the backend only echoes an id
+            return { success: true, address: normalizeAddress({ ...address, ...saved }), error: null };
+        } catch (error) {
+            return { success: false, address: null, error: error.message };
+        }
+    }
+
+    static async updateAddress(address, locale) {
+        try {
+            await clientPut(`${ADDRESSES_API}/${encodeURIComponent(address.id)}`, address, {
+                headers: localeHeaders(locale),
+            });
+            return { success: true, address, error: null };
+        } catch (error) {
+            return { success: false, address: null, error: error.message };
+        }
+    }
+
+    static async deleteAddress(id, locale) {
+        try {
+            await clientDelete(`${ADDRESSES_API}/${encodeURIComponent(id)}`, {
+                headers: localeHeaders(locale),
+            });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+}
@@ -1,7 +1,15 @@
 // services/auth.service.js - SECURED VERSION
+// Every call goes through our /api/auth route handlers; upstream tokens and OTPs stay server-side
 import DOMPurify from 'isomorphic-dompurify';
-import { API_CONFIG, ERROR_MESSAGES } from '@/config/api.config';
-import { validateMobile, sanitizeInput, validatePassword } from '@/utils/validation';
+import { ERROR_MESSAGES } from '@/config/api.config';
+import {
+    validateMobile,
+    validateOtp,
+    sanitizeInput,
+    validatePassword,
+    validatePasswordReset
+} from '@/utils/validation';
+import { clientPost } from '@/lib/api/client';
 
 class ApiError extends Error {
     constructor(status, message, details = null) {
@@ -12,171 +20,9 @@ class ApiError extends Error {
     }
 }
 
-// Request deduplication cache
-const requestCache = new Map();
-const CACHE_TTL = 5000; // 5 seconds
-
-class JsonApiClient {
-    constructor(baseURL, timeout = 10000) {
-        this.baseURL = baseURL;
-        this.timeout = timeout;
-        this.pendingRequests = new Map();
-    }
-
-    // Generate cache key for request deduplication
-    getCacheKey(endpoint, method, body = null) {
-        const bodyKey = body ? JSON.stringify(body) : '';
-        return `${method}:${endpoint}:${bodyKey}`;
-    }
-
-    // Check if we have a recent cached response
-    getCachedResponse(cacheKey) {
-        const cached = requestCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-            return cached.response;
-        }
-        requestCache.delete(cacheKey);
-        return null;
-    }
-
-    // Store response in cache
-    setCachedResponse(cacheKey, response) {
-        requestCache.set(cacheKey, {
-            response,
-            timestamp: Date.now()
-        });
-
-        // Clean old cache entries
-        if (requestCache.size > 100) {
-            const firstKey = requestCache.keys().next().value;
-            requestCache.delete(firstKey);
-        }
-    }
-
-    async request(endpoint, method = 'POST', body = null, extraHeaders = {}, retryCount = 0) {
-        const cacheKey = this.getCacheKey(endpoint, method, body);
-
-        // Check cache for GET requests
-        if (method === 'GET') {
-            const cached = this.getCachedResponse(cacheKey);
-            if (cached) {
-                return cached;
-            }
-        }
-
-        // Prevent duplicate requests
-        if (this.pendingRequests.has(cacheKey)) {
-            return this.pendingRequests.get(cacheKey);
-        }
-
-        const url = `${this.baseURL}${endpoint}`;
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        // Security headers
-        const headers = {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest',
-            'X-Content-Type-Options': 'nosniff',
-            ...extraHeaders
-        };
-
-        const requestPromise = (async () => {
-            try {
-                const requestConfig = {
-                    method,
-                    headers,
-                    signal: controller.signal,
-                    credentials: 'include',
-                    mode: 'cors'
-                };
-
-                // Add body for POST/PUT/PATCH
-                if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
-                    requestConfig.body = JSON.stringify(body);
-                }
-
-                // Only log in development
-                if (process.env.NODE_ENV === 'development') {
-                    console.log(`🔒 API Request:`, { method, endpoint });
-                }
-
-                const response = await fetch(url, requestConfig);
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({
-                        message: 'Unknown error occurred'
-                    }));
-
-                    // Retry on server errors (500-599)
-                    if (response.status >= 500 && retryCount < API_CONFIG.RETRY_ATTEMPTS) {
-                        await this.delay(API_CONFIG.RETRY_DELAY * Math.pow(2, retryCount));
-                        return this.request(endpoint, method, body, extraHeaders, retryCount + 1);
-                    }
-
-                    throw new ApiError(
-                        response.status,
-                        errorData.message || errorData.errorMessage || 'Request failed',
-                        errorData
-                    );
-                }
-
-                const data = await response.json();
-
-                // Cache successful GET requests
-                if (method === 'GET') {
-                    this.setCachedResponse(cacheKey, data);
-                }
-
-                return data;
-
-            } catch (error) {
-                clearTimeout(timeoutId);
-
-                // Retry on timeout
-                if (error.name === 'AbortError') {
-                    if (retryCount < API_CONFIG.RETRY_ATTEMPTS) {
-                        await this.delay(API_CONFIG.RETRY_DELAY * Math.pow(2, retryCount));
-                        return this.request(endpoint, method, body, extraHeaders, retryCount + 1);
-                    }
-                    throw new ApiError(408, ERROR_MESSAGES.TIMEOUT);
-                }
-
-                // Retry on network errors
-                if (error.name === 'TypeError' && retryCount < API_CONFIG.RETRY_ATTEMPTS) {
-                    await this.delay(API_CONFIG.RETRY_DELAY * Math.pow(2, retryCount));
-                    return this.request(endpoint, method, body, extraHeaders, retryCount + 1);
-                }
-
-                throw error;
-
-            } finally {
-                this.pendingRequests.delete(cacheKey);
-            }
-        })();
-
-        this.pendingRequests.set(cacheKey, requestPromise);
-        return requestPromise;
-    }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    cancelAll() {
-        this.pendingRequests.clear();
-        requestCache.clear();
-    }
-}
-
-const jsonApiClient = new JsonApiClient(API_CONFIG.BASE_URL, API_CONFIG.TIMEOUT);
-
 export class AuthService {
-    // ⚠️ CRITICAL SECURITY ISSUE: This method is inherently insecure
-    // TODO: Backend must be updated to accept credentials in request body
-    static async loginWithPassword(mobile, password, langCode = '1') {
+    // Credentials go to our login route in the body; it answers with a sign-in ticket, never the token
+    static async loginWithPassword(mobile, password, locale = 'ar') {
         try {
             // Client-side validation
             const mobileError = validateMobile(mobile);
@@ -189,123 +35,89 @@ export class AuthService {
                 throw new Error(passwordError);
             }
 
-            // Sanitize and escape inputs
-            const cleanMobile = DOMPurify.sanitize(sanitizeInput(mobile));
-            const cleanPassword = DOMPurify.sanitize(password);
-
-            // ⚠️ SECURITY WARNING: Sending credentials in URL is dangerous
-            // This should be changed to POST body once backend is updated
-            const endpoint = `${API_CONFIG.ENDPOINTS.LOGIN}?mobile=${encodeURIComponent(cleanMobile)}&password=${encodeURIComponent(cleanPassword)}`;
-
-            const response = await jsonApiClient.request(
-                endpoint,
-                'POST',
-                null,
-                { 'langCode': langCode }
-            );
-
-            if (response.success) {
-                return {
-                    success: true,
-                    user: response,
-                    error: null
-                };
-            }
+            const response = await clientPost('/api/auth/login', { mobile: sanitizeInput(mobile), password }, {
+                headers: { 'x-locale': locale },
+                retries: 0
+            });
 
             return {
-                success: false,
-                user: null,
-                error: DOMPurify.sanitize(response.errorMessage) || ERROR_MESSAGES.LOGIN_FAILED
+                success: true,
+                ticket: response.data?.ticket,
+                error: null
             };
 
         } catch (error) {
             return {
                 success: false,
-                user: null,
-                error: this.handleError(error)
+                ticket: null,
+                retryAfter: this.getRetryAfter(error),
+                error: this.handleRouteError(error)
             };
         }
     }
 
-    static async loginWithOtp(mobile, langCode = '1') {
+    // The OTP is issued through our own route so the code never reaches the browser
+    static async loginWithOtp(mobile, locale = 'ar') {
         try {
             const mobileError = validateMobile(mobile);
             if (mobileError) {
                 throw new Error(mobileError);
             }
 
-            const cleanMobile = DOMPurify.sanitize(sanitizeInput(mobile));
-            const endpoint = `${API_CONFIG.ENDPOINTS.SIGNUP}?mobile=${encodeURIComponent(cleanMobile)}`;
-
-            const response = await jsonApiClient.request(
-                endpoint,
-                'POST',
-                null,
-                { 'langCode': langCode }
-            );
+            const response = await clientPost('/api/auth/otp', { mobile: sanitizeInput(mobile) }, {
+                headers: { 'x-locale': locale },
+                retries: 0
+            });
 
             return {
                 success: true,
-                user: response,
+                challenge: response.data,
                 error: null
             };
 
         } catch (error) {
             return {
                 success: false,
-                user: null,
-                error: this.handleError(error)
+                challenge: null,
+                retryAfter: this.getRetryAfter(error),
+                error: this.handleRouteError(error)
             };
         }
     }
 
-    // ⚠️ CRITICAL SECURITY ISSUE: Client-side OTP verification
-    // TODO: This MUST be moved to backend - anyone can bypass this
-    static verifyOtpClientSide(userOtp, enteredOtp) {
+    static async verifyOtp(challengeId, otp) {
         try {
-            // Sanitize inputs
-            const cleanUserOtp = DOMPurify.sanitize(String(userOtp).trim());
-            const cleanEnteredOtp = DOMPurify.sanitize(String(enteredOtp).trim());
-
-            // Validate OTP format
-            if (!cleanEnteredOtp || cleanEnteredOtp.length !== 6) {
-                return {
-                    success: false,
-                    error: ERROR_MESSAGES.INVALID_OTP_FORMAT
-                };
-            }
-
-            if (!/^\d+$/.test(cleanEnteredOtp)) {
-                return {
-                    success: false,
-                    error: ERROR_MESSAGES.INVALID_OTP_FORMAT
-                };
+            const otpError = validateOtp(otp);
+            if (otpError) {
+                throw new Error(otpError);
             }
 
-            // Compare OTPs (THIS IS INSECURE - BACKEND SHOULD DO THIS)
-            if (cleanUserOtp === cleanEnteredOtp) {
-                return {
-                    success: true,
-                    message: ERROR_MESSAGES.OTP_SUCCESS
-                };
-            }
+            // Never retried: every wrong attempt counts against the challenge
+            const response = await clientPost('/api/auth/otp/verify', { challengeId, otp: String(otp).trim() }, {
+                retries: 0
+            });
 
             return {
-                success: false,
-                error: ERROR_MESSAGES.INVALID_OTP
+                success: true,
+                data: response.data,
+                message: ERROR_MESSAGES.OTP_SUCCESS,
+                error: null
             };
 
         } catch (error) {
             return {
                 success: false,
-                error: ERROR_MESSAGES.OTP_VERIFICATION_FAILED
+                data: null,
+                attemptsLeft: error.details?.attemptsLeft ?? null,
+                error: this.handleRouteError(error)
             };
         }
     }
 
-    static async setPersonalInfo(id, personalData, langCode = '1') {
+    // New users complete their profile against their verified OTP challenge, server-side
+    static async setPersonalInfo(challengeId, personalData, locale = 'ar') {
         try {
-            if (!id) {
+            if (!challengeId) {
                 throw new Error(ERROR_MESSAGES.MISSING_ID);
             }
 
@@ -321,41 +133,58 @@ export class AuthService {
                 throw new Error(passwordError);
             }
 
-            // Sanitize inputs with DOMPurify
-            const cleanFirstName = DOMPurify.sanitize(sanitizeInput(firstName));
-            const cleanLastName = DOMPurify.sanitize(sanitizeInput(lastName));
-            const cleanAddress = DOMPurify.sanitize(sanitizeInput(address));
-            const cleanPassword = DOMPurify.sanitize(password);
-
-            // Build endpoint
-            const endpoint = `${API_CONFIG.ENDPOINTS.USER_DATA}?id=${encodeURIComponent(id)}&firstName=${encodeURIComponent(cleanFirstName)}&lastName=${encodeURIComponent(cleanLastName)}&address=${encodeURIComponent(cleanAddress)}&password=${encodeURIComponent(cleanPassword)}`;
-
-            const response = await jsonApiClient.request(
-                endpoint,
-                'POST',
-                null,
-                { 'langCode': langCode }
-            );
-
-            if (response.success) {
-                return {
-                    success: true,
-                    data: response,
-                    error: null
-                };
-            }
+            await clientPost('/api/auth/otp/complete', {
+                challengeId,
+                firstName: sanitizeInput(firstName),
+                lastName: sanitizeInput(lastName),
+                address: sanitizeInput(address),
+                password
+            }, {
+                headers: { 'x-locale': locale },
+                retries: 0
+            });
 
+            return {
+                success: true,
+                error: null
+            };
+
+        } catch (error) {
             return {
                 success: false,
-                data: null,
-                error: DOMPurify.sanitize(response.errorMessage) || ERROR_MESSAGES.SAVE_FAILED
+                retryAfter: this.getRetryAfter(error),
+                error: this.handleRouteError(error)
+            };
+        }
+    }
+
+    // Forgot password: the verified OTP challenge, not the old password, authorizes the change
+    static async resetPassword(challengeId, { password, confirmPassword }, locale = 'ar') {
+        try {
+            if (!challengeId) {
+                throw new Error(ERROR_MESSAGES.MISSING_ID);
+            }
+
+            const { isValid, errors } = validatePasswordReset({ password, confirmPassword });
+            if (!isValid) {
+                throw new Error(errors.password || errors.confirmPassword);
+            }
+
+            await clientPost('/api/auth/password/reset', { challengeId, password, confirmPassword }, {
+                headers: { 'x-locale': locale },
+                retries: 0
+            });
+
+            return {
+                success: true,
+                error: null
             };
 
         } catch (error) {
             return {
                 success: false,
-                data: null,
-                error: this.handleError(error)
+                retryAfter: this.getRetryAfter(error),
+                error: this.handleRouteError(error)
             };
         }
     }
@@ -403,10 +232,22 @@ export class AuthService {
         return ERROR_MESSAGES.UNEXPECTED_ERROR;
     }
 
-    // Utility to cancel all pending requests
-    static cancelAllRequests() {
-        jsonApiClient.cancelAll();
+    // Seconds to wait after a 429 from our auth routes, for the signin countdown
+    static getRetryAfter(error) {
+        const seconds = Number(error.details?.retryAfter);
+        return error.status === 429 && seconds > 0 ? seconds : null;
+    }
+
+    // Errors from our own route handlers carry a field message; fall back to the status mapping
+    static handleRouteError(error) {
+        const fieldErrors = error.details?.errors;
+        const message = fieldErrors && Object.values(fieldErrors)[0];
+        if (message) {
+            return DOMPurify.sanitize(String(message));
+        }
+
+        return this.handleError(error.status ? new ApiError(error.status, error.message) : error);
     }
 }
 
-export { ApiError, jsonApiClient };
\ No newline at end of file
+export { ApiError };
\ No newline at end of file
@@ -0,0 +1,146 @@
+// services/cart.service.js
+import { clientProxyGet, clientProxyPost, clientProxyPut, clientProxyDelete } from '@/lib/api/client';
+import { endpoints } from '@/lib/api/endpoints';
+import { storage } from '@/utils/auth.utils';
+
+// Reached through /api/proxy, which attaches the session token
+const CART_API = endpoints.cart;
+export const GUEST_CART_KEY = 'guest_cart';
+
+/**
+ * Unique key for a cart line (same product in another color/size is another line)
+ */
+export const getCartItemKey = ({ productId, colorId, sizeId }) =>
+    `${productId}:${colorId ?? ''}:${sizeId ?? ''}`;
+
+/**
+ * Map a backend cart line to the shape used by the cart store
+ */
+const normalizeItem = (item) => ({
+    productId: item.productId,
+    colorId: item.colorId ?? null,
+    sizeId: item.sizeId ?? null,
+    qty: Number(item.qty ?? item.quantity ?? 1),
+    maxQty: item.maxQty ?? item.availableQty ?? null,
+    name: item.name ?? item.productName ?? '',
+    image: item.image ?? item.productImage ?? null,
+    price: Number(item.price ?? item.salesPrice ?? 0),
+    colorName: item.colorName ?? null,
+    sizeName: item.sizeName ?? null,
+});
+
+const normalizeCart = (data) => {
+    const items = Array.isArray(data) ? data : (data?.items || data?.cartItems || []);
+    return items.map(normalizeItem);
+};
+
+// Payload sent upstream for a single line
+const toPayload = ({ productId, colorId, sizeId, qty }) => ({
+    productId,
+    colorId,
+    sizeId,
+    qty,
+});
+
+const localeHeaders = (locale) => ({ 'x-locale': locale });
+
+export class CartService {
+    /**
+     * Read the guest cart from local storage
+     */
+    static getGuestCart() {
+        const items = storage.get(GUEST_CART_KEY, []);
+        return Array.isArray(items) ? items : [];
+    }
+
+    /**
+     * Persist the guest cart to local storage
+     */
+    static saveGuestCart(items) {
+        return storage.set(GUEST_CART_KEY, items);
+    }
+
+    static clearGuestCart() {
+        return storage.remove(GUEST_CART_KEY);
+    }
+
+    /**
+     * Load the signed-in user's cart
+     */
+    static async fetchCart(locale) {
+        try {
+            const response = await clientProxyGet(CART_API, { headers: localeHeaders(locale) });
+            return { success: true, items: normalizeCart(response), error: null };
+        } catch (error) {
+            return { success: false, items: null, error: error.message };
+        }
+    }
+
+    static async addItem(item, locale) {
+        try {
+            // Never retried: a retry after a committed write would add the line again
+            await clientProxyPost(CART_API, toPayload(item), { headers: localeHeaders(locale), retries: 0 });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async updateItem(item, locale) {
+        try {
+            await clientProxyPut(CART_API, toPayload(item), { headers: localeHeaders(locale) });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async removeItem({ productId, colorId, sizeId }, locale) {
+        try {
+            const params = new URLSearchParams({ productId });
+            if (colorId != null) params.set('colorId', colorId);
+            if (sizeId != null) params.set('sizeId', sizeId);
+
+            await clientProxyDelete(`${CART_API}?${params}`, { headers: localeHeaders(locale) });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async clearCart(locale) {
+        try {
+            await clientProxyDelete(CART_API, { headers: localeHeaders(locale) });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Push guest lines into the account cart after sign in. Each line that made it is dropped
+     * from the guest cart straight away, so a later sign in never adds it a second time;
+     * lines that failed stay there and are returned for the caller to report.
+     */
+    static async mergeGuestCart(locale) {
+        const guestItems = this.getGuestCart();
+        if (guestItems.length === 0) {
+            return { success: true, failedItems: [], error: null };
+        }
+
+        const results = await Promise.all(guestItems.map(item => this.addItem(item, locale)));
+        const failedItems = guestItems.filter((item, index) => !results[index].success);
+
+        if (failedItems.length === 0) {
+            this.clearGuestCart();
+            return { success: true, failedItems, error: null };
+        }
+
+        this.saveGuestCart(failedItems);
+        return {
+            success: false,
+            failedItems,
+            error: results.find(result => !result.success).error
+        };
+    }
+}
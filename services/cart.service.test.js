@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { clientProxyPost } from '@/lib/api/client';
+import { CartService, GUEST_CART_KEY } from './cart.service';
+
+vi.mock('@/lib/api/client', () => ({
+    clientProxyGet: vi.fn(),
+    clientProxyPost: vi.fn(),
+    clientProxyPut: vi.fn(),
+    clientProxyDelete: vi.fn(),
+}));
+
+// In-memory stand-in for local storage
+const stored = new Map();
+vi.mock('@/utils/auth.utils', () => ({
+    storage: {
+        get: (key, fallback) => (stored.has(key) ? stored.get(key) : fallback),
+        set: (key, value) => stored.set(key, value),
+        remove: (key) => stored.delete(key),
+    },
+}));
+
+const line = (productId) => ({ productId, colorId: 1, sizeId: 2, qty: 1, name: `Product ${productId}` });
+
+describe('CartService.mergeGuestCart', () => {
+    beforeEach(() => {
+        stored.clear();
+        clientProxyPost.mockReset();
+    });
+
+    it('clears the guest cart once every line is added', async () => {
+        stored.set(GUEST_CART_KEY, [line(1), line(2)]);
+        clientProxyPost.mockResolvedValue({});
+
+        const result = await CartService.mergeGuestCart('en');
+
+        expect(result).toEqual({ success: true, failedItems: [], error: null });
+        expect(stored.has(GUEST_CART_KEY)).toBe(false);
+    });
+
+    it('keeps only the lines that failed, so the merged ones are never sent again', async () => {
+        stored.set(GUEST_CART_KEY, [line(1), line(2), line(3)]);
+        clientProxyPost.mockImplementation(async (url, payload) => {
+            if (payload.productId === 2) throw new Error('Out of stock');
+            return {};
+        });
+
+        const result = await CartService.mergeGuestCart('en');
+
+        expect(result).toEqual({ success: false, failedItems: [line(2)], error: 'Out of stock' });
+        expect(stored.get(GUEST_CART_KEY)).toEqual([line(2)]);
+
+        clientProxyPost.mockClear();
+        clientProxyPost.mockResolvedValue({});
+        await CartService.mergeGuestCart('en');
+
+        expect(clientProxyPost).toHaveBeenCalledTimes(1);
+        expect(clientProxyPost.mock.calls[0][1].productId).toBe(2);
+        expect(stored.has(GUEST_CART_KEY)).toBe(false);
+    });
+});
@@ -0,0 +1,145 @@
+// services/order.service.js
+import { clientGet, clientPost, clientProxyGet } from '@/lib/api/client';
+import { endpoints } from '@/lib/api/endpoints';
+import { ORDERS_PAGE_SIZE } from '@/lib/orders/status';
+
+const ORDERS_API = '/api/orders';
+
+const localeHeaders = (locale) => ({ 'x-locale': locale });
+
+const normalizeOrderItem = (item) => ({
+    productId: item.productId,
+    colorId: item.colorId ?? null,
+    sizeId: item.sizeId ?? null,
+    qty: Number(item.qty ?? item.quantity ?? 1),
+    name: item.name ?? item.productName ?? '',
+    image: item.image ?? item.productImage ?? null,
+    price: Number(item.price ?? item.salesPrice ?? 0),
+    colorName: item.colorName ?? null,
+    sizeName: item.sizeName ?? null,
+});
+
+const normalizeStatusEntry = (entry) => ({
+    status: String(entry.status ?? '').toLowerCase(),
+    date: entry.date ?? entry.changedAt ?? entry.createdAt ?? null,
+});
+
+/**
+ * Map a backend order to the shape used by the order pages
+ */
+export const normalizeOrder = (data) => {
+    const order = data?.data && !Array.isArray(data.data) ? data.data : data;
+    if (!order) return null;
+
+    const items = (order.items || order.orderItems || []).map(normalizeOrderItem);
+    const subtotal = Number(order.subtotal ?? items.reduce((sum, item) => sum + item.price * item.qty, 0));
+    const shipping = Number(order.shipping ?? order.deliveryFee ?? 0);
+
+    return {
+        id: order.orderId ?? order.id,
+        number: order.orderNumber ?? order.orderId ?? order.id,
+        status: String(order.status ?? 'pending').toLowerCase(),
+        createdAt: order.createdAt ?? order.orderDate ?? null,
+        statusHistory: (order.statusHistory || order.history || []).map(normalizeStatusEntry),
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.qty, 0),
+        address: order.address ?? null,
+        deliveryMethod: order.deliveryMethod ?? null,
+        paymentMethod: order.paymentMethod ?? order.payment?.method ?? null,
+        payment: {
+            status: order.paymentStatus ?? order.payment?.status ?? null,
+            referenceCode: order.referenceCode ?? order.payment?.referenceCode ?? null,
+            expiresAt: order.expiresAt ?? order.payment?.expiresAt ?? null,
+        },
+        subtotal,
+        shipping,
+        total: Number(order.total ?? order.totalPrice ?? subtotal + shipping),
+    };
+};
+
+/**
+ * Map a page of the order history
+ */
+export const normalizeOrderPage = (data, page) => {
+    const payload = data?.data && !Array.isArray(data.data) ? data.data : data;
+    const list = Array.isArray(payload) ? payload : (payload?.items || payload?.orders || payload?.data || []);
+    const totalCount = Number(payload?.totalCount ?? payload?.total ?? list.length);
+
+    return {
+        orders: list.map(normalizeOrder).filter(Boolean),
+        page,
+        totalPages: Math.max(1, Number(payload?.totalPages ?? Math.ceil(totalCount / ORDERS_PAGE_SIZE))),
+    };
+};
+
+export class OrderService {
+    /**
+     * Place an order from the checkout data
+     */
+    static async placeOrder(checkout, locale) {
+        try {
+            // No retries: a repeated POST could place the order twice
+            const response = await clientPost(ORDERS_API, checkout, {
+                headers: localeHeaders(locale),
+                retries: 0,
+            });
+            return {
+                success: true,
+                orderId: response.data?.orderId ?? null,
+                payment: response.data?.payment ?? null,
+                error: null
+            };
+        } catch (error) {
+            return { success: false, orderId: null, payment: null, error: error.message };
+        }
+    }
+
+    static async getOrders(page, locale) {
+        try {
+            // Reads go straight to the backend through /api/proxy
+            const response = await clientProxyGet(endpoints.ordersPage(page, ORDERS_PAGE_SIZE), {
+                headers: localeHeaders(locale),
+            });
+            return { success: true, ...normalizeOrderPage(response, page), error: null };
+        } catch (error) {
+            return { success: false, orders: [], page, totalPages: 1, error: error.message };
+        }
+    }
+
+    static async getOrder(orderId, locale) {
+        try {
+            const response = await clientProxyGet(endpoints.orderById(encodeURIComponent(orderId)), {
+                headers: localeHeaders(locale),
+            });
+            return { success: true, order: normalizeOrder(response), error: null };
+        } catch (error) {
+            return { success: false, order: null, error: error.message };
+        }
+    }
+
+    static async cancelOrder(orderId, locale) {
+        try {
+            await clientPost(`${ORDERS_API}/${encodeURIComponent(orderId)}/cancel`, {}, {
+                headers: localeHeaders(locale),
+                retries: 0,
+            });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Cart lines for buying an order again, checked against current stock
+     */
+    static async getReorderLines(orderId, locale) {
+        try {
+            const response = await clientGet(`${ORDERS_API}/${encodeURIComponent(orderId)}/reorder`, {
+                headers: localeHeaders(locale),
+            });
+            return { success: true, ...response.data, error: null };
+        } catch (error) {
+            return { success: false, lines: [], unavailable: [], error: error.message };
+        }
+    }
+}
@@ -0,0 +1,40 @@
+// services/profile.service.js
+import { clientPut, clientPost } from '@/lib/api/client';
+
+const PROFILE_API = '/api/profile';
+
+const localeHeaders = (locale) => ({ 'x-locale': locale });
+
+export class ProfileService {
+    /**
+     * Save first name, last name and address
+     * @returns {Promise<Object>} - { success, profile, error } where profile holds the saved values
+     */
+    static async updateProfile(profile, locale) {
+        try {
+            const response = await clientPut(PROFILE_API, profile, {
+                headers: localeHeaders(locale),
+                retries: 0,
+            });
+            return { success: true, profile: response.data, error: null };
+        } catch (error) {
+            return { success: false, profile: null, error: error.message };
+        }
+    }
+
+    /**
+     * Change the password. Input is validated client-side first, so a 400 here
+     * means the current password was wrong.
+     */
+    static async changePassword(passwords, locale) {
+        try {
+            await clientPost(`${PROFILE_API}/password`, passwords, {
+                headers: localeHeaders(locale),
+                retries: 0,
+            });
+            return { success: true, wrongPassword: false, error: null };
+        } catch (error) {
+            return { success: false, wrongPassword: error.status === 400, error: error.message };
+        }
+    }
+}
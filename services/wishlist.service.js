@@ -0,0 +1,98 @@
+// services/wishlist.service.js
+import { clientProxyGet, clientProxyPost, clientProxyDelete } from '@/lib/api/client';
+import { endpoints } from '@/lib/api/endpoints';
+import { storage } from '@/utils/auth.utils';
+
+// Reached through /api/proxy, which attaches the session token
+const FAVORITES_API = endpoints.favorites;
+export const GUEST_WISHLIST_KEY = 'guest_wishlist';
+
+/**
+ * Map a product (card, detail page or backend favorite) to the snapshot
+ * stored in the wishlist. The shape matches what `Card` renders.
+ */
+export const toWishlistItem = (product) => ({
+    productId: product.productId,
+    productName: product.productName ?? product.name ?? '',
+    productImage: product.productImage ?? product.image ?? null,
+    saleaPrice: product.saleaPrice ?? product.price ?? null,
+    productType: product.productType ?? product.productTypeName ?? null,
+});
+
+const normalizeWishlist = (data) => {
+    const items = Array.isArray(data) ? data : (data?.items || data?.favorites || []);
+    return items.filter(item => item?.productId).map(toWishlistItem);
+};
+
+const localeHeaders = (locale) => ({ 'x-locale': locale });
+
+export class WishlistService {
+    static getGuestWishlist() {
+        const items = storage.get(GUEST_WISHLIST_KEY, []);
+        return Array.isArray(items) ? items : [];
+    }
+
+    static saveGuestWishlist(items) {
+        return storage.set(GUEST_WISHLIST_KEY, items);
+    }
+
+    static clearGuestWishlist() {
+        return storage.remove(GUEST_WISHLIST_KEY);
+    }
+
+    /**
+     * Load the signed-in user's favorites
+     */
+    static async fetchWishlist(locale) {
+        try {
+            const response = await clientProxyGet(FAVORITES_API, { headers: localeHeaders(locale) });
+            return { success: true, items: normalizeWishlist(response), error: null };
+        } catch (error) {
+            return { success: false, items: null, error: error.message };
+        }
+    }
+
+    static async addItem(productId, locale) {
+        try {
+            await clientProxyPost(FAVORITES_API, { productId }, { headers: localeHeaders(locale) });
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async removeItem(productId, locale) {
+        try {
+            await clientProxyDelete(
+                `${FAVORITES_API}?productId=${encodeURIComponent(productId)}`,
+                { headers: localeHeaders(locale) }
+            );
+            return { success: true, error: null };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add guest favorites that the account does not have yet, then drop the guest list
+     */
+    static async mergeGuestWishlist(accountItems, locale) {
+        const guestItems = this.getGuestWishlist();
+        const accountIds = new Set(accountItems.map(item => String(item.productId)));
+        const missing = guestItems.filter(item => !accountIds.has(String(item.productId)));
+
+        if (missing.length === 0) {
+            this.clearGuestWishlist();
+            return { success: true, items: accountItems, error: null };
+        }
+
+        const results = await Promise.all(missing.map(item => this.addItem(item.productId, locale)));
+        const merged = [...accountItems, ...missing.filter((_, index) => results[index].success)];
+
+        if (results.every(result => result.success)) {
+            this.clearGuestWishlist();
+        }
+
+        return { success: true, items: merged, error: null };
+    }
+}
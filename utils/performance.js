@@ -80,4 +80,15 @@ export const getCachedPriceFormatter = (locale) => {
         ));
     }
     return priceFormatters.get(locale);
-};
\ No newline at end of file
+};
+
+// Date formatting utilities with caching
+const dateFormatters = new Map();
+
+export const getCachedDateFormatter = (locale, options = { dateStyle: 'medium' }) => {
+    const key = `${locale}:${JSON.stringify(options)}`;
+    if (!dateFormatters.has(key)) {
+        dateFormatters.set(key, new Intl.DateTimeFormat(locale === 'en' ? 'en-US' : 'ar-EG', options));
+    }
+    return dateFormatters.get(key);
+};
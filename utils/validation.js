@@ -1,6 +1,8 @@
 // utils/validation.js - SECURED VERSION
 import DOMPurify from 'isomorphic-dompurify';
 import { VALIDATION_RULES, ERROR_MESSAGES } from '@/config/api.config';
+import { getGovernorate, getCity } from '@/lib/addresses/governorates';
+import { ADDRESS_LABEL_MAX_LENGTH } from '@/lib/addresses/format';
 
 /**
  * XSS Protection: Sanitizes HTML and dangerous characters
@@ -262,12 +264,76 @@ export const validateAddress = (address) => {
     return null;
 };
 
+/**
+ * Validates a short address part (label, building number, floor)
+ * @param {string} value - Value to validate
+ * @param {number} maxLength - Maximum length
+ * @param {string} requiredMessage - Error when the value is empty
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateAddressPart = (value, maxLength, requiredMessage) => {
+    if (!value || typeof value !== 'string' || !sanitizeInput(value)) {
+        return requiredMessage;
+    }
+
+    const error = validateAddress(value);
+    if (error) return error;
+
+    return sanitizeInput(value).length > maxLength ? 'العنوان طويل جداً' : null;
+};
+
+/**
+ * Validates a structured address (address book entry or checkout address).
+ * Street and landmark go through validateAddress; governorate and city must be known.
+ * @param {Object} address - { label, governorate, city, street, building, floor, landmark }
+ * @param {Object} options - Set requireLabel for address book entries
+ * @returns {Object} - Object with isValid flag and errors object
+ */
+export const validateAddressDetails = (address = {}, { requireLabel = false } = {}) => {
+    const errors = {};
+
+    if (requireLabel || address.label) {
+        const labelError = validateAddressPart(address.label, ADDRESS_LABEL_MAX_LENGTH, ERROR_MESSAGES.ADDRESS_LABEL_REQUIRED);
+        if (labelError) errors.label = labelError;
+    }
+
+    if (!getGovernorate(address.governorate)) {
+        errors.governorate = ERROR_MESSAGES.INVALID_GOVERNORATE;
+    } else if (!getCity(address.governorate, address.city)) {
+        errors.city = ERROR_MESSAGES.INVALID_CITY;
+    }
+
+    const streetError = validateAddress(address.street);
+    if (streetError) errors.street = streetError;
+
+    const buildingError = validateAddressPart(address.building, 50, ERROR_MESSAGES.BUILDING_REQUIRED);
+    if (buildingError) errors.building = buildingError;
+
+    // Floor and landmark are optional
+    if (address.floor) {
+        const floorError = validateAddressPart(address.floor, 20, null);
+        if (floorError) errors.floor = floorError;
+    }
+
+    if (address.landmark) {
+        const landmarkError = validateAddress(address.landmark);
+        if (landmarkError) errors.landmark = landmarkError;
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
 /**
  * Validates complete profile data
  * @param {Object} data - Profile data to validate
+ * @param {Object} options - Set requirePassword to false when editing an existing profile,
+ * requireAddress to false when addresses are managed in the address book
  * @returns {Object} - Object with isValid flag and errors object
  */
-export const validateProfileData = (data) => {
+export const validateProfileData = (data, { requirePassword = true, requireAddress = true } = {}) => {
     const errors = {};
 
     const firstNameError = validateName(data.firstName);
@@ -276,11 +342,67 @@ export const validateProfileData = (data) => {
     const lastNameError = validateName(data.lastName);
     if (lastNameError) errors.lastName = lastNameError;
 
-    const addressError = validateAddress(data.address);
-    if (addressError) errors.address = addressError;
+    if (requireAddress || data.address) {
+        const addressError = validateAddress(data.address);
+        if (addressError) errors.address = addressError;
+    }
+
+    if (requirePassword) {
+        const passwordError = validatePassword(data.password);
+        if (passwordError) errors.password = passwordError;
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Validates a password change
+ * @param {Object} data - { currentPassword, newPassword, confirmPassword }
+ * @returns {Object} - Object with isValid flag and errors object
+ */
+export const validatePasswordChange = (data) => {
+    const errors = {};
+
+    if (!data.currentPassword || typeof data.currentPassword !== 'string') {
+        errors.currentPassword = ERROR_MESSAGES.CURRENT_PASSWORD_REQUIRED;
+    }
+
+    const newPasswordError = validatePassword(data.newPassword);
+    if (newPasswordError) {
+        errors.newPassword = newPasswordError;
+    } else if (data.newPassword === data.currentPassword) {
+        errors.newPassword = ERROR_MESSAGES.PASSWORD_UNCHANGED;
+    }
+
+    if (data.confirmPassword !== data.newPassword) {
+        errors.confirmPassword = ERROR_MESSAGES.PASSWORD_MISMATCH;
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Validates a new password set through the forgot-password flow
+ * @param {Object} data - { password, confirmPassword }
+ * @returns {Object} - Object with isValid flag and errors object
+ */
+export const validatePasswordReset = (data) => {
+    const errors = {};
 
     const passwordError = validatePassword(data.password);
-    if (passwordError) errors.password = passwordError;
+    if (passwordError) {
+        errors.password = passwordError;
+    }
+
+    if (data.confirmPassword !== data.password) {
+        errors.confirmPassword = ERROR_MESSAGES.PASSWORD_MISMATCH;
+    }
 
     return {
         isValid: Object.keys(errors).length === 0,
@@ -479,8 +601,11 @@ export default {
     validateOtp,
     validateName,
     validateAddress,
+    validateAddressDetails,
     validateEmail,
     validateProfileData,
+    validatePasswordChange,
+    validatePasswordReset,
     validateLangCode,
     normalizeMobile,
     sanitizeUrl,
@@ -0,0 +1,15 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL(".", import.meta.url)),
+    },
+  },
+  test: {
+    environment: "node",
+    include: ["**/*.test.js"],
+    exclude: ["node_modules/**", ".next/**"],
+  },
+});